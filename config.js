@@ -1,30 +1,6 @@
-// Configuration file for bot settings
-// IMPORTANT: Bot token must be set via environment variable TELEGRAM_BOT_TOKEN
-// Never commit bot tokens to source code for security!
+// Settings of this deployment, loaded once from environment variables, .env and
+// settings.json / settings.yaml, and checked against the NODE_ENV profile (see lib/config.js).
+// Secrets such as the bot token belong in the environment or .env - never in source code.
+const { loadConfig } = require('./lib/config');
 
-const config = {
-    // Bot configuration
-    TELEGRAM_BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN || '8358085689:AAE9RB1L1KCStZ56kRync50vwsXcLiY0VcI', // Hardcoded for easy deployment
-    CHANNEL_ID: -1003112397951,
-    
-    // Environment detection
-    isProduction: process.env.NODE_ENV === 'production',
-    isDevelopment: process.env.NODE_ENV === 'development',
-    
-    // URLs
-    getWebhookUrl: () => {
-        if (process.env.URL) {
-            return `${process.env.URL}/.netlify/functions/api/telegram-webhook`;
-        }
-        return 'https://telegram-music-bot.netlify.app/.netlify/functions/api/telegram-webhook';
-    },
-    
-    getWebPlayerUrl: () => {
-        if (process.env.URL) {
-            return process.env.URL;
-        }
-        return 'https://telegram-music-bot.netlify.app';
-    }
-};
-
-module.exports = config;
\ No newline at end of file
+module.exports = loadConfig();
@@ -0,0 +1,18 @@
+// Scheduled library verification on Netlify (see lib/library-verifier.js)
+const { schedule } = require('@netlify/functions');
+const TelegramBot = require('node-telegram-bot-api');
+const storage = require('./storage');
+const config = require('../config');
+const { MusicCore } = require('../lib/core');
+
+exports.handler = schedule('@hourly', async () => {
+    const bot = new TelegramBot(config.TELEGRAM_BOT_TOKEN, { polling: false, baseApiUrl: config.TELEGRAM_API_URL });
+    const core = new MusicCore({ bot, storage, config });
+
+    // One result per source channel
+    const results = await core.verifyLibraries();
+    return {
+        statusCode: Object.values(results).every(result => result.success) ? 200 : 500,
+        body: JSON.stringify(results)
+    };
+});
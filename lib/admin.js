@@ -0,0 +1,192 @@
+// Admin access
+// Admins are the administrators of the source channels (getChatAdministrators, cached for a few
+// minutes) plus the Telegram user IDs in ADMIN_USER_IDS. In Telegram, admin-only commands and
+// buttons check the sender. HTTP routes that change the library accept any of:
+// - "Authorization: Bearer <ADMIN_TOKEN>" (the static secret, for scripts and curl)
+// - "Authorization: Bearer <signed token>" from the bot's /admintoken, tied to one admin and
+//   valid for ADMIN_TOKEN_TTL
+// - the web player opened from Telegram by an admin (its initData, see lib/webapp.js)
+// Refused attempts are written to an audit log in storage.
+const crypto = require('crypto');
+const { getWebAppUser } = require('./webapp');
+const { tokensMatch } = require('./rooms');
+
+const ADMIN_AUDIT_KEY = 'admin_audit';
+// Oldest audit entries are dropped past this many
+const MAX_AUDIT_ENTRIES = 500;
+// How long a channel's administrator list is trusted before asking Telegram again
+const ADMIN_CACHE_TTL = 5 * 60 * 1000;
+// Lifetime of tokens issued with /admintoken
+const ADMIN_TOKEN_TTL = 12 * 60 * 60 * 1000;
+
+function getBearerToken(req) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    return match ? match[1].trim() : null;
+}
+
+// "123,456" (or an array) -> [123, 456]
+function parseAdminUserIds(value) {
+    const ids = Array.isArray(value) ? value : String(value || '').split(',');
+    return ids.map(id => Number(String(id).trim())).filter(id => Number.isInteger(id) && id > 0);
+}
+
+// Client address for the audit log (Netlify and most proxies put it first in X-Forwarded-For)
+function getClientIp(req) {
+    return (req.get('x-forwarded-for') || req.ip || '').split(',')[0].trim() || null;
+}
+
+class AdminAccess {
+    constructor(core) {
+        this.core = core;
+        // channelId -> { userIds: Set, expiresAt }
+        this.channelAdmins = new Map();
+    }
+
+    get storage() {
+        return this.core.storage;
+    }
+
+    get allowlist() {
+        return parseAdminUserIds(this.core.config.ADMIN_USER_IDS);
+    }
+
+    // Telegram user IDs of a channel's administrators; empty when Telegram can't tell us (the
+    // bot isn't an admin there, network error), which is not cached
+    async getChannelAdmins(channelId) {
+        const cached = this.channelAdmins.get(channelId);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.userIds;
+        }
+        if (!this.core.bot) {
+            return new Set();
+        }
+
+        try {
+            const members = await this.core.bot.getChatAdministrators(channelId);
+            const userIds = new Set(members.filter(member => member.user && !member.user.is_bot).map(member => member.user.id));
+            this.channelAdmins.set(channelId, { userIds: userIds, expiresAt: Date.now() + ADMIN_CACHE_TTL });
+            return userIds;
+        } catch (error) {
+            console.log(`⚠️ Could not load administrators of ${channelId}: ${error.message}`);
+            return new Set();
+        }
+    }
+
+    // Is the Telegram user an admin - allowlisted, or an administrator of the source channel
+    // (without channelId, of any source channel)?
+    async isAdmin(userId, channelId) {
+        if (!Number.isInteger(userId)) {
+            return false;
+        }
+        if (this.allowlist.includes(userId)) {
+            return true;
+        }
+        const channelIds = channelId ? [Number(channelId)] : this.core.channelIds;
+        for (const id of channelIds) {
+            if ((await this.getChannelAdmins(id)).has(userId)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Signing key for admin tokens, derived from the bot token so that tokens issued by one
+    // instance are accepted by the others
+    get tokenKey() {
+        const botToken = this.core.bot && this.core.bot.token;
+        return botToken ? crypto.createHmac('sha256', 'AdminToken').update(botToken).digest() : null;
+    }
+
+    sign(payload) {
+        return crypto.createHmac('sha256', this.tokenKey).update(payload).digest('hex');
+    }
+
+    // "<userId>.<expiresAt>.<signature>"
+    createToken(userId, { ttl = ADMIN_TOKEN_TTL } = {}) {
+        if (!this.tokenKey) {
+            throw new Error('Bot not initialized');
+        }
+        const expiresAt = Date.now() + ttl;
+        const payload = `${userId}.${expiresAt}`;
+        return { token: `${payload}.${this.sign(payload)}`, expiresAt: expiresAt };
+    }
+
+    // User ID of a well-formed, unexpired token with a valid signature; null otherwise
+    verifyToken(token) {
+        const match = /^(\d+)\.(\d+)\.([0-9a-f]{64})$/.exec(token || '');
+        if (!match || !this.tokenKey || Number(match[2]) < Date.now()) {
+            return null;
+        }
+        return tokensMatch(this.sign(`${match[1]}.${match[2]}`), match[3]) ? Number(match[1]) : null;
+    }
+
+    // Who is making an admin request: { via, userId? } when allowed, { denied: reason } otherwise.
+    // The holder of a signed token or a WebApp user must still be an admin - losing admin
+    // rights in the channel revokes their access once the cache expires.
+    async authorizeRequest(req) {
+        const bearer = getBearerToken(req);
+        if (bearer) {
+            const adminToken = this.core.config.ADMIN_TOKEN;
+            if (adminToken && tokensMatch(adminToken, bearer)) {
+                return { via: 'admin-token' };
+            }
+            const userId = this.verifyToken(bearer);
+            if (userId === null) {
+                return { denied: 'invalid token' };
+            }
+            return (await this.isAdmin(userId)) ? { via: 'signed-token', userId: userId } : { denied: 'not an admin', userId: userId };
+        }
+
+        const user = getWebAppUser(this.core, req);
+        if (user) {
+            return (await this.isAdmin(user.id)) ? { via: 'webapp', userId: user.id } : { denied: 'not an admin', userId: user.id };
+        }
+        return { denied: 'no credentials' };
+    }
+
+    // Record a refused attempt: { source: 'bot' | 'http', action, reason, userId?, chatId?, ip? }
+    async recordDenied(entry) {
+        console.log(`🚫 Admin action ${entry.action} refused (${entry.reason})` + (entry.userId ? ` for user ${entry.userId}` : ''));
+        try {
+            await this.storage.update(ADMIN_AUDIT_KEY, (stored) =>
+                [...(stored || []), { at: new Date().toISOString(), ...entry }].slice(-MAX_AUDIT_ENTRIES));
+        } catch (error) {
+            console.error('❌ Could not write admin audit log:', error.message);
+        }
+    }
+
+    // Audit entries, newest first
+    async listDenied() {
+        return ((await this.storage.load(ADMIN_AUDIT_KEY)) || []).slice().reverse();
+    }
+}
+
+// Express middleware guarding an admin route
+function requireAdmin(core) {
+    return async (req, res, next) => {
+        const result = await core.admins.authorizeRequest(req);
+        if (!result.denied) {
+            return next();
+        }
+
+        await core.admins.recordDenied({
+            source: 'http',
+            action: `${req.method} ${req.baseUrl}${req.path}`,
+            reason: result.denied,
+            userId: result.userId,
+            ip: getClientIp(req)
+        });
+        if (result.userId) {
+            return res.status(403).json({ success: false, error: 'Only channel admins can do this' });
+        }
+        res.status(401).json({ success: false, error: 'Admin token or Telegram admin login required' });
+    };
+}
+
+module.exports = {
+    ADMIN_AUDIT_KEY,
+    ADMIN_TOKEN_TTL,
+    parseAdminUserIds,
+    AdminAccess,
+    requireAdmin
+};
@@ -0,0 +1,1287 @@
+// Telegram bot commands and update handlers, registered once per MusicCore
+const { toStoredTrack } = require('./stream');
+const github = require('./github-backup');
+const { REPEAT_MODES, getTelegramSessionId } = require('./sessions');
+const axios = require('axios');
+const { REPEAT_LABELS, nextRepeatMode, parseRemoteButton } = require('./now-playing');
+const { ADMIN_TOKEN_TTL } = require('./admin');
+const { TELEGRAM_DOWNLOAD_LIMIT } = require('./tracks');
+const { toM3U } = require('./playlist-formats');
+
+// Matches shown by /search (one button each)
+const SEARCH_RESULT_LIMIT = 8;
+// Inline mode results per answer (Telegram allows up to 50); more are fetched with next_offset
+const INLINE_PAGE_SIZE = 20;
+// How long Telegram may cache an inline answer, in seconds
+const INLINE_CACHE_TIME = 60;
+
+function registerBotHandlers(core) {
+    const bot = core.bot;
+    const config = core.config;
+
+    // Library of the source channel the user has selected (/channels); the primary one when
+    // there is no user, e.g. messages sent on behalf of a group
+    function libraryFor(user) {
+        return user ? core.sessions.libraryOf(getTelegramSessionId(user.id)) : core.ensureLibrary(null);
+    }
+
+    // Admin-only commands and buttons: true for admins; others are told no and the attempt
+    // goes to the audit log
+    async function checkAdmin(user, chatId, action) {
+        if (user && await core.admins.isAdmin(user.id)) {
+            return true;
+        }
+        await core.admins.recordDenied({ source: 'bot', action: action, reason: 'not an admin', userId: user && user.id, chatId: chatId });
+        return false;
+    }
+
+    // Link the user's /nowplaying remote to the web player that showed the code
+    async function pairRemote(msg, code) {
+        const chatId = msg.chat.id;
+        try {
+            const remote = await core.nowPlaying.pair(msg.from.id, code);
+            if (!remote) {
+                await bot.sendMessage(chatId, '❌ Code गलत है या expire हो गया। Web player में "Telegram Remote" से नया code लें।');
+                return;
+            }
+            await bot.sendMessage(chatId, '✅ Remote web player से जुड़ गया! नीचे के buttons से browser में बज रहे songs control करें। वापस अपने session के लिए /unpair भेजें।');
+            await core.nowPlaying.send(chatId, remote);
+        } catch (error) {
+            console.error('❌ Error pairing remote:', error.message);
+            await bot.sendMessage(chatId, '❌ Remote जोड़ने में error आया। कृपया फिर से try करें।');
+        }
+    }
+
+    // Bot Command Handlers - Interactive Commands for Telegram
+    bot.onText(/\/start/, async (msg) => {
+        const chatId = msg.chat.id;
+        console.log(`📱 /start command received from chat ID: ${chatId}`);
+
+        // t.me/<bot>?start=pair_<code> from the web player's "Telegram Remote" button
+        const pairing = /^\/start(?:@\w+)?\s+pair_(\w+)$/.exec(msg.text || '');
+        if (pairing && msg.from) {
+            await pairRemote(msg, pairing[1]);
+            return;
+        }
+
+        // Get web player URL from config
+        const webPlayerUrl = config.getWebPlayerUrl();
+
+        const welcomeMessage = `
+🎵 *Welcome to Web Music Player Bot!* 🎶
+
+मैं आपके channel से music play करने वाला bot हूँ।
+
+📱 *Commands*:
+/start - Welcome message
+/help - Commands list
+/status - Bot status
+/music - Current playlist info
+/search - Find a song
+/nowplaying - Player remote
+/pair - Web player का remote
+/queue - Up Next
+/favorites - ❤️ Your favorites
+/shuffle, /repeat - Playback modes
+/export - Playlist file
+/playlists - Your playlists
+/channels - Switch channel
+/channel - Channel info
+
+✨ नीचे दिए गए button पर click करके continuous music enjoy करें!
+        `;
+
+        const inlineKeyboard = {
+            reply_markup: {
+                inline_keyboard: [
+                    [
+                        {
+                            text: "🎵 Play Music 🎶",
+                            web_app: {
+                                url: webPlayerUrl
+                            }
+                        }
+                    ],
+                    [
+                        {
+                            text: "📱 Get Current Playlist",
+                            callback_data: "get_playlist"
+                        },
+                        {
+                            text: "🔄 Refresh Songs",
+                            callback_data: "refresh_music"
+                        }
+                    ],
+                    [
+                        {
+                            text: "🎧 Listen Together",
+                            callback_data: "create_room"
+                        }
+                    ]
+                ]
+            },
+            parse_mode: 'Markdown'
+        };
+
+        try {
+            await bot.sendMessage(chatId, welcomeMessage, inlineKeyboard);
+            console.log('✅ Welcome message with inline buttons sent successfully');
+        } catch (error) {
+            console.error('❌ Error sending welcome message:', error.message);
+        }
+    });
+
+    // Create a listen-together room hosted by the user and share its join link into the chat.
+    // The host link carries the host token, so it only goes to the host's private chat.
+    async function createListeningRoom(callbackQuery) {
+        const chatId = callbackQuery.message.chat.id;
+        const user = callbackQuery.from;
+
+        const room = await core.rooms.create({
+            name: `${user.first_name || 'Someone'}'s room`,
+            hostSessionId: getTelegramSessionId(user.id)
+        });
+
+        const webPlayerUrl = config.getWebPlayerUrl();
+        const joinUrl = `${webPlayerUrl}/?room=${room.id}`;
+        const hostUrl = `${joinUrl}&host=${room.hostToken}`;
+
+        // No Markdown: the room name comes from the user's profile
+        await bot.sendMessage(chatId, `🎧 ${room.name} is live!\n\nसाथ में सुनने के लिए join करें:\n${joinUrl}`, {
+            disable_web_page_preview: true
+        });
+
+        const hostMessage = '🎛 आप इस room के host हैं - आपका playback सबके लिए चलेगा।';
+        const hostKeyboard = {
+            reply_markup: {
+                inline_keyboard: [[{ text: '🎛 Open as Host', web_app: { url: hostUrl } }]]
+            }
+        };
+
+        try {
+            await bot.sendMessage(user.id, hostMessage, hostKeyboard);
+        } catch (error) {
+            // The user never started a private chat with the bot
+            console.error('❌ Could not send host link:', error.message);
+            await bot.sendMessage(chatId, '⚠️ Host link भेजने के लिए पहले bot को private chat में /start करें।');
+        }
+    }
+
+    // ⏮ ⏯ ⏭ 🔀 🔁 on a /nowplaying message. Only the user whose remote it is can use it, so a
+    // remote posted in a group can't be used to skip somebody else's songs.
+    async function pressRemoteButton(callbackQuery, { action, remoteId }) {
+        const sessionId = await core.nowPlaying.resolveRemote(callbackQuery.from.id, remoteId);
+        if (!sessionId) {
+            await bot.answerCallbackQuery(callbackQuery.id, {
+                text: '🎛 यह remote किसी और का है - अपने लिए /nowplaying भेजें',
+                show_alert: true
+            });
+            return;
+        }
+
+        const session = await core.nowPlaying.press(sessionId, action);
+        await bot.answerCallbackQuery(callbackQuery.id, {
+            text: session && session.track ? `🎵 ${session.track.title}`.slice(0, 200) : '📭 No songs available'
+        });
+    }
+
+    // Search result button: make it the user's current track and send the audio into the chat
+    async function playFromSearch(callbackQuery, trackId) {
+        const chatId = callbackQuery.message.chat.id;
+
+        const session = await core.sessions.playTrackById(getTelegramSessionId(callbackQuery.from.id), trackId);
+        if (!session) {
+            await bot.sendMessage(chatId, '⚠️ यह song अब playlist में नहीं है। /search फिर से try करें।');
+            return;
+        }
+
+        if (session.track.fileId) {
+            await bot.sendAudio(chatId, session.track.fileId, { caption: `🎵 ${session.track.title}` });
+        } else {
+            await bot.sendMessage(chatId, `🎵 ${session.track.title}\n\n🌐 Web player पर सुनें: ${config.getWebPlayerUrl()}`);
+        }
+    }
+
+    // /channels message: one button per source channel, ✅ on the user's current one
+    async function renderChannelPicker(user) {
+        const session = await core.sessions.get(getTelegramSessionId(user.id));
+        const buttons = [];
+        let current = null;
+        for (const library of core.libraries.values()) {
+            const name = await library.getName();
+            const selected = library.channelId === session.channelId;
+            if (selected) {
+                current = name;
+            }
+            buttons.push([{
+                text: `${selected ? '✅ ' : '📻 '}${name}`.slice(0, 64),
+                callback_data: `channel:${library.channelId}`
+            }]);
+        }
+
+        return {
+            text: `📻 Source channels\n\nअभी: ${current}\nदूसरा channel चुनें - web player और commands उसी की playlist use करेंगे।`,
+            reply_markup: { inline_keyboard: buttons }
+        };
+    }
+
+    // Channel button: switch the user's session and update the picker in place
+    async function selectChannelFromButton(callbackQuery, channelId) {
+        const session = await core.sessions.selectChannel(getTelegramSessionId(callbackQuery.from.id), channelId);
+        if (!session) {
+            await bot.sendMessage(callbackQuery.message.chat.id, '⚠️ यह channel अब configured नहीं है। /channels फिर से भेजें।');
+            return;
+        }
+
+        const picker = await renderChannelPicker(callbackQuery.from);
+        try {
+            await bot.editMessageText(picker.text, {
+                chat_id: callbackQuery.message.chat.id,
+                message_id: callbackQuery.message.message_id,
+                reply_markup: picker.reply_markup
+            });
+        } catch (error) {
+            // "message is not modified" when the channel was already selected
+            if (!(error.response?.body?.description || '').includes('message is not modified')) {
+                throw error;
+            }
+        }
+    }
+
+    // Playlist button from /playlists: its songs, each with a button that plays it, and a link
+    // that opens the playlist in the web player
+    async function showPlaylist(callbackQuery, playlistId) {
+        const chatId = callbackQuery.message.chat.id;
+        const playlist = await core.playlists.get(playlistId);
+        if (!playlist) {
+            await bot.sendMessage(chatId, '⚠️ यह playlist अब नहीं है। /playlists फिर से भेजें।');
+            return;
+        }
+
+        const view = await core.playlists.toPublicPlaylist(playlist, getTelegramSessionId(callbackQuery.from.id));
+        const webPlayerUrl = `${config.getWebPlayerUrl()}/?playlist=${playlist.id}`;
+        if (view.tracks.length === 0) {
+            await bot.sendMessage(chatId, `📝 ${view.name}\n\n📭 अभी कोई song नहीं है। /addto ${view.name} | <song> से जोड़ें।`);
+            return;
+        }
+
+        // Plain text: titles may contain Markdown characters
+        const trackList = view.tracks.map((track, index) => `${index + 1}. ${track.title} (${track.duration})`).join('\n');
+        await bot.sendMessage(chatId, `📝 ${view.name} - ${view.tracks.length} songs\n\n${trackList}`.slice(0, 4096), {
+            reply_markup: {
+                inline_keyboard: [
+                    ...view.tracks.slice(0, SEARCH_RESULT_LIMIT).map((track, index) => [{
+                        text: `▶️ ${index + 1}. ${track.title}`.slice(0, 64),
+                        callback_data: `play:${track.id}`.slice(0, 64)
+                    }]),
+                    [{ text: '🌐 Web player में खोलें', url: webPlayerUrl }]
+                ]
+            }
+        });
+    }
+
+    // /queue message: the user's Up Next songs, each with a button that removes it
+    async function renderQueue(user) {
+        const session = await core.sessions.get(getTelegramSessionId(user.id));
+        if (session.queue.length === 0) {
+            return {
+                text: '📭 Up Next खाली है।\n\n/queue <song> से या /search के ➕ button से songs जोड़ें।',
+                reply_markup: { inline_keyboard: [] }
+            };
+        }
+
+        // Plain text: titles may contain Markdown characters
+        const trackList = session.queue.map((track, index) => `${index + 1}. ${track.title} (${track.duration})`).join('\n');
+        return {
+            text: `⏭ Up Next - ${session.queue.length} songs\n\n${trackList}`.slice(0, 4096),
+            reply_markup: {
+                inline_keyboard: [
+                    ...session.queue.slice(0, SEARCH_RESULT_LIMIT).map((track, index) => [{
+                        text: `❌ ${index + 1}. ${track.title}`.slice(0, 64),
+                        callback_data: `queue:rm:${track.id}`.slice(0, 64)
+                    }]),
+                    [{ text: '🗑 Clear', callback_data: 'queue:clear' }]
+                ]
+            }
+        };
+    }
+
+    // Queue buttons: ➕ on search results queues the song; ❌ and 🗑 on a /queue message change
+    // the queue and update that message in place
+    async function pressQueueButton(callbackQuery, action) {
+        const chatId = callbackQuery.message.chat.id;
+        const sessionId = getTelegramSessionId(callbackQuery.from.id);
+
+        if (action.startsWith('add:')) {
+            let session;
+            try {
+                session = await core.sessions.enqueue(sessionId, action.slice('add:'.length));
+            } catch (error) {
+                // A full queue
+                if (!error.statusCode) {
+                    throw error;
+                }
+                await bot.sendMessage(chatId, `⚠️ ${error.message}`);
+                return;
+            }
+            if (!session) {
+                await bot.sendMessage(chatId, '⚠️ यह song अब playlist में नहीं है। /search फिर से try करें।');
+                return;
+            }
+            const track = session.queue[session.queue.length - 1];
+            await bot.sendMessage(chatId, `➕ Up Next: ${track.title} (${session.queue.length} in queue)`);
+            return;
+        }
+
+        if (action === 'clear') {
+            await core.sessions.clearQueue(sessionId);
+        } else if (action.startsWith('rm:')) {
+            await core.sessions.removeFromQueue(sessionId, action.slice('rm:'.length));
+        }
+
+        const queue = await renderQueue(callbackQuery.from);
+        try {
+            await bot.editMessageText(queue.text, {
+                chat_id: chatId,
+                message_id: callbackQuery.message.message_id,
+                reply_markup: queue.reply_markup
+            });
+        } catch (error) {
+            // "message is not modified" when the song was already gone
+            if (!(error.response?.body?.description || '').includes('message is not modified')) {
+                throw error;
+            }
+        }
+    }
+
+    // ❤️ on search results toggles the song in the user's favorites; ▶️ Play all on /favorites
+    // plays them (the first now, the rest as Up Next)
+    async function pressFavoriteButton(callbackQuery, action) {
+        const chatId = callbackQuery.message.chat.id;
+        const sessionId = getTelegramSessionId(callbackQuery.from.id);
+
+        if (action === 'play') {
+            const session = await core.sessions.playTracks(sessionId, await core.favorites.list(sessionId));
+            if (!session) {
+                await bot.sendMessage(chatId, '📭 आपके favorites में कोई song नहीं है।');
+                return;
+            }
+            await bot.sendMessage(chatId, `❤️ Favorites चल रहे हैं: ${session.track.title}` +
+                (session.queue.length > 0 ? `\n⏭ ${session.queue.length} और songs Up Next में` : ''));
+            return;
+        }
+
+        if (action.startsWith('toggle:')) {
+            const trackId = action.slice('toggle:'.length);
+            const result = await core.favorites.toggle(sessionId, trackId);
+            if (!result) {
+                await bot.sendMessage(chatId, '⚠️ यह song अब playlist में नहीं है। /search फिर से try करें।');
+                return;
+            }
+            const found = await core.findTrack(trackId);
+            await bot.sendMessage(chatId, result.liked
+                ? `❤️ Favorites में जोड़ा: ${found.track.title}`
+                : `💔 Favorites से हटाया: ${found.track.title}`);
+        }
+    }
+
+    // Handle inline keyboard button clicks
+    bot.on('callback_query', async (callbackQuery) => {
+        const msg = callbackQuery.message;
+        const chatId = msg.chat.id;
+        const data = callbackQuery.data;
+
+        console.log(`📱 Callback query received: ${data} from chat ID: ${chatId}`);
+
+        try {
+            // Remote buttons answer the query themselves (with an alert when refused)
+            const remoteButton = parseRemoteButton(data);
+            if (remoteButton) {
+                await pressRemoteButton(callbackQuery, remoteButton);
+                return;
+            }
+
+            if (data === 'refresh_music' && !(await checkAdmin(callbackQuery.from, chatId, 'refresh_music'))) {
+                await bot.answerCallbackQuery(callbackQuery.id, { text: '🚫 सिर्फ channel admins songs refresh कर सकते हैं।', show_alert: true });
+                return;
+            }
+
+            // Answer the callback query to remove loading state
+            await bot.answerCallbackQuery(callbackQuery.id);
+
+            if (data === 'get_playlist') {
+                const library = await libraryFor(callbackQuery.from);
+
+                // Show current playlist
+                let playlistMessage = '🎵 *Current Playlist:*\n\n';
+
+                if (library.musicFiles.length === 0) {
+                    playlistMessage += '📭 No songs available. Upload music to the channel or use the "🔄 Refresh Songs" button.';
+                } else {
+                    // Mark the track from the user's own playback session
+                    const session = await core.sessions.get(getTelegramSessionId(callbackQuery.from.id));
+                    library.musicFiles.forEach((track, index) => {
+                        const isCurrentTrack = track.id === session.track?.id ? '▶️ ' : '';
+                        playlistMessage += `${isCurrentTrack}${index + 1}. ${track.title}\n`;
+                    });
+                    playlistMessage += `\n🎯 Currently playing: Track ${session.index + 1}`;
+                }
+
+                await bot.sendMessage(chatId, playlistMessage, { parse_mode: 'Markdown' });
+
+            } else if (data === 'refresh_music') {
+                // Sync music from channel (removes deleted songs and adds new ones)
+                await bot.sendMessage(chatId, '🔄 Syncing playlist with channel...', { parse_mode: 'Markdown' });
+
+                try {
+                    const library = await libraryFor(callbackQuery.from);
+                    const syncResult = await library.syncPlaylistWithChannel();
+
+                    if (syncResult.success) {
+                        let resultMessage = `✅ *Playlist synced successfully!*\n\n`;
+
+                        if (syncResult.tracksRemoved > 0 || syncResult.tracksAdded > 0) {
+                            if (syncResult.tracksRemoved > 0) {
+                                resultMessage += `🗑️ Removed: ${syncResult.tracksRemoved} deleted songs\n`;
+                                if (syncResult.removedTracks && syncResult.removedTracks.length > 0) {
+                                    const removedList = syncResult.removedTracks.slice(0, 3); // Show max 3 removed songs
+                                    resultMessage += `   - ${removedList.join('\n   - ')}\n`;
+                                    if (syncResult.removedTracks.length > 3) {
+                                        resultMessage += `   - ...and ${syncResult.removedTracks.length - 3} more\n`;
+                                    }
+                                }
+                            }
+
+                            if (syncResult.tracksAdded > 0) {
+                                resultMessage += `➕ Added: ${syncResult.tracksAdded} new songs\n`;
+                            }
+
+                            resultMessage += `\n🎵 Total tracks: ${syncResult.totalTracks}`;
+                        } else {
+                            resultMessage += `🎵 Playlist is up to date!\n\nTotal tracks: ${syncResult.totalTracks}\n\n💡 No changes needed - channel and playlist are synchronized.`;
+                        }
+
+                        await bot.sendMessage(chatId, resultMessage, { parse_mode: 'Markdown' });
+                    } else {
+                        // Sync failed, but keep existing playlist
+                        await bot.sendMessage(chatId, `⚠️ Sync failed, but keeping current playlist.\n\nCurrent playlist: ${library.musicFiles.length} songs\n\nError: ${syncResult.error}\n\n💡 Try again later or check channel permissions.`, { parse_mode: 'Markdown' });
+                    }
+                } catch (refreshError) {
+                    console.error('Sync error:', refreshError);
+                    await bot.sendMessage(chatId, '❌ Failed to sync playlist. Please try again later.', { parse_mode: 'Markdown' });
+                }
+            } else if (data === 'create_room') {
+                await createListeningRoom(callbackQuery);
+            } else if (data.startsWith('play:')) {
+                await playFromSearch(callbackQuery, data.slice('play:'.length));
+            } else if (data.startsWith('channel:')) {
+                await selectChannelFromButton(callbackQuery, data.slice('channel:'.length));
+            } else if (data.startsWith('playlist:')) {
+                await showPlaylist(callbackQuery, data.slice('playlist:'.length));
+            } else if (data.startsWith('queue:')) {
+                await pressQueueButton(callbackQuery, data.slice('queue:'.length));
+            } else if (data.startsWith('fav:')) {
+                await pressFavoriteButton(callbackQuery, data.slice('fav:'.length));
+            }
+
+        } catch (error) {
+            console.error('❌ Error handling callback query:', error.message);
+            await bot.sendMessage(chatId, '❌ Something went wrong. Please try again.', { parse_mode: 'Markdown' });
+        }
+    });
+
+    // Inline mode: "@bot kabir" in any chat lists matching channel songs. Results point at
+    // the stored fileId, so Telegram sends the cached audio without re-uploading it.
+    bot.on('inline_query', async (inlineQuery) => {
+        const query = inlineQuery.query.trim();
+        const offset = parseInt(inlineQuery.offset, 10) || 0;
+        console.log(`📱 Inline query received from user ${inlineQuery.from.id}: "${query}" (offset ${offset})`);
+
+        try {
+            const library = await libraryFor(inlineQuery.from);
+
+            // Without a query, list the newest songs first
+            const tracks = query
+                ? library.search(query, { limit: Infinity }).map(result => result.track)
+                : library.musicFiles.slice().reverse();
+            const playable = tracks.filter(track => track.fileId);
+            const page = playable.slice(offset, offset + INLINE_PAGE_SIZE);
+            const nextOffset = offset + INLINE_PAGE_SIZE < playable.length ? String(offset + INLINE_PAGE_SIZE) : '';
+
+            await bot.answerInlineQuery(inlineQuery.id, page.map(track => ({
+                type: 'audio',
+                id: track.id,
+                audio_file_id: track.fileId
+            })), {
+                cache_time: INLINE_CACHE_TIME,
+                // Results come from the user's selected channel, so Telegram mustn't share its
+                // cached answer with other users
+                is_personal: true,
+                next_offset: nextOffset
+            });
+        } catch (error) {
+            console.error('❌ Error answering inline query:', error.message);
+        }
+    });
+
+    bot.onText(/\/help/, async (msg) => {
+        const chatId = msg.chat.id;
+        console.log(`📱 /help command received from chat ID: ${chatId}`);
+        const helpMessage = `
+🤖 *Bot Commands Help*
+
+📱 *Basic Commands*:
+/start - Bot की welcome जानकारी
+/help - यह help message
+/status - Bot की current status
+/music - Playlist की जानकारी
+/search <text> - Song खोजें (title, artist या caption से)
+/nowplaying - ⏮ ⏯ ⏭ 🔀 🔁 buttons वाला player remote
+/pair <code> - Remote को web player से जोड़ें (code web player के "Telegram Remote" button से), /unpair से वापस
+/queue [song] - Up Next queue देखें या उसमें song जोड़ें (playlist के order से पहले बजेगा)
+/favorites - आपके ❤️ songs (/search के ❤️ button से जोड़ें)
+/shuffle - Shuffle on/off (हर song एक बार, फिर नया order)
+/repeat - Repeat mode: off → all → one
+/export - Playlist .m3u file (VLC जैसे players के लिए)
+/channels - Source channels में से चुनें
+/channel - Channel details
+
+📝 *Playlists*:
+/newplaylist <name> - नई playlist बनाएं
+/addto <playlist> | <song> - Playlist में song जोड़ें (song के बिना अभी चल रहा song)
+/playlists - आपकी playlists
+
+🔎 *Inline Mode*:
+किसी भी chat में bot का username और song का नाम लिखें - matching songs वहीं share हो जाएंगे
+
+🔐 *Admin Commands* (channel admins और ADMIN_USER_IDS):
+/import - Telegram Desktop export (result.json) से पुराने songs जोड़ें
+/backup - Playlist को GitHub पर backup करें
+/repos - आपकी GitHub repositories देखें
+/admintoken - Admin API के लिए token (private chat में)
+
+🌐 *Web Music Player*:
+- सबसे अच्छा experience के लिए web player use करें
+- Continuous music playback
+- Beautiful UI interface
+- Volume controls और playlist
+
+💡 *Tip*: Web player link के लिए /start command use करें!
+        `;
+
+        try {
+            await bot.sendMessage(chatId, helpMessage, { parse_mode: 'Markdown' });
+            console.log('✅ Help message sent successfully');
+        } catch (error) {
+            console.error('❌ Error sending help message:', error.message);
+        }
+    });
+
+    bot.onText(/\/status/, async (msg) => {
+        const chatId = msg.chat.id;
+        console.log(`📱 /status command received from chat ID: ${chatId}`);
+
+        try {
+            const library = await libraryFor(msg.from);
+
+            const session = msg.from ? await core.sessions.get(getTelegramSessionId(msg.from.id)) : null;
+            const currentTrack = session && session.track;
+            const statusMessage = `
+📊 *Bot Status*
+
+🟢 Bot: Active और Running
+🎵 Music Files: ${library.musicFiles.length} tracks loaded
+📱 Channel ID: ${library.channelId} (${core.libraries.size} source channels)
+🌐 Web Player: ${config.getWebPlayerUrl()}
+${currentTrack ? `🎯 Now: ${currentTrack.title} (${session.index + 1}/${library.musicFiles.length})` : ''}
+
+${library.musicFiles.length > 0 ? '✅ Music playlist ready!' : '⚠️ Loading music from channel...'}
+
+Web player के लिए /start command use करें!
+            `;
+
+            await bot.sendMessage(chatId, statusMessage, { parse_mode: 'Markdown' });
+            console.log('✅ Status message sent successfully');
+        } catch (error) {
+            console.error('❌ Error sending status message:', error.message);
+        }
+    });
+
+    bot.onText(/\/music/, async (msg) => {
+        const chatId = msg.chat.id;
+
+        try {
+            const musicFiles = (await libraryFor(msg.from)).musicFiles;
+
+            if (musicFiles.length === 0) {
+                await bot.sendMessage(chatId, '⚠️ Abhi koi music loaded nahi hai. Server start ho raha hai...');
+                return;
+            }
+
+            const musicInfo = `
+🎵 *Current Playlist*
+
+📊 Total Songs: ${musicFiles.length}
+📱 Source: Channel
+
+🎶 *Available Tracks*:
+${musicFiles.slice(0, 5).map((track, index) =>
+    `${index + 1}. ${track.title} (${track.duration})`
+).join('\n')}
+
+${musicFiles.length > 5 ? `\n...और ${musicFiles.length - 5} songs!\n` : ''}
+
+🌐 Web player पर जाकर music enjoy करें!
+/start command से link मिलेगा।
+            `;
+
+            await bot.sendMessage(chatId, musicInfo, { parse_mode: 'Markdown' });
+        } catch (error) {
+            console.error('❌ Error sending music list:', error.message);
+            await bot.sendMessage(chatId, '❌ Playlist load करने में error आया। बाद में try करें।');
+        }
+    });
+
+    // Remote control for the user's playback session (or the web player's they paired with);
+    // edited in place whenever it changes
+    bot.onText(/^\/nowplaying(?:@\w+)?$/, async (msg) => {
+        const chatId = msg.chat.id;
+        console.log(`📱 /nowplaying command received from chat ID: ${chatId}`);
+
+        if (!msg.from) {
+            return;
+        }
+
+        try {
+            await core.nowPlaying.send(chatId, await core.nowPlaying.getRemote(msg.from.id));
+        } catch (error) {
+            console.error('❌ Error sending now playing message:', error.message);
+        }
+    });
+
+    // /pair <code>: the code shown by the web player, for when the t.me link doesn't open
+    bot.onText(/^\/pair(?:@\w+)?(?:\s+(\S+))?$/, async (msg, match) => {
+        const chatId = msg.chat.id;
+        console.log(`📱 /pair command received from chat ID: ${chatId}`);
+
+        if (!msg.from) {
+            return;
+        }
+        if (!match[1]) {
+            await bot.sendMessage(chatId, '📱 Web player में "Telegram Remote" पर click करें और दिखाया गया code भेजें: /pair <code>');
+            return;
+        }
+        await pairRemote(msg, match[1]);
+    });
+
+    // Back to the user's own session
+    bot.onText(/^\/unpair(?:@\w+)?$/, async (msg) => {
+        const chatId = msg.chat.id;
+        console.log(`📱 /unpair command received from chat ID: ${chatId}`);
+
+        if (!msg.from) {
+            return;
+        }
+
+        try {
+            const unpaired = await core.nowPlaying.unpair(msg.from.id);
+            await bot.sendMessage(chatId, unpaired
+                ? '🔌 Remote web player से हट गया। /nowplaying अब आपका अपना session control करेगा।'
+                : 'ℹ️ आपका remote किसी web player से जुड़ा नहीं है।');
+        } catch (error) {
+            console.error('❌ Error unpairing remote:', error.message);
+        }
+    });
+
+    // Playback modes of the user's session: /shuffle [on|off] toggles without an argument,
+    // /repeat [off|all|one] steps off -> all -> one without one
+    bot.onText(/^\/shuffle(?:@\w+)?(?:\s+(on|off))?$/i, async (msg, match) => {
+        const chatId = msg.chat.id;
+        console.log(`📱 /shuffle command received from chat ID: ${chatId}`);
+
+        if (!msg.from) {
+            return;
+        }
+
+        try {
+            const sessionId = getTelegramSessionId(msg.from.id);
+            const shuffle = match[1] ? match[1].toLowerCase() === 'on' : !(await core.sessions.get(sessionId)).shuffle;
+            const session = await core.sessions.setOptions(sessionId, { shuffle });
+            await bot.sendMessage(chatId, session.shuffle
+                ? '🔀 Shuffle On - हर song एक बार बजेगा, फिर नया random order।'
+                : '➡️ Shuffle Off - playlist के order में।');
+        } catch (error) {
+            console.error('❌ Error changing shuffle:', error.message);
+        }
+    });
+
+    bot.onText(/^\/repeat(?:@\w+)?(?:\s+(\S+))?$/i, async (msg, match) => {
+        const chatId = msg.chat.id;
+        console.log(`📱 /repeat command received from chat ID: ${chatId}`);
+
+        if (!msg.from) {
+            return;
+        }
+
+        const requested = match[1] && match[1].toLowerCase();
+        if (requested && !REPEAT_MODES.includes(requested)) {
+            await bot.sendMessage(chatId, `🔁 Usage: /repeat [${REPEAT_MODES.join('|')}]`);
+            return;
+        }
+
+        try {
+            const sessionId = getTelegramSessionId(msg.from.id);
+            const repeat = requested || nextRepeatMode((await core.sessions.get(sessionId)).repeat);
+            const session = await core.sessions.setOptions(sessionId, { repeat });
+            const descriptions = {
+                off: 'आखिरी song के बाद playback रुक जाएगा।',
+                all: 'Playlist खत्म होने पर फिर से शुरू होगी।',
+                one: 'यही song बार-बार बजेगा।'
+            };
+            await bot.sendMessage(chatId, `${REPEAT_LABELS[session.repeat]} - ${descriptions[session.repeat]}`);
+        } catch (error) {
+            console.error('❌ Error changing repeat:', error.message);
+        }
+    });
+
+    // Search the library; each match gets a button that plays it, one that queues it and one
+    // that likes it
+    bot.onText(/^\/search(?:@\w+)?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+        const chatId = msg.chat.id;
+        const query = (match[1] || '').trim();
+        console.log(`📱 /search command received from chat ID: ${chatId}: ${query}`);
+
+        if (!query) {
+            await bot.sendMessage(chatId, '🔍 Usage: /search <song name, artist या caption>\n\nExample: /search ज़रा देर');
+            return;
+        }
+
+        try {
+            const library = await libraryFor(msg.from);
+            const results = library.search(query, { limit: SEARCH_RESULT_LIMIT });
+
+            if (results.length === 0) {
+                await bot.sendMessage(chatId, `📭 "${query}" के लिए कोई song नहीं मिला।`);
+                return;
+            }
+
+            // Plain text: titles may contain Markdown characters
+            const resultList = results.map((result, index) => `${index + 1}. ${result.track.title} (${result.track.duration})`).join('\n');
+            await bot.sendMessage(chatId, `🔍 "${query}" - ${results.length} results:\n\n${resultList}`, {
+                reply_markup: {
+                    inline_keyboard: results.map((result, index) => [{
+                        text: `▶️ ${index + 1}. ${result.track.title}`.slice(0, 64),
+                        callback_data: `play:${result.track.id}`.slice(0, 64)
+                    }, {
+                        text: '➕ Queue',
+                        callback_data: `queue:add:${result.track.id}`.slice(0, 64)
+                    }, {
+                        text: '❤️',
+                        callback_data: `fav:toggle:${result.track.id}`.slice(0, 64)
+                    }])
+                }
+            });
+        } catch (error) {
+            console.error('❌ Error in search command:', error.message);
+            await bot.sendMessage(chatId, '❌ Search में error आया। बाद में try करें।');
+        }
+    });
+
+    // Send the playlist as an .m3u file that other players can open
+    bot.onText(/^\/export(?:@\w+)?$/, async (msg) => {
+        const chatId = msg.chat.id;
+        console.log(`📱 /export command received from chat ID: ${chatId}`);
+
+        try {
+            const library = await libraryFor(msg.from);
+            const musicFiles = library.musicFiles;
+            if (musicFiles.length === 0) {
+                await bot.sendMessage(chatId, '⚠️ Playlist में अभी कोई song नहीं है।');
+                return;
+            }
+
+            const playlist = toM3U(musicFiles, { baseUrl: config.getWebPlayerUrl(), name: await library.getName() });
+            await bot.sendDocument(chatId, Buffer.from(playlist, 'utf8'), {
+                caption: `🎵 ${musicFiles.length} songs - VLC या किसी भी M3U player में खोलें`
+            }, {
+                filename: 'playlist.m3u',
+                contentType: 'audio/x-mpegurl'
+            });
+        } catch (error) {
+            console.error('❌ Error exporting playlist:', error.message);
+            await bot.sendMessage(chatId, '❌ Playlist export नहीं हो सका। बाद में try करें।');
+        }
+    });
+
+    // Switch between the source channels
+    bot.onText(/^\/channels(?:@\w+)?$/, async (msg) => {
+        const chatId = msg.chat.id;
+        console.log(`📱 /channels command received from chat ID: ${chatId}`);
+
+        if (!msg.from) {
+            return;
+        }
+
+        try {
+            const picker = await renderChannelPicker(msg.from);
+            await bot.sendMessage(chatId, picker.text, { reply_markup: picker.reply_markup });
+        } catch (error) {
+            console.error('❌ Error sending channel list:', error.message);
+        }
+    });
+
+    // Named playlists: owned by the user's Telegram session (see lib/playlists.js)
+    bot.onText(/^\/newplaylist(?:@\w+)?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+        const chatId = msg.chat.id;
+        const name = (match[1] || '').trim();
+        console.log(`📱 /newplaylist command received from chat ID: ${chatId}: ${name}`);
+
+        if (!msg.from) {
+            return;
+        }
+        if (!name) {
+            await bot.sendMessage(chatId, '📝 Usage: /newplaylist <name>\n\nExample: /newplaylist Morning Bhajans');
+            return;
+        }
+
+        try {
+            const playlist = await core.playlists.create(getTelegramSessionId(msg.from.id), name);
+            await bot.sendMessage(chatId, `✅ Playlist "${playlist.name}" बन गई।\n\nSongs जोड़ने के लिए: /addto ${playlist.name} | <song>\nअभी चल रहा song जोड़ने के लिए: /addto ${playlist.name}`);
+        } catch (error) {
+            if (!error.statusCode) {
+                console.error('❌ Error creating playlist:', error.message);
+            }
+            await bot.sendMessage(chatId, `⚠️ ${error.statusCode ? error.message : 'Playlist नहीं बन सकी। बाद में try करें।'}`);
+        }
+    });
+
+    // /addto <playlist> | <song> adds the best search match; /addto <playlist> adds the song the
+    // user's session is playing
+    bot.onText(/^\/addto(?:@\w+)?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+        const chatId = msg.chat.id;
+        const [name, query] = (match[1] || '').split('|').map(part => part.trim());
+        console.log(`📱 /addto command received from chat ID: ${chatId}: ${match[1] || ''}`);
+
+        if (!msg.from) {
+            return;
+        }
+        if (!name) {
+            await bot.sendMessage(chatId, '➕ Usage: /addto <playlist> | <song>\n\nExample: /addto Morning Bhajans | ज़रा देर\n\nSong के बिना अभी चल रहा song जुड़ता है।');
+            return;
+        }
+
+        try {
+            const sessionId = getTelegramSessionId(msg.from.id);
+            const playlist = await core.playlists.findByName(sessionId, name);
+            if (!playlist) {
+                await bot.sendMessage(chatId, `📭 "${name}" नाम की कोई playlist नहीं है। /playlists देखें या /newplaylist ${name} से बनाएं।`);
+                return;
+            }
+
+            let track;
+            if (query) {
+                const library = await libraryFor(msg.from);
+                const results = library.search(query, { limit: 1 });
+                track = results.length > 0 ? results[0].track : null;
+                if (!track) {
+                    await bot.sendMessage(chatId, `📭 "${query}" के लिए कोई song नहीं मिला।`);
+                    return;
+                }
+            } else {
+                track = (await core.sessions.get(sessionId)).track;
+                if (!track) {
+                    await bot.sendMessage(chatId, '⚠️ अभी कोई song नहीं चल रहा। /addto <playlist> | <song> use करें।');
+                    return;
+                }
+            }
+
+            const updated = await core.playlists.addTrack(sessionId, playlist.id, track.id);
+            await bot.sendMessage(chatId, `➕ "${track.title}" → ${updated.name} (${updated.trackIds.length} songs)`);
+        } catch (error) {
+            if (!error.statusCode) {
+                console.error('❌ Error adding to playlist:', error.message);
+            }
+            await bot.sendMessage(chatId, `⚠️ ${error.statusCode ? error.message : 'Song नहीं जुड़ सका। बाद में try करें।'}`);
+        }
+    });
+
+    bot.onText(/^\/playlists(?:@\w+)?$/, async (msg) => {
+        const chatId = msg.chat.id;
+        console.log(`📱 /playlists command received from chat ID: ${chatId}`);
+
+        if (!msg.from) {
+            return;
+        }
+
+        try {
+            const playlists = await core.playlists.list(getTelegramSessionId(msg.from.id));
+            if (playlists.length === 0) {
+                await bot.sendMessage(chatId, '📭 आपकी कोई playlist नहीं है।\n\n/newplaylist <name> से बनाएं।');
+                return;
+            }
+
+            await bot.sendMessage(chatId, `📝 आपकी playlists (${playlists.length}):`, {
+                reply_markup: {
+                    inline_keyboard: playlists.map(playlist => [{
+                        text: `📝 ${playlist.name} (${playlist.trackIds.length})`.slice(0, 64),
+                        callback_data: `playlist:${playlist.id}`
+                    }])
+                }
+            });
+        } catch (error) {
+            console.error('❌ Error listing playlists:', error.message);
+        }
+    });
+
+    // Up Next: /queue shows the user's queue, /queue <song> adds the best search match to it
+    bot.onText(/^\/queue(?:@\w+)?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+        const chatId = msg.chat.id;
+        const query = (match[1] || '').trim();
+        console.log(`📱 /queue command received from chat ID: ${chatId}: ${query}`);
+
+        if (!msg.from) {
+            return;
+        }
+
+        try {
+            if (query) {
+                const library = await libraryFor(msg.from);
+                const results = library.search(query, { limit: 1 });
+                if (results.length === 0) {
+                    await bot.sendMessage(chatId, `📭 "${query}" के लिए कोई song नहीं मिला।`);
+                    return;
+                }
+
+                const session = await core.sessions.enqueue(getTelegramSessionId(msg.from.id), results[0].track.id);
+                await bot.sendMessage(chatId, `➕ Up Next: ${results[0].track.title} (${session.queue.length} in queue)`);
+                return;
+            }
+
+            const queue = await renderQueue(msg.from);
+            await bot.sendMessage(chatId, queue.text, { reply_markup: queue.reply_markup });
+        } catch (error) {
+            if (!error.statusCode) {
+                console.error('❌ Error in queue command:', error.message);
+            }
+            await bot.sendMessage(chatId, `⚠️ ${error.statusCode ? error.message : 'Queue नहीं खुल सकी। बाद में try करें।'}`);
+        }
+    });
+
+    // The user's favorites - the same list as in the web player opened from Telegram
+    bot.onText(/^\/favorites(?:@\w+)?$/, async (msg) => {
+        const chatId = msg.chat.id;
+        console.log(`📱 /favorites command received from chat ID: ${chatId}`);
+
+        if (!msg.from) {
+            return;
+        }
+
+        try {
+            const favorites = await core.favorites.toPublicFavorites(getTelegramSessionId(msg.from.id));
+            if (favorites.tracks.length === 0) {
+                await bot.sendMessage(chatId, '📭 अभी कोई favorite नहीं है।\n\n/search के ❤️ button से या web player में ❤️ दबाकर songs जोड़ें।');
+                return;
+            }
+
+            // Plain text: titles may contain Markdown characters
+            const trackList = favorites.tracks.map((track, index) => `${index + 1}. ${track.title} (${track.duration})`).join('\n');
+            await bot.sendMessage(chatId, `❤️ My Favorites - ${favorites.tracks.length} songs\n\n${trackList}`.slice(0, 4096), {
+                reply_markup: {
+                    inline_keyboard: [
+                        [{ text: '▶️ Play all', callback_data: 'fav:play' }],
+                        ...favorites.tracks.slice(0, SEARCH_RESULT_LIMIT).map((track, index) => [{
+                            text: `▶️ ${index + 1}. ${track.title}`.slice(0, 64),
+                            callback_data: `play:${track.id}`.slice(0, 64)
+                        }])
+                    ]
+                }
+            });
+        } catch (error) {
+            console.error('❌ Error listing favorites:', error.message);
+        }
+    });
+
+    bot.onText(/^\/channel(?:@\w+)?$/, (msg) => {
+        const chatId = msg.chat.id;
+        const channelMessage = `
+📱 *Channel Information*
+
+🎵 Channel: Connected
+📝 Description: Music collection channel
+🎶 Content: Audio files और songs
+
+💡 *Note*:
+- Real music files के लिए bot को channel में admin बनाना होगा
+- Web player automatically channel से music fetch करता है
+- Continuous playback के लिए web interface use करें
+
+🌐 Web player access करने के लिए /start use करें!
+        `;
+
+        bot.sendMessage(chatId, channelMessage, { parse_mode: 'Markdown' });
+    });
+
+    // GitHub backup command
+    bot.onText(/\/backup/, async (msg) => {
+        const chatId = msg.chat.id;
+        console.log(`📱 /backup command received from chat ID: ${chatId}`);
+
+        if (!(await checkAdmin(msg.from, chatId, '/backup'))) {
+            await bot.sendMessage(chatId, '🚫 सिर्फ channel admins backup कर सकते हैं।');
+            return;
+        }
+
+        try {
+            const musicFiles = (await libraryFor(msg.from)).musicFiles;
+            if (musicFiles.length === 0) {
+                await bot.sendMessage(chatId, '⚠️ कोई music files नहीं मिलीं backup करने के लिए। पहले /music या /refresh का इस्तेमाल करें।', { parse_mode: 'Markdown' });
+                return;
+            }
+
+            await bot.sendMessage(chatId, '🔄 GitHub पर playlist backup हो रही है...', { parse_mode: 'Markdown' });
+
+            const result = await github.backupPlaylistToGitHub(musicFiles.map(toStoredTrack));
+
+            if (result.success) {
+                const successMessage = `✅ *Playlist successfully backed up to GitHub!*
+
+📊 **Backup Details:**
+• ${musicFiles.length} tracks backed up
+• Repository: [View Backup](${result.repository})
+• Backup File: [playlist-backup.json](${result.backup_file})
+
+🔗 आपकी playlist अब GitHub पर safe हे!`;
+
+                await bot.sendMessage(chatId, successMessage, { parse_mode: 'Markdown' });
+            } else {
+                await bot.sendMessage(chatId, `❌ Backup failed: ${result.error}\n\n💡 GitHub connection check करें।`, { parse_mode: 'Markdown' });
+            }
+
+        } catch (error) {
+            console.error('❌ Error in backup command:', error.message);
+            await bot.sendMessage(chatId, '❌ Backup में error आया। बाद में try करें।', { parse_mode: 'Markdown' });
+        }
+    });
+
+    // GitHub repositories list command
+    bot.onText(/\/repos/, async (msg) => {
+        const chatId = msg.chat.id;
+        console.log(`📱 /repos command received from chat ID: ${chatId}`);
+
+        if (!(await checkAdmin(msg.from, chatId, '/repos'))) {
+            await bot.sendMessage(chatId, '🚫 सिर्फ channel admins repositories देख सकते हैं।');
+            return;
+        }
+
+        try {
+            await bot.sendMessage(chatId, '🔍 GitHub repositories fetch कर रहे हैं...', { parse_mode: 'Markdown' });
+
+            const repos = await github.listUserRepositories();
+
+            if (repos.length > 0) {
+                let reposMessage = `📂 *Your Recent GitHub Repositories:*\n\n`;
+
+                repos.slice(0, 5).forEach((repo, index) => {
+                    reposMessage += `${index + 1}. [${repo.name}](${repo.url})\n`;
+                    reposMessage += `   ${repo.description || 'No description'}\n`;
+                    reposMessage += `   ⭐ ${repo.stars} | 📅 ${new Date(repo.updated_at).toLocaleDateString()}\n\n`;
+                });
+
+                await bot.sendMessage(chatId, reposMessage, {
+                    parse_mode: 'Markdown',
+                    disable_web_page_preview: true
+                });
+            } else {
+                await bot.sendMessage(chatId, '📭 कोई repositories नहीं मिलीं।', { parse_mode: 'Markdown' });
+            }
+
+        } catch (error) {
+            console.error('❌ Error in repos command:', error.message);
+            await bot.sendMessage(chatId, '❌ Repositories fetch करने में error आया।', { parse_mode: 'Markdown' });
+        }
+    });
+
+    bot.onText(/\/setup/, async (msg) => {
+        const chatId = msg.chat.id;
+
+        try {
+            const library = await libraryFor(msg.from);
+            const musicFiles = library.musicFiles;
+            const access = await core.checkChannelAccess();
+            const accessLines = Object.entries(access)
+                .map(([channelId, hasAccess]) => `${hasAccess ? '✅' : '❌'} ${channelId}`)
+                .join('\n');
+            const setupMessage = `
+🔧 *Bot Setup Instructions*
+
+📝 Apne channel music को web player पर लाने के लिए:
+
+*Step 1*: Channel Setup
+1. अपने channel में जाएं
+2. "Administrators" click करें
+3. "Add Administrator" पर click करें
+4. इस bot को search करें और add करें
+5. Bot को admin rights दें
+
+*Step 2*: Music Upload
+1. Channel में अपने music files upload करें
+2. Bot automatically detect करेगा new uploads
+3. Real-time में playlist update हो जाएगा
+
+*Step 3*: Test
+1. Web player पर "Refresh from Channel" button दबाएं
+2. अगर setup सही है तो real music files load होंगे
+
+📱 *Source channels* (bot access):
+${accessLines}
+
+✅ *Current Status*: ${musicFiles.length} tracks loaded
+${library.isDemoPlaylist() ? '⚠️ Demo playlist active - setup pending' : '🎵 Real music detected!'}
+
+Questions? Type /help for more commands!
+            `;
+
+            await bot.sendMessage(chatId, setupMessage, { parse_mode: 'Markdown' });
+        } catch (error) {
+            console.error('❌ Error sending setup message:', error.message);
+            await bot.sendMessage(chatId, '❌ Setup info load करने में error आया। बाद में try करें।');
+        }
+    });
+
+    // Listen for new audio uploads in the channel (REAL-TIME)
+    bot.on('channel_post', async (msg) => {
+        try {
+            await core.handleChannelPost(msg);
+        } catch (error) {
+            console.error('❌ Error handling channel post:', error);
+        }
+    });
+
+    // Import a Telegram Desktop export (result.json) sent as a document - channel admins only
+    async function importFromDocument(msg, document) {
+        const chatId = msg.chat.id;
+
+        // Admins of any source channel get past this; the export's own channel is checked below
+        if (!(await checkAdmin(msg.from, chatId, '/import'))) {
+            await bot.sendMessage(chatId, '🚫 सिर्फ channel admins import कर सकते हैं।');
+            return;
+        }
+        if (document.file_size > TELEGRAM_DOWNLOAD_LIMIT) {
+            await bot.sendMessage(chatId, '⚠️ File 20 MB से बड़ी है - इसे CLI से import करें: npm run import-export -- result.json');
+            return;
+        }
+
+        await bot.sendMessage(chatId, '📥 Export import हो रहा है...');
+        try {
+            const fileLink = await bot.getFileLink(document.file_id);
+            const response = await axios.get(fileLink, { responseType: 'text', transformResponse: [data => data] });
+            const result = await core.importDesktopExport(response.data, {
+                authorize: (channelId) => core.admins.isAdmin(msg.from.id, channelId)
+            });
+
+            await bot.sendMessage(chatId, `✅ Import complete!\n\n` +
+                `🎵 Audio posts in export: ${result.audioMessages}\n` +
+                `➕ Imported: ${result.imported}\n` +
+                `⏳ File IDs resolved on first play: ${result.pendingFileIds}\n` +
+                `♻️ Already in playlist: ${result.alreadyPresent}\n` +
+                `🗑️ Deleted from channel: ${result.removedFromChannel}\n\n` +
+                `📊 Total tracks: ${result.totalTracks}`);
+        } catch (error) {
+            console.error('❌ Error importing export:', error.message);
+            await bot.sendMessage(chatId, `❌ Import failed: ${error.message}`);
+        }
+    }
+
+    // result.json sent with the caption /import
+    bot.on('document', async (msg) => {
+        if (msg.chat.type === 'channel' || !/^\/import(?:@\w+)?(?:\s|$)/.test(msg.caption || '')) {
+            return;
+        }
+        console.log(`📱 /import document received from chat ID: ${msg.chat.id}`);
+        await importFromDocument(msg, msg.document);
+    });
+
+    // /import as a reply to an uploaded result.json
+    bot.onText(/^\/import(?:@\w+)?$/, async (msg) => {
+        const document = msg.reply_to_message && msg.reply_to_message.document;
+        if (!document) {
+            await bot.sendMessage(msg.chat.id, '📥 Telegram Desktop में channel → Export chat history (JSON) करें, फिर result.json को caption /import के साथ भेजें (या उस file पर /import reply करें)।');
+            return;
+        }
+        await importFromDocument(msg, document);
+    });
+
+    // Signed token for the admin HTTP routes (POST /api/refresh, /api/import, ...), sent as
+    // "Authorization: Bearer <token>" - private chats only, since anyone who sees it can use it
+    bot.onText(/^\/admintoken(?:@\w+)?$/, async (msg) => {
+        const chatId = msg.chat.id;
+        console.log(`📱 /admintoken command received from chat ID: ${chatId}`);
+
+        if (msg.chat.type !== 'private') {
+            await bot.sendMessage(chatId, '🔒 /admintoken सिर्फ bot के साथ private chat में काम करता है।');
+            return;
+        }
+        if (!(await checkAdmin(msg.from, chatId, '/admintoken'))) {
+            await bot.sendMessage(chatId, '🚫 सिर्फ channel admins admin token ले सकते हैं।');
+            return;
+        }
+
+        try {
+            const { token } = core.admins.createToken(msg.from.id);
+            await bot.sendMessage(chatId, `🔑 Admin token (${ADMIN_TOKEN_TTL / 3600000} घंटे valid):\n\n` +
+                `${token}\n\n` +
+                'API calls में header भेजें: Authorization: Bearer <token>');
+        } catch (error) {
+            console.error('❌ Error creating admin token:', error.message);
+            await bot.sendMessage(chatId, '❌ Token नहीं बन पाया। बाद में try करें।');
+        }
+    });
+
+    // Edits keep the channel index in step (captions, replaced audio files)
+    bot.on('edited_channel_post', async (msg) => {
+        try {
+            await core.handleEditedChannelPost(msg);
+        } catch (error) {
+            console.error('❌ Error handling edited channel post:', error);
+        }
+    });
+
+    // Handle any other text messages and provide fallback response
+    bot.on('message', (msg) => {
+        // Skip channel posts and already handled commands
+        if (msg.chat.type === 'channel' || (msg.text && msg.text.startsWith('/'))) {
+            return;
+        }
+
+        const chatId = msg.chat.id;
+        const text = msg.text;
+
+        if (text) {
+            const replyMessage = `
+🎵 Hello! Main Web Music Player Bot हूँ।
+
+Commands देखने के लिए /help type करें।
+Web music player के लिए /start use करें।
+
+🎶 Enjoy the music! 🎶
+            `;
+
+            bot.sendMessage(chatId, replyMessage);
+        }
+    });
+
+    // Error handling for bot
+    bot.on('error', (error) => {
+        console.error('Bot error:', error);
+    });
+
+    bot.on('polling_error', (error) => {
+        console.error('Polling error:', error);
+    });
+
+    console.log('✅ Bot commands initialized');
+}
+
+module.exports = {
+    registerBotHandlers
+};
@@ -0,0 +1,160 @@
+// Persistent index of the source channel's messages
+// Built from the channel_post and edited_channel_post updates the bot receives, so syncing the
+// playlist is a diff against this index instead of probing the channel by forwarding messages.
+// The Bot API sends no update when a channel message is deleted; such messages stay indexed
+// until something marks them as deleted.
+// Each channel has its own key (channel_index/<channelId>). The index only needs what a diff
+// can still act on, so prune() drops a post once the playlist has caught up with it.
+const { getAudioAttachment, buildTrackFromMessage } = require('./tracks');
+
+// Older versions kept every channel under this one key; it is still read for channels that
+// haven't been saved under their own key yet
+const CHANNEL_INDEX_KEY = 'channel_index';
+
+function getIndexKey(channelId) {
+    return `${CHANNEL_INDEX_KEY}/${channelId}`;
+}
+
+// An index entry: { messageId, date, editDate?, track, deleted? } - track is null for posts
+// without audio
+function createEntry(msg) {
+    const entry = {
+        messageId: msg.message_id,
+        date: msg.date ? new Date(msg.date * 1000).toISOString() : new Date().toISOString(),
+        track: getAudioAttachment(msg) ? buildTrackFromMessage(msg, { fallbackTitle: `Music ${msg.message_id}` }) : null
+    };
+    if (msg.edit_date) {
+        entry.editDate = new Date(msg.edit_date * 1000).toISOString();
+    }
+    return entry;
+}
+
+class ChannelIndex {
+    constructor(core) {
+        this.core = core;
+    }
+
+    get storage() {
+        return this.core.storage;
+    }
+
+    // { messages: { [messageId]: entry }, updatedAt } of one channel
+    async get(channelId) {
+        const stored = await this.storage.load(getIndexKey(channelId));
+        if (stored) {
+            return stored;
+        }
+        const legacy = await this.storage.load(CHANNEL_INDEX_KEY);
+        return (legacy && legacy[channelId]) || { messages: {}, updatedAt: null };
+    }
+
+    // Atomically change one channel's index; fn(messages) returns the new messages, or
+    // undefined to leave them
+    async update(channelId, fn) {
+        // Not saved under its own key yet: carry on from the old shared record
+        const current = await this.get(channelId);
+        await this.storage.update(getIndexKey(channelId), (stored) => {
+            const messages = fn({ ...(stored || current).messages });
+            return messages === undefined ? undefined : { messages: messages, updatedAt: new Date().toISOString() };
+        });
+    }
+
+    // Record a channel_post or edited_channel_post; returns the stored entry
+    async record(msg) {
+        return (await this.recordAll([msg]))[0];
+    }
+
+    // Record several posts of the same or different channels, one write per channel; returns
+    // the stored entries in the order of messages
+    async recordAll(messages) {
+        const entries = new Map();
+        const channelIds = [...new Set(messages.map(msg => msg.chat.id))];
+
+        for (const channelId of channelIds) {
+            await this.update(channelId, (stored) => {
+                for (const msg of messages.filter(message => message.chat.id === channelId)) {
+                    const previous = stored[msg.message_id];
+
+                    // An older copy of the post (e.g. a late retry of the original channel_post)
+                    // must not overwrite an edit we already have
+                    const entry = createEntry(msg);
+                    if (previous && previous.editDate && (!entry.editDate || entry.editDate < previous.editDate)) {
+                        entries.set(msg, previous);
+                        continue;
+                    }
+                    stored[msg.message_id] = entry;
+                    entries.set(msg, entry);
+                }
+                return stored;
+            });
+        }
+
+        return messages.map(msg => entries.get(msg));
+    }
+
+    // Posts found to be deleted, or whose file is gone (see lib/library-verifier.js) - kept as
+    // entries without audio, so diffs remove their songs instead of adding them back
+    async markDeleted(channelId, messageIds) {
+        if (messageIds.length === 0) {
+            return;
+        }
+
+        await this.update(channelId, (messages) => {
+            messageIds.forEach(messageId => {
+                messages[messageId] = {
+                    ...(messages[messageId] || { messageId: messageId }),
+                    track: null,
+                    deleted: true
+                };
+            });
+            return messages;
+        });
+    }
+
+    // Drop the posts a diff against tracks (the channel's playlist) has nothing left to do for:
+    // songs already in it, removed songs it no longer has and posts without audio
+    async prune(channelId, tracks) {
+        await this.update(channelId, (messages) => {
+            const { removed, added } = ChannelIndex.diff({ messages }, tracks);
+            const needed = new Set([...removed, ...added].map(track => String(track.messageId)));
+            const kept = Object.fromEntries(Object.entries(messages).filter(([messageId]) => needed.has(messageId)));
+            return Object.keys(kept).length === Object.keys(messages).length ? undefined : kept;
+        });
+    }
+
+    // Audio tracks of a channel in posting order
+    async getTracks(channelId) {
+        const channel = await this.get(channelId);
+        return Object.values(channel.messages)
+            .filter(entry => entry.track)
+            .sort((a, b) => a.messageId - b.messageId)
+            .map(entry => entry.track);
+    }
+
+    // Compare a track list with the index: tracks whose message no longer has audio, and indexed
+    // audio that is not in the list. Tracks the index knows nothing about (older than the index,
+    // or imported) are left alone.
+    // channel: as returned by get()
+    static diff(channel, tracks) {
+        const entries = channel.messages;
+
+        const removed = tracks.filter(track =>
+            track.messageId && entries[track.messageId] && !entries[track.messageId].track);
+
+        const knownMessageIds = new Set(tracks.map(track => track.messageId).filter(Boolean));
+        const knownFiles = new Set(tracks.map(track => track.fileUniqueId).filter(Boolean));
+        const added = Object.values(entries)
+            .filter(entry => entry.track &&
+                !knownMessageIds.has(entry.messageId) &&
+                !knownFiles.has(entry.track.fileUniqueId))
+            .sort((a, b) => a.messageId - b.messageId)
+            .map(entry => entry.track);
+
+        return { removed, added };
+    }
+}
+
+module.exports = {
+    CHANNEL_INDEX_KEY,
+    ChannelIndex
+};
@@ -0,0 +1,168 @@
+// Channel access checks and recovery of channel posts that never reached the webhook
+// Nothing here writes to the channel; the playlist is built from lib/channel-index.js
+const axios = require('axios');
+const { getMethodUrl, getWebhookUrl, getWebhookSecret, deleteWebhook, setWebhook } = require('./webhook');
+
+// Function to check bot permissions in channel
+async function checkBotChannelAccess(bot, channelId) {
+    try {
+        console.log(`🔍 Checking bot access to channel ${channelId}...`);
+
+        // Get channel info
+        const channelInfo = await bot.getChat(channelId);
+        console.log(`✅ Channel found: ${channelInfo.title}`);
+
+        // Get bot info
+        const botInfo = await bot.getMe();
+        console.log(`🤖 Bot: @${botInfo.username}`);
+
+        // Check if bot is member/admin
+        const botMember = await bot.getChatMember(channelId, botInfo.id);
+
+        if (botMember.status === 'administrator' || botMember.status === 'creator') {
+            console.log('✅ Bot has admin access to channel');
+            return true;
+        } else if (botMember.status === 'member') {
+            console.log('⚠️ Bot is a member but not admin - some features may not work');
+            return true;
+        } else {
+            console.log('❌ Bot is not a member of the channel');
+            return false;
+        }
+    } catch (error) {
+        if (error.message.includes('bot is not a member')) {
+            console.log('❌ Bot is not added to the channel!');
+            console.log('🔧 Solution: Add the bot to your channel as admin');
+            console.log(`   1. Go to your channel: ${channelId}`);
+            console.log('   2. Add bot as admin with "Manage Messages" permission');
+        } else {
+            console.log('❌ Error checking channel access:', error.message);
+        }
+        return false;
+    }
+}
+
+// Point Telegram back at this deployment's webhook, with its secret token
+function restoreWebhook(bot, config) {
+    return setWebhook(bot.token, getWebhookUrl(config.getWebPlayerUrl()), {
+        secret_token: getWebhookSecret(bot.token, config.WEBHOOK_SECRET)
+    }, config.TELEGRAM_API_URL);
+}
+
+// Channel posts Telegram still holds as pending updates (e.g. sent while no webhook was set),
+// fetched with getUpdates; returns the channel_post / edited_channel_post messages of the given
+// source channels. Reading the updates consumes them, so pass every source channel.
+async function fetchPendingChannelPosts(bot, channelIds, config) {
+    try {
+        console.log('🔍 Fetching pending channel posts...');
+
+        // Get channel info
+        let reachable = 0;
+        for (const channelId of channelIds) {
+            try {
+                const channelInfo = await bot.getChat(channelId);
+                console.log(`✅ Found channel: ${channelInfo.title} (ID: ${channelInfo.id})`);
+                reachable++;
+            } catch (error) {
+                console.log(`❌ Cannot access channel ${channelId}: ${error.message}`);
+            }
+        }
+        if (reachable === 0) {
+            return [];
+        }
+
+        const channelPosts = [];
+
+        // Temporarily disable webhook and use getUpdates (fallback)
+        try {
+            console.log('🔧 Temporarily switching to polling mode to read pending updates...');
+
+            // Disable webhook temporarily
+            await deleteWebhook(bot.token, {}, config.TELEGRAM_API_URL);
+            console.log('🚫 Webhook temporarily disabled');
+
+            // Wait a moment for webhook to be disabled
+            await new Promise(resolve => setTimeout(resolve, 1000));
+
+            let offset = 0;
+            let scannedCount = 0;
+            const maxScans = 10; // Scan up to 1000 messages (100 * 10)
+
+            for (let i = 0; i < maxScans; i++) {
+                try {
+                    const updatesUrl = `${getMethodUrl(bot.token, 'getUpdates', config.TELEGRAM_API_URL)}?allowed_updates=["channel_post","edited_channel_post"]&limit=100&offset=${offset}&timeout=5`;
+                    const response = await axios.get(updatesUrl);
+
+                    if (response.data.ok && response.data.result && response.data.result.length > 0) {
+                        const posts = response.data.result
+                            .map(update => update.channel_post || update.edited_channel_post)
+                            .filter(post => post && channelIds.includes(post.chat.id));
+
+                        channelPosts.push(...posts);
+                        scannedCount += response.data.result.length;
+
+                        // Update offset to get next batch
+                        offset = response.data.result[response.data.result.length - 1].update_id + 1;
+
+                        console.log(`📄 Batch ${i + 1}: Found ${posts.length} channel posts (Total scanned: ${scannedCount})`);
+
+                        // If we got less than 100 results, we've reached the end
+                        if (response.data.result.length < 100) {
+                            console.log('📚 Reached end of available updates');
+                            break;
+                        }
+                    } else {
+                        console.log('📭 No more updates available');
+                        break;
+                    }
+
+                    // Small delay between requests to avoid rate limiting
+                    if (i < maxScans - 1) {
+                        await new Promise(resolve => setTimeout(resolve, 200));
+                    }
+                } catch (batchError) {
+                    console.log(`⚠️ Batch ${i + 1} failed: ${batchError.message}`);
+                    break;
+                }
+            }
+
+            console.log(`📱 Total found: ${channelPosts.length} channel posts from ${scannedCount} total updates`);
+            if (channelPosts.length === 0) {
+                console.log('💡 Bot can only see posts sent after it was added to the channel - re-post older songs to index them');
+            }
+
+            // Clear all processed updates to avoid reprocessing
+            if (offset > 0) {
+                console.log(`🧹 Clearing processed updates up to offset ${offset}`);
+                await axios.get(`${getMethodUrl(bot.token, 'getUpdates', config.TELEGRAM_API_URL)}?offset=${offset}&limit=1`);
+            }
+
+            // Re-enable webhook
+            console.log('🔧 Re-enabling webhook...');
+            await restoreWebhook(bot, config);
+            console.log('✅ Webhook re-enabled successfully');
+
+        } catch (scanError) {
+            console.log(`⚠️ Reading pending updates failed: ${scanError.message}`);
+
+            // Make sure to re-enable webhook even if reading updates fails
+            try {
+                await restoreWebhook(bot, config);
+                console.log('✅ Webhook re-enabled after scan failure');
+            } catch (webhookError) {
+                console.error('❌ Failed to re-enable webhook:', webhookError.message);
+            }
+        }
+
+        return channelPosts;
+
+    } catch (error) {
+        console.error('❌ Error fetching pending channel posts:', error.message);
+        return [];
+    }
+}
+
+module.exports = {
+    checkBotChannelAccess,
+    fetchPendingChannelPosts
+};
@@ -0,0 +1,265 @@
+// Configuration loader behind config.js
+// Settings come from, highest priority first:
+// 1. environment variables
+// 2. a .env file in the project root (KEY=value lines; never committed, see .gitignore)
+// 3. a settings file: CONFIG_FILE, or settings.json / settings.yaml / settings.yml in the
+//    project root. Its top-level keys are settings; a development, production or test section
+//    overrides them for that profile.
+// 4. the defaults of the profile
+// The profile is NODE_ENV (development when unset). Every value is checked, and the profile's
+// required settings must be present - otherwise loading fails with a ConfigError listing all
+// problems at once.
+const fs = require('fs');
+const path = require('path');
+const { BACKENDS: STORAGE_BACKENDS } = require('./storage');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const SETTINGS_FILES = ['settings.json', 'settings.yaml', 'settings.yml'];
+
+// Bot API server; TELEGRAM_API_URL points elsewhere (a local Bot API server, the tests' fake one)
+const DEFAULT_API_URL = 'https://api.telegram.org';
+
+// Every setting: type ('string', 'integer', 'number', 'url', 'list'), optional default and
+// extra check (returns an error message), and env: other environment variable names read too
+const SETTINGS = {
+    TELEGRAM_BOT_TOKEN: {
+        type: 'string',
+        check: (value) => /^\d+:[\w-]+$/.test(value) ? null : 'must look like 123456:ABC-DEF... (the token from @BotFather)'
+    },
+    // Main source channel, and more as "<id>:<name>,<id>:<name>" (see getSourceChannels)
+    CHANNEL_ID: {
+        type: 'integer',
+        check: (value) => value !== 0 ? null : 'must be a channel ID such as -1001234567890'
+    },
+    CHANNEL_NAME: { type: 'string' },
+    SOURCE_CHANNELS: {
+        type: 'list',
+        check: (value) => {
+            const invalid = value.split(',').map(part => part.trim()).filter(part => part && !/^-?\d+(?::.*)?$/.test(part));
+            return invalid.length > 0 ? `has entries that aren't "<id>:<name>": ${invalid.join(', ')}` : null;
+        }
+    },
+    // Public address of the web player (Netlify sets URL)
+    WEB_PLAYER_URL: { type: 'url', env: ['URL'] },
+    PORT: { type: 'integer', default: 5000 },
+    STORAGE_BACKEND: {
+        type: 'string',
+        check: (value) => STORAGE_BACKENDS.includes(value) ? null : `must be one of ${STORAGE_BACKENDS.join(', ')}`
+    },
+    STORAGE_PATH: { type: 'string' },
+    // Initial playlist for an empty Netlify Blobs store (the music_cache.json format)
+    MUSIC_CACHE_DATA: { type: 'string' },
+    VERIFY_INTERVAL_MINUTES: {
+        type: 'number',
+        default: 60,
+        check: (value) => value > 0 ? null : 'must be more than 0'
+    },
+    VERIFY_CHAT_ID: { type: 'integer' },
+    ADMIN_TOKEN: { type: 'string' },
+    ADMIN_USER_IDS: {
+        type: 'list',
+        check: (value) => value.split(',').every(id => /^\d+$/.test(id.trim())) ? null : 'must be Telegram user IDs separated by commas'
+    },
+    // Bot API server (e.g. a self-hosted telegram-bot-api, or the fake one in test/)
+    TELEGRAM_API_URL: { type: 'url', default: DEFAULT_API_URL },
+    // Directory webhook updates are recorded to (see lib/update-recorder.js); off when unset
+    RECORD_UPDATES_DIR: { type: 'string' },
+    WEBHOOK_SECRET: {
+        type: 'string',
+        check: (value) => /^[A-Za-z0-9_-]{1,256}$/.test(value) ? null : 'must be 1-256 characters of A-Z, a-z, 0-9, _ and -'
+    }
+};
+
+// Per profile: settings that must be set, and defaults that replace the settings' own
+const PROFILES = {
+    development: {
+        required: ['TELEGRAM_BOT_TOKEN', 'CHANNEL_ID'],
+        defaults: {}
+    },
+    production: {
+        required: ['TELEGRAM_BOT_TOKEN', 'CHANNEL_ID', 'WEB_PLAYER_URL'],
+        defaults: {}
+    },
+    // Tests bring their own fake bot and keep nothing on disk
+    test: {
+        required: ['CHANNEL_ID'],
+        defaults: { STORAGE_BACKEND: 'memory' }
+    }
+};
+
+class ConfigError extends Error {
+    constructor(problems, profile) {
+        super(`Invalid configuration (${profile} profile):\n` + problems.map(problem => `  - ${problem}`).join('\n'));
+        this.name = 'ConfigError';
+        this.problems = problems;
+        // The stack trace would only point at config.js
+        this.stack = `${this.name}: ${this.message}`;
+    }
+}
+
+// .env contents -> { KEY: 'value' }
+// Supports comments, "export KEY=...", and single or double quotes (\n in double quotes)
+function parseDotEnv(text) {
+    const values = {};
+    text.split(/\r?\n/).forEach(line => {
+        const match = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/.exec(line);
+        if (!match) {
+            return;
+        }
+        let value = match[2];
+        const quote = value[0];
+        if ((quote === '"' || quote === "'") && value.endsWith(quote) && value.length > 1) {
+            value = value.slice(1, -1);
+            if (quote === '"') {
+                value = value.replace(/\\n/g, '\n');
+            }
+        } else {
+            // Unquoted values end at a " #" comment
+            value = value.replace(/\s+#.*$/, '');
+        }
+        values[match[1]] = value;
+    });
+    return values;
+}
+
+function readDotEnv(filePath) {
+    return fs.existsSync(filePath) ? parseDotEnv(fs.readFileSync(filePath, 'utf8')) : {};
+}
+
+// Settings file -> object; YAML needs the yaml package, which isn't installed by default
+function readSettingsFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    if (/\.ya?ml$/i.test(filePath)) {
+        let YAML;
+        try {
+            YAML = require('yaml');
+        } catch (error) {
+            throw new Error(`${path.basename(filePath)} needs the yaml package (npm install yaml) - or use settings.json`);
+        }
+        return YAML.parse(text) || {};
+    }
+    return JSON.parse(text);
+}
+
+function findSettingsFile(root, configuredPath) {
+    if (configuredPath) {
+        return path.resolve(root, configuredPath);
+    }
+    const name = SETTINGS_FILES.find(file => fs.existsSync(path.join(root, file)));
+    return name ? path.join(root, name) : null;
+}
+
+// A raw value (string from the environment, anything from a settings file) as the setting's
+// type; returns { value } or { error }
+function convertValue(setting, raw) {
+    switch (setting.type) {
+        case 'integer': {
+            const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+            return Number.isInteger(value) ? { value } : { error: 'must be a whole number' };
+        }
+        case 'number': {
+            const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+            return Number.isFinite(value) ? { value } : { error: 'must be a number' };
+        }
+        case 'url': {
+            const value = String(raw).trim().replace(/\/+$/, '');
+            return /^https?:\/\/[^\s/]+/.test(value) ? { value } : { error: 'must be an http(s) URL' };
+        }
+        case 'list':
+            // Settings files may use a list; the environment a comma separated string
+            return { value: Array.isArray(raw) ? raw.join(',') : String(raw) };
+        default:
+            return typeof raw === 'object' ? { error: 'must be text' } : { value: String(raw) };
+    }
+}
+
+// Settings of one profile from the given sources; throws ConfigError
+// options.env: environment variables (default process.env)
+// options.root: directory of .env and the settings file (default the project root)
+function loadConfig({ env = process.env, root = PROJECT_ROOT } = {}) {
+    const dotEnv = readDotEnv(path.join(root, '.env'));
+    // Empty values count as unset, as with a blank variable in the Netlify dashboard
+    const isSet = (value) => value !== undefined && value !== null && value !== '';
+    const fromEnv = (name) => (isSet(env[name]) ? env[name] : isSet(dotEnv[name]) ? dotEnv[name] : undefined);
+
+    const profile = fromEnv('NODE_ENV') || 'development';
+    if (!PROFILES[profile]) {
+        throw new ConfigError([`NODE_ENV must be one of ${Object.keys(PROFILES).join(', ')} (got "${profile}")`], profile);
+    }
+
+    const problems = [];
+    const settingsPath = findSettingsFile(root, fromEnv('CONFIG_FILE'));
+    let fileSettings = {};
+    if (settingsPath) {
+        try {
+            const parsed = readSettingsFile(settingsPath);
+            const shared = Object.fromEntries(Object.entries(parsed).filter(([key]) => !PROFILES[key]));
+            fileSettings = { ...shared, ...(parsed[profile] || {}) };
+            Object.keys(fileSettings)
+                .filter(key => !SETTINGS[key])
+                .forEach(key => problems.push(`Unknown setting ${key} in ${path.basename(settingsPath)}`));
+        } catch (error) {
+            problems.push(`Could not read ${settingsPath}: ${error.message}`);
+        }
+    }
+    const settingsName = settingsPath ? path.basename(settingsPath) : 'settings.json';
+
+    const config = {};
+    const invalid = new Set();
+    Object.entries(SETTINGS).forEach(([key, setting]) => {
+        const envName = [key, ...(setting.env || [])].find(name => fromEnv(name) !== undefined);
+        let raw;
+        let source;
+        if (envName) {
+            raw = fromEnv(envName);
+            source = isSet(env[envName]) ? `environment variable ${envName}` : `${envName} in .env`;
+        } else if (isSet(fileSettings[key])) {
+            raw = fileSettings[key];
+            source = settingsName;
+        }
+
+        if (raw === undefined) {
+            const fallback = key in PROFILES[profile].defaults ? PROFILES[profile].defaults[key] : setting.default;
+            config[key] = fallback === undefined ? null : fallback;
+            return;
+        }
+
+        const converted = convertValue(setting, raw);
+        const error = converted.error || (setting.check && setting.check(converted.value));
+        if (error) {
+            problems.push(`${key} ${error} (from ${source})`);
+            invalid.add(key);
+            config[key] = null;
+        } else {
+            config[key] = converted.value;
+        }
+    });
+
+    PROFILES[profile].required
+        .filter(key => config[key] === null && !invalid.has(key))
+        .forEach(key => problems.push(`${key} is required - set it in the environment, .env or ${settingsName}`));
+
+    if (problems.length > 0) {
+        throw new ConfigError(problems, profile);
+    }
+
+    return {
+        ...config,
+        profile: profile,
+        isProduction: profile === 'production',
+        isDevelopment: profile === 'development',
+        isTest: profile === 'test',
+
+        // Where listeners open the web player; locally the server itself
+        getWebPlayerUrl: () => config.WEB_PLAYER_URL || `http://localhost:${config.PORT}`
+    };
+}
+
+module.exports = {
+    DEFAULT_API_URL,
+    SETTINGS,
+    PROFILES,
+    ConfigError,
+    parseDotEnv,
+    loadConfig
+};
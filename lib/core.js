@@ -0,0 +1,165 @@
+// Music player core shared by server.js (Express) and functions/api.js (Netlify)
+// Owns one track library per source channel (see lib/library.js; playback state is per
+// listener, see lib/sessions.js); entry points only create the bot and storage and mount the
+// routes from lib/routes.js.
+const { PlaybackSessions } = require('./sessions');
+const { ListenRooms } = require('./rooms');
+const { UserPlaylists } = require('./playlists');
+const { UserFavorites } = require('./favorites');
+const { AdminAccess } = require('./admin');
+const { UpdateRecorder } = require('./update-recorder');
+const { NowPlayingMessages } = require('./now-playing');
+const { ChannelIndex } = require('./channel-index');
+const { parseDesktopExport } = require('./desktop-import');
+const { getSourceChannels, ChannelLibrary } = require('./library');
+const { checkBotChannelAccess } = require('./channel-scan');
+
+class MusicCore {
+    // options.scanWhenEmpty: build the playlist from the channel index (and fall back to the demo
+    // playlist) when storage has no tracks - only the long-running server has time for that. Its
+    // startup (initializeMusic) also reads the pending channel posts; requests never do.
+    // options.streamOptions: passed to streamTrack (e.g. maxChunkSize on Netlify)
+    // options.liveEvents: keep SSE streams open and push events (false on Netlify, where
+    // every stream returns the current state and the client reconnects)
+    constructor({ bot, storage, config, scanWhenEmpty = false, streamOptions = {}, liveEvents = false }) {
+        this.bot = bot;
+        this.storage = storage;
+        this.config = config;
+        this.scanWhenEmpty = scanWhenEmpty;
+        this.streamOptions = streamOptions;
+        this.liveEvents = liveEvents;
+
+        // Every post of the source channels seen through updates; syncing diffs against it
+        this.channelIndex = new ChannelIndex(this);
+        // One library per source channel, the primary (CHANNEL_ID) first
+        this.libraries = new Map(getSourceChannels(config).map((channel, index) =>
+            [channel.id, new ChannelLibrary(this, channel, { primary: index === 0 })]));
+        this.library = this.libraries.values().next().value;
+        // Playback state (current track, position, ...) is per listener
+        this.sessions = new PlaybackSessions(this);
+        // Listen-together rooms follow their host's session
+        this.rooms = new ListenRooms(this);
+        this.sessions.onChange((sessionId, session, event) => this.rooms.followHost(sessionId, session, event));
+        // /nowplaying messages in Telegram are edited whenever their session changes - not
+        // awaited, so a play or seek request doesn't wait for the Bot API round-trips
+        this.nowPlaying = new NowPlayingMessages(this);
+        this.sessions.onChange((sessionId, session, event) => {
+            this.nowPlaying.followSession(sessionId, session, event)
+                .catch(error => console.error('❌ Error updating now playing messages:', error.message));
+        });
+        // Named playlists listeners build from songs of any source channel
+        this.playlists = new UserPlaylists(this);
+        // ❤️ per listener; their sum is each track's like count
+        this.favorites = new UserFavorites(this);
+        // Who may sync, import and back up (channel administrators + ADMIN_USER_IDS)
+        this.admins = new AdminAccess(this);
+        // Webhook updates saved for scripts/replay-updates.js (RECORD_UPDATES_DIR)
+        this.updateRecorder = new UpdateRecorder(this);
+    }
+
+    get channelIds() {
+        return [...this.libraries.keys()];
+    }
+
+    // Library of a source channel; the primary library for null or unknown IDs
+    getLibrary(channelId) {
+        return this.libraries.get(Number(channelId)) || this.library;
+    }
+
+    // getLibrary(), with its music loaded
+    async ensureLibrary(channelId) {
+        const library = this.getLibrary(channelId);
+        await library.ensureMusic();
+        return library;
+    }
+
+    // Load every library (server startup), picking up channel posts that arrived while no
+    // webhook was set
+    async initializeMusic() {
+        for (const library of this.libraries.values()) {
+            await library.initializeMusic({ fetchPending: true });
+        }
+    }
+
+    // Check the bot's membership and admin rights in every source channel
+    // Returns { [channelId]: true | false }
+    async checkChannelAccess() {
+        const access = {};
+        for (const channelId of this.libraries.keys()) {
+            access[channelId] = this.bot ? await checkBotChannelAccess(this.bot, channelId) : false;
+        }
+        return access;
+    }
+
+    // Find a track in any library - stream URLs carry only the track ID
+    // Returns { library, track } or null. Loading a library may write to storage, so look tracks
+    // up before a storage.update, never inside its callback.
+    async findTrack(trackId) {
+        for (const library of this.libraries.values()) {
+            await library.ensureMusic();
+            const track = library.musicFiles.find(candidate => candidate.id === trackId);
+            if (track) {
+                return { library, track };
+            }
+        }
+        return null;
+    }
+
+    // Run the periodic verification of every library; returns the results by channel
+    async verifyLibraries() {
+        const results = {};
+        for (const library of this.libraries.values()) {
+            results[library.channelId] = await library.verifier.run();
+        }
+        return results;
+    }
+
+    // Import a Telegram Desktop export (result.json as object or string) into the library of
+    // its channel (exports without a channel ID go to the primary one).
+    // options.authorize(channelId): awaited before importing, false refuses the import
+    async importDesktopExport(input, { authorize } = {}) {
+        const parsed = parseDesktopExport(input);
+        if (parsed.channelId && !this.libraries.has(parsed.channelId)) {
+            throw new Error(`Export is from channel ${parsed.channelId} ("${parsed.name}"), which is not a source channel (${this.channelIds.join(', ')})`);
+        }
+
+        const library = this.getLibrary(parsed.channelId);
+        if (authorize && !(await authorize(library.channelId))) {
+            throw new Error(`Only admins of channel ${library.channelId} can import its export`);
+        }
+        return library.importDesktopExport(parsed);
+    }
+
+    // Listen for new audio uploads in the source channels (REAL-TIME)
+    async handleChannelPost(msg) {
+        console.log(`📺 Channel post received from: ${msg.chat.username || msg.chat.title || msg.chat.id}`);
+        console.log(`📍 Post details:`, JSON.stringify({
+            chatId: msg.chat.id,
+            chatUsername: msg.chat.username,
+            chatTitle: msg.chat.title,
+            hasAudio: !!msg.audio,
+            hasVoice: !!msg.voice,
+            hasDocument: !!msg.document,
+            messageId: msg.message_id
+        }, null, 2));
+
+        const library = this.libraries.get(msg.chat.id);
+        if (!library) {
+            console.log(`⚠️ Post from a channel that is not a source channel: ${msg.chat.username || msg.chat.title} (Source channels: ${this.channelIds.join(', ')})`);
+            return false;
+        }
+
+        console.log(`✅ Confirmed: Post from source channel ${library.channelId}`);
+        return library.handleChannelPost(msg);
+    }
+
+    // Returns 'updated' | 'removed' | 'added', or false (see ChannelLibrary.handleEditedChannelPost)
+    async handleEditedChannelPost(msg) {
+        const library = this.libraries.get(msg.chat.id);
+        return library ? library.handleEditedChannelPost(msg) : false;
+    }
+}
+
+module.exports = {
+    MusicCore
+};
@@ -0,0 +1,105 @@
+// Import of a Telegram Desktop channel export ("Export chat history" -> result.json)
+// The Bot API only sees posts made after the bot joined the channel; an export covers the
+// whole history. Exports carry no file IDs, so imported songs are keyed by their messageId:
+// the file ID comes from the channel index when the post is indexed, otherwise it is resolved
+// on first use by forwarding the post into the private VERIFY_CHAT_ID chat (see resolveTrackFile).
+const { TELEGRAM_DOWNLOAD_LIMIT, formatDuration, getAudioAttachment, ensureTrackId } = require('./tracks');
+
+// media_type values Telegram Desktop uses for audio
+const AUDIO_MEDIA_TYPES = ['audio_file', 'voice_message'];
+const AUDIO_FILE_PATTERN = /\.(mp3|wav|ogg|m4a|flac|aac|mp4)$/i;
+
+// Export "text" is a string, or an array of strings and { type, text } entities
+function flattenText(text) {
+    if (Array.isArray(text)) {
+        return text.map(part => (typeof part === 'string' ? part : part.text || '')).join('');
+    }
+    return typeof text === 'string' ? text : '';
+}
+
+function isAudioMessage(message) {
+    if (message.type !== 'message') {
+        return false;
+    }
+    return AUDIO_MEDIA_TYPES.includes(message.media_type) ||
+        !!message.mime_type?.includes('audio') ||
+        AUDIO_FILE_PATTERN.test(message.file_name || '');
+}
+
+// Bot API chat ID of an exported channel (exports use the bare ID)
+function getExportChannelId(data) {
+    return data.id ? Number(`-100${data.id}`) : null;
+}
+
+// Track from an exported message - the musicFiles schema, with needsFileId until resolved
+function buildTrackFromExport(message) {
+    const caption = flattenText(message.text).trim();
+    const track = {
+        title: message.title || message.file_name || message.performer || `Music ${message.id}`,
+        duration: formatDuration(message.duration_seconds),
+        fileId: null,
+        performer: message.performer || 'Unknown Artist',
+        messageId: message.id,
+        uploadDate: message.date_unixtime
+            ? new Date(Number(message.date_unixtime) * 1000).toISOString()
+            : new Date(message.date).toISOString(),
+        needsFileId: true
+    };
+
+    if (caption) {
+        track.caption = caption;
+    }
+    if (message.file_size > TELEGRAM_DOWNLOAD_LIMIT) {
+        track.isLargeFile = true;
+    }
+    return ensureTrackId(track);
+}
+
+// Parse result.json (object or JSON string); throws on anything that isn't a chat export
+function parseDesktopExport(input) {
+    const data = typeof input === 'string' ? JSON.parse(input) : input;
+    if (!data || !Array.isArray(data.messages)) {
+        throw new Error('Not a Telegram Desktop export: result.json must contain a "messages" list');
+    }
+
+    const audioMessages = data.messages.filter(isAudioMessage);
+    return {
+        name: data.name || null,
+        channelId: getExportChannelId(data),
+        totalMessages: data.messages.length,
+        tracks: audioMessages.map(buildTrackFromExport)
+    };
+}
+
+// Fill in the file ID of an imported track by forwarding its post into the private lookup chat;
+// mutates the track and returns true when it was resolved
+async function resolveTrackFile(bot, channelId, lookupChatId, track) {
+    if (!track.needsFileId || !track.messageId || !bot || !lookupChatId) {
+        return false;
+    }
+
+    const copy = await bot.forwardMessage(lookupChatId, channelId, track.messageId, {
+        disable_notification: true
+    });
+    try {
+        await bot.deleteMessage(lookupChatId, copy.message_id);
+    } catch (deleteError) {
+        // The copy only lives in the private lookup chat
+    }
+
+    const audioFile = getAudioAttachment(copy);
+    if (!audioFile) {
+        return false;
+    }
+
+    track.fileId = audioFile.file_id;
+    track.fileUniqueId = audioFile.file_unique_id;
+    delete track.needsFileId;
+    console.log(`🔗 Resolved file ID of imported track: ${track.title}`);
+    return true;
+}
+
+module.exports = {
+    parseDesktopExport,
+    resolveTrackFile
+};
@@ -0,0 +1,90 @@
+// Favorites (❤️) per listener
+// A Telegram user's favorites are kept under tg<userId>, the same ID whether they like a song
+// with the bot or in the web player opened from Telegram (see lib/webapp.js). Web players
+// without a Telegram identity use their session cookie instead. Summed over all listeners, the
+// favorites give each track's like count.
+const { toPublicTrack } = require('./stream');
+const { httpError } = require('./http-error');
+
+const FAVORITES_KEY = 'favorites';
+const MAX_FAVORITES = 1000;
+
+class UserFavorites {
+    constructor(core) {
+        this.core = core;
+    }
+
+    get storage() {
+        return this.core.storage;
+    }
+
+    // Liked track IDs, most recently liked first
+    async list(ownerId) {
+        const favorites = await this.storage.load(FAVORITES_KEY);
+        return (favorites && favorites[ownerId] && favorites[ownerId].trackIds) || [];
+    }
+
+    // { [trackId]: number of listeners who like it }
+    async getLikeCounts() {
+        const favorites = await this.storage.load(FAVORITES_KEY);
+        const counts = {};
+        Object.values(favorites || {}).forEach(entry => {
+            entry.trackIds.forEach(trackId => {
+                counts[trackId] = (counts[trackId] || 0) + 1;
+            });
+        });
+        return counts;
+    }
+
+    // Like or unlike a track of any source channel; liked (boolean) sets it, otherwise it
+    // flips. Returns { liked, trackIds }, or null when no library has the track.
+    async toggle(ownerId, trackId, liked) {
+        if (!(await this.core.findTrack(trackId))) {
+            return null;
+        }
+
+        let result = null;
+        await this.storage.update(FAVORITES_KEY, (stored) => {
+            const current = (stored && stored[ownerId] && stored[ownerId].trackIds) || [];
+            const wasLiked = current.includes(trackId);
+            const like = typeof liked === 'boolean' ? liked : !wasLiked;
+            if (like === wasLiked) {
+                result = { liked: like, trackIds: current };
+                return undefined;
+            }
+            if (like && current.length >= MAX_FAVORITES) {
+                throw httpError(`You can have at most ${MAX_FAVORITES} favorites`, 400);
+            }
+
+            const favorites = { ...(stored || {}) };
+            const trackIds = like ? [trackId, ...current] : current.filter(id => id !== trackId);
+            if (trackIds.length > 0) {
+                favorites[ownerId] = { trackIds: trackIds, updatedAt: new Date().toISOString() };
+            } else {
+                delete favorites[ownerId];
+            }
+            result = { liked: like, trackIds: trackIds };
+            return favorites;
+        });
+        return result;
+    }
+
+    // The owner's favorites as sent to the web player, like a named playlist: tracks that are no
+    // longer in any library are left out and counted as missing
+    async toPublicFavorites(ownerId) {
+        const trackIds = await this.list(ownerId);
+        const tracks = [];
+        for (const trackId of trackIds) {
+            const found = await this.core.findTrack(trackId);
+            if (found) {
+                tracks.push({ ...toPublicTrack(found.track), channelId: found.library.channelId });
+            }
+        }
+        return { trackIds, tracks, missing: trackIds.length - tracks.length };
+    }
+}
+
+module.exports = {
+    FAVORITES_KEY,
+    UserFavorites
+};
@@ -0,0 +1,145 @@
+// GitHub backup helpers for the /backup and /repos bot commands
+// Uses the Replit GitHub connector for credentials; Octokit is loaded only when needed
+
+async function getGitHubClient() {
+    const { Octokit } = require('@octokit/rest');
+
+    const hostname = process.env.REPLIT_CONNECTORS_HOSTNAME;
+    const xReplitToken = process.env.REPL_IDENTITY
+        ? 'repl ' + process.env.REPL_IDENTITY
+        : process.env.WEB_REPL_RENEWAL
+        ? 'depl ' + process.env.WEB_REPL_RENEWAL
+        : null;
+
+    if (!xReplitToken) {
+        throw new Error('GitHub connection not available in this environment');
+    }
+
+    const connectionSettings = await fetch(
+        'https://' + hostname + '/api/v2/connection?include_secrets=true&connector_names=github',
+        {
+            headers: {
+                'Accept': 'application/json',
+                'X_REPLIT_TOKEN': xReplitToken
+            }
+        }
+    ).then(res => res.json()).then(data => data.items?.[0]);
+
+    const accessToken = connectionSettings?.settings?.access_token || connectionSettings?.settings?.oauth?.credentials?.access_token;
+
+    if (!connectionSettings || !accessToken) {
+        throw new Error('GitHub not connected');
+    }
+
+    return new Octokit({ auth: accessToken });
+}
+
+async function backupPlaylistToGitHub(musicFiles, repositoryName = 'telegram-music-backup') {
+    try {
+        const github = await getGitHubClient();
+
+        // Get user info
+        const { data: user } = await github.rest.users.getAuthenticated();
+        console.log(`🔗 Connected to GitHub as: ${user.login}`);
+
+        // Check if repository exists, create if not
+        let repo;
+        try {
+            const { data } = await github.rest.repos.get({
+                owner: user.login,
+                repo: repositoryName
+            });
+            repo = data;
+            console.log(`✅ Found existing repository: ${repo.full_name}`);
+        } catch (error) {
+            if (error.status === 404) {
+                // Create new repository
+                const { data } = await github.rest.repos.createForAuthenticatedUser({
+                    name: repositoryName,
+                    description: 'Backup of Telegram Music Bot playlist',
+                    private: false
+                });
+                repo = data;
+                console.log(`🆕 Created new repository: ${repo.full_name}`);
+            } else {
+                throw error;
+            }
+        }
+
+        // Create backup content
+        const backupData = {
+            backup_date: new Date().toISOString(),
+            total_tracks: musicFiles.length,
+            tracks: musicFiles
+        };
+
+        const content = JSON.stringify(backupData, null, 2);
+        const encodedContent = Buffer.from(content).toString('base64');
+
+        // Check if file exists
+        let sha = null;
+        try {
+            const { data } = await github.rest.repos.getContent({
+                owner: user.login,
+                repo: repositoryName,
+                path: 'playlist-backup.json'
+            });
+            sha = data.sha;
+        } catch (error) {
+            // File doesn't exist, that's fine
+        }
+
+        // Upload/update the backup file
+        await github.rest.repos.createOrUpdateFileContents({
+            owner: user.login,
+            repo: repositoryName,
+            path: 'playlist-backup.json',
+            message: `Backup playlist - ${musicFiles.length} tracks (${new Date().toLocaleString()})`,
+            content: encodedContent,
+            sha: sha // Include SHA if updating existing file
+        });
+
+        console.log(`💾 Successfully backed up ${musicFiles.length} tracks to GitHub!`);
+        console.log(`🔗 Repository: https://github.com/${user.login}/${repositoryName}`);
+
+        return {
+            success: true,
+            repository: repo.html_url,
+            backup_file: `https://github.com/${user.login}/${repositoryName}/blob/main/playlist-backup.json`
+        };
+
+    } catch (error) {
+        console.error('❌ Error backing up to GitHub:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+async function listUserRepositories() {
+    try {
+        const github = await getGitHubClient();
+
+        const { data: repos } = await github.rest.repos.listForAuthenticatedUser({
+            sort: 'updated',
+            per_page: 10
+        });
+
+        return repos.map(repo => ({
+            name: repo.name,
+            full_name: repo.full_name,
+            url: repo.html_url,
+            description: repo.description,
+            language: repo.language,
+            stars: repo.stargazers_count,
+            updated_at: repo.updated_at
+        }));
+
+    } catch (error) {
+        console.error('❌ Error listing repositories:', error.message);
+        return [];
+    }
+}
+
+module.exports = {
+    backupPlaylistToGitHub,
+    listUserRepositories
+};
@@ -0,0 +1,11 @@
+// Errors the routes answer with their own HTTP status (error.statusCode), e.g. a 404 for a
+// playlist that doesn't exist; the bot shows their message as it is
+function httpError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+module.exports = {
+    httpError
+};
@@ -0,0 +1,140 @@
+// Periodic library verification
+// Lets the playlist converge on the channel's real state without anyone pressing "Refresh Songs".
+// Each run is cheap:
+//   1. the playlist is diffed against the channel index (storage only, see lib/channel-index.js)
+//   2. a small rotating batch of tracks is checked: getFile confirms the file is still there and
+//      refreshes its download link; with VERIFY_CHAT_ID set, each post is also forwarded into that
+//      private chat (and the copy deleted right away) to find posts deleted from the channel,
+//      which the Bot API never reports.
+// Nothing is ever sent to the channel itself.
+const { resolveFileLink } = require('./stream');
+
+const VERIFY_STATE_KEY = 'verify_state';
+// Tracks checked per run - a full pass over N tracks takes N / VERIFY_BATCH_SIZE runs
+const VERIFY_BATCH_SIZE = 10;
+
+function getErrorDescription(error) {
+    return error.response?.body?.description || error.message || '';
+}
+
+class LibraryVerifier {
+    // library: the ChannelLibrary to verify (see lib/library.js)
+    constructor(library) {
+        this.library = library;
+    }
+
+    get storage() {
+        return this.library.storage;
+    }
+
+    // Each channel keeps its own rotation
+    get stateKey() {
+        return this.library.getChannelKey(VERIFY_STATE_KEY);
+    }
+
+    get verifyChatId() {
+        return this.library.config.VERIFY_CHAT_ID || null;
+    }
+
+    // true / false when the channel post does or doesn't exist, null when it couldn't be told
+    async postExists(messageId) {
+        const bot = this.library.bot;
+        try {
+            const copy = await bot.forwardMessage(this.verifyChatId, this.library.channelId, messageId, {
+                disable_notification: true
+            });
+            try {
+                await bot.deleteMessage(this.verifyChatId, copy.message_id);
+            } catch (deleteError) {
+                // The copy only lives in the private verification chat
+            }
+            return true;
+        } catch (error) {
+            const description = getErrorDescription(error);
+            if (description.includes('message to forward not found') || description.includes('MESSAGE_ID_INVALID')) {
+                return false;
+            }
+            console.log(`⚠️ Could not verify message ${messageId}: ${description}`);
+            return null;
+        }
+    }
+
+    async run({ batchSize = VERIFY_BATCH_SIZE } = {}) {
+        if (!this.library.bot) {
+            return { success: false, error: 'Bot not initialized' };
+        }
+
+        try {
+            console.log(`🔎 Verifying library of channel ${this.library.channelId}...`);
+            await this.library.ensureMusic();
+
+            const sync = await this.library.syncPlaylistWithChannel();
+
+            const state = (await this.storage.load(this.stateKey)) || { cursor: 0 };
+            const tracks = this.library.musicFiles.filter(track => track.fileId);
+            const start = tracks.length > 0 ? state.cursor % tracks.length : 0;
+            const batch = [...tracks.slice(start), ...tracks.slice(0, start)].slice(0, batchSize);
+
+            const deletedPosts = [];
+            const missingFiles = [];
+            const refreshedLinks = [];
+
+            for (const track of batch) {
+                if (this.verifyChatId && track.messageId && (await this.postExists(track.messageId)) === false) {
+                    console.log(`🗑️ Post ${track.messageId} was deleted - removing "${track.title}"`);
+                    deletedPosts.push(track);
+                    continue;
+                }
+
+                try {
+                    if (await resolveFileLink(this.library.bot, track)) {
+                        refreshedLinks.push(track);
+                    }
+                } catch (error) {
+                    const description = getErrorDescription(error);
+                    // "wrong file_id or the file is temporarily unavailable" may be transient
+                    if (description.includes('invalid file_id')) {
+                        console.log(`🗑️ File of "${track.title}" no longer exists - removing it`);
+                        missingFiles.push(track);
+                    } else {
+                        console.log(`⚠️ Could not check file of "${track.title}": ${description}`);
+                    }
+                }
+            }
+
+            // Also mark the index, or the next diff would add the songs straight back
+            const gone = [...deletedPosts, ...missingFiles];
+            await this.library.channelIndex.markDeleted(this.library.channelId, gone.map(track => track.messageId).filter(Boolean));
+            const removed = await this.library.removeTracks(gone.map(track => track.id));
+            await this.library.channelIndex.prune(this.library.channelId, this.library.musicFiles);
+            if (refreshedLinks.length > 0) {
+                await this.library.saveFileLinks(refreshedLinks);
+            }
+
+            const result = {
+                success: true,
+                checked: batch.length,
+                tracksAdded: sync.success ? sync.tracksAdded : 0,
+                tracksRemoved: (sync.success ? sync.tracksRemoved : 0) + removed.length,
+                totalTracks: this.library.musicFiles.length
+            };
+
+            await this.storage.save(this.stateKey, {
+                cursor: start + batch.length,
+                lastRunAt: new Date().toISOString(),
+                lastResult: result
+            });
+
+            console.log(`✅ Library verified: checked ${result.checked}, added ${result.tracksAdded}, removed ${result.tracksRemoved}, total ${result.totalTracks}`);
+            return result;
+        } catch (error) {
+            console.error('❌ Error verifying library:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = {
+    VERIFY_STATE_KEY,
+    LibraryVerifier
+};
@@ -0,0 +1,628 @@
+// Track library of one source channel
+// Every source channel has its own playlist in storage: the primary channel (CHANNEL_ID) keeps the
+// original music_cache key so existing libraries carry over, other channels get their own key
+// (see getChannelKey). MusicCore holds one ChannelLibrary per configured channel.
+const { toStoredTrack } = require('./stream');
+const { LIBRARY_KEY } = require('./storage');
+const { SearchIndex } = require('./search');
+const { ChannelIndex } = require('./channel-index');
+const { LibraryVerifier } = require('./library-verifier');
+const { resolveTrackFile } = require('./desktop-import');
+const { parsePlaylist, matchEntries } = require('./playlist-formats');
+const { getAudioAttachment, buildTrackFromMessage, ensureTrackId, migrateTracks } = require('./tracks');
+const { checkBotChannelAccess, fetchPendingChannelPosts } = require('./channel-scan');
+
+const DEMO_PLAYLIST = [
+    {
+        title: "Demo Song 1",
+        url: "https://www.soundhelix.com/examples/mp3/SoundHelix-Song-1.mp3",
+        duration: "4:47"
+    },
+    {
+        title: "Demo Song 2",
+        url: "https://www.soundhelix.com/examples/mp3/SoundHelix-Song-2.mp3",
+        duration: "4:44"
+    },
+    {
+        title: "Demo Song 3",
+        url: "https://www.soundhelix.com/examples/mp3/SoundHelix-Song-3.mp3",
+        duration: "5:10"
+    }
+];
+
+// Source channels from the config: CHANNEL_ID first, then SOURCE_CHANNELS
+// ("<id>:<name>,<id>:<name>", names optional) - returns [{ id, name }]
+function getSourceChannels(config) {
+    const channels = [{ id: Number(config.CHANNEL_ID), name: config.CHANNEL_NAME || null }];
+
+    String(config.SOURCE_CHANNELS || '').split(',').forEach(part => {
+        const separator = part.indexOf(':');
+        const id = Number((separator >= 0 ? part.slice(0, separator) : part).trim());
+        const name = separator >= 0 ? part.slice(separator + 1).trim() : '';
+        if (id && !channels.some(channel => channel.id === id)) {
+            channels.push({ id: id, name: name || null });
+        }
+    });
+    return channels;
+}
+
+// The edited version of a track; keeps its ID, and drops the resolved file link when the audio
+// file itself was replaced
+function updateTrackFromEdit(track, edited) {
+    const updated = { ...track, ...edited, id: track.id };
+    // Optional fields the edit may have dropped
+    if (!edited.caption) {
+        delete updated.caption;
+    }
+    if (!edited.isLargeFile) {
+        delete updated.isLargeFile;
+    }
+    // An imported track gets its file ID from the edited post
+    delete updated.needsFileId;
+    if (edited.fileUniqueId !== track.fileUniqueId) {
+        delete updated.filePath;
+        delete updated.fileSize;
+        delete updated.resolvedAt;
+    }
+    return updated;
+}
+
+class ChannelLibrary {
+    // channel: { id, name } from getSourceChannels; primary: the CHANNEL_ID channel
+    constructor(core, { id, name }, { primary = false } = {}) {
+        this.core = core;
+        this.channelId = id;
+        this.name = name;
+        this.primary = primary;
+        this.storageKey = this.getChannelKey(LIBRARY_KEY);
+
+        this.musicFiles = [];
+        this.searchIndex = null;
+        // Periodic check that the playlist still matches the channel
+        this.verifier = new LibraryVerifier(this);
+    }
+
+    get bot() {
+        return this.core.bot;
+    }
+
+    get storage() {
+        return this.core.storage;
+    }
+
+    get config() {
+        return this.core.config;
+    }
+
+    get channelIndex() {
+        return this.core.channelIndex;
+    }
+
+    get scanWhenEmpty() {
+        return this.core.scanWhenEmpty;
+    }
+
+    // Storage key of per-channel state: the plain key for the primary channel, "<key>_<channelId>"
+    // for the others
+    getChannelKey(key) {
+        return this.primary ? key : `${key}_${this.channelId}`;
+    }
+
+    // Display name: configured, else the channel's title (looked up once)
+    async getName() {
+        if (!this.name && this.bot) {
+            try {
+                this.name = (await this.bot.getChat(this.channelId)).title || null;
+            } catch (error) {
+                console.log(`⚠️ Could not look up channel ${this.channelId}: ${error.message}`);
+            }
+        }
+        return this.name || `Channel ${this.channelId}`;
+    }
+
+    // Load persisted music, migrating older caches
+    async loadMusic() {
+        try {
+            const data = await this.storage.load(this.storageKey);
+            if (!data || !data.musicFiles || data.musicFiles.length === 0) {
+                return false;
+            }
+
+            const migrated = this.applyLibrary(data);
+
+            console.log('🎵 Track list:');
+            this.musicFiles.forEach((track, index) => {
+                console.log(`   ${index + 1}. ${track.title}`);
+            });
+
+            if (migrated) {
+                await this.saveMusic();
+            }
+            return true;
+        } catch (error) {
+            console.error('Error loading music data:', error);
+            return false;
+        }
+    }
+
+    // Adopt a stored library; returns true if the tracks needed migrating
+    applyLibrary(data) {
+        this.musicFiles = data.musicFiles.map(toStoredTrack);
+        return migrateTracks(this.musicFiles);
+    }
+
+    // The stored form of the library (never with token-bearing URLs)
+    toLibrary() {
+        return {
+            musicFiles: this.musicFiles.map(toStoredTrack),
+            lastUpdated: new Date().toISOString()
+        };
+    }
+
+    // Save music data to persistent storage; options.snapshot when the track list changed
+    async saveMusic(options = {}) {
+        try {
+            await this.storage.save(this.storageKey, this.toLibrary(), options);
+            return true;
+        } catch (error) {
+            console.error('Error saving music data:', error);
+            return false;
+        }
+    }
+
+    // Persist refreshed file links (filePath, fileSize, resolvedAt) into the stored tracks by ID.
+    // Never the whole in-memory list: a warm instance's copy may miss tracks other instances
+    // added since it loaded.
+    async saveFileLinks(tracks) {
+        const refreshed = new Map(tracks.filter(track => track.filePath).map(track => [track.id, track]));
+        try {
+            await this.storage.update(this.storageKey, (stored) => {
+                if (!stored || !stored.musicFiles || stored.musicFiles.length === 0) {
+                    return undefined;
+                }
+                this.applyLibrary(stored);
+
+                let changed = false;
+                this.musicFiles = this.musicFiles.map(track => {
+                    const link = refreshed.get(track.id);
+                    if (!link) {
+                        return track;
+                    }
+                    changed = true;
+                    return { ...track, filePath: link.filePath, fileSize: link.fileSize || track.fileSize, resolvedAt: link.resolvedAt };
+                });
+                return changed ? this.toLibrary() : undefined;
+            });
+            return true;
+        } catch (error) {
+            console.error('Error saving file links:', error);
+            return false;
+        }
+    }
+
+    // Initialize music - use cached data if available, otherwise build it from the channel index.
+    // options.fetchPending also reads posts still waiting in getUpdates, which takes the webhook
+    // down meanwhile: only for startup, never for a request (see MusicCore.initializeMusic).
+    async initializeMusic({ fetchPending = false } = {}) {
+        console.log(`🎵 Initializing music playlist of channel ${this.channelId}...`);
+
+        if (await this.loadMusic()) {
+            console.log(`✅ Loaded ${this.musicFiles.length} music files from storage`);
+            return this.musicFiles;
+        }
+
+        if (!this.scanWhenEmpty || !this.bot) {
+            console.log('❌ No music available. Please:');
+            console.log('   1. Make sure bot is admin in channel');
+            console.log('   2. Upload music files to channel');
+            console.log('   3. Use the "🔄 Refresh Songs" button to sync');
+            return this.musicFiles;
+        }
+
+        try {
+            // Check bot channel access first
+            const hasAccess = await checkBotChannelAccess(this.bot, this.channelId);
+            if (!hasAccess) {
+                console.log('⚠️ Bot does not have channel access');
+            }
+
+            console.log('🔍 No cached music found, building playlist from the channel index...');
+
+            let indexedTracks = await this.channelIndex.getTracks(this.channelId);
+            if (indexedTracks.length === 0 && fetchPending) {
+                // Posts that arrived while no webhook was set are still waiting in getUpdates -
+                // reading them consumes the pending posts of every source channel, so all are indexed
+                const pendingPosts = await fetchPendingChannelPosts(this.bot, this.core.channelIds, this.config);
+                if (pendingPosts.length > 0) {
+                    await this.channelIndex.recordAll(pendingPosts);
+                    indexedTracks = await this.channelIndex.getTracks(this.channelId);
+                }
+            }
+
+            if (indexedTracks.length > 0) {
+                await this.replaceMusic(indexedTracks);
+                console.log(`✅ Built playlist with ${this.musicFiles.length} tracks from the channel index!`);
+                return this.musicFiles;
+            }
+
+            console.log('🔍 No music found in channel, creating demo playlist...');
+            console.log('💡 Real music will be added when you upload to the channel');
+        } catch (error) {
+            console.error('Error initializing music:', error.message);
+        }
+
+        return this.createFallbackPlaylist();
+    }
+
+    // Lazily initialize music for routes and commands (without reading pending posts)
+    async ensureMusic() {
+        if (this.musicFiles.length === 0) {
+            await this.initializeMusic();
+        }
+        return this.musicFiles;
+    }
+
+    // Create fallback playlist when channel access fails
+    createFallbackPlaylist() {
+        console.log('📻 Creating demo playlist (channel access limited)');
+
+        this.musicFiles = DEMO_PLAYLIST.map(track => ensureTrackId({ ...track }));
+
+        console.log(`✅ Demo playlist ready with ${this.musicFiles.length} tracks`);
+        console.log('💡 To access real channel music, add the bot as admin to the channel');
+
+        return this.musicFiles;
+    }
+
+    isDemoPlaylist() {
+        return this.musicFiles.length > 0 && !!this.musicFiles[0].title?.includes('Demo Song');
+    }
+
+    // Search the library - the index is rebuilt whenever the track list has changed
+    search(query, options) {
+        if (!this.searchIndex || !this.searchIndex.isCurrent(this.musicFiles)) {
+            this.searchIndex = new SearchIndex(this.musicFiles);
+        }
+        return this.searchIndex.search(query, options);
+    }
+
+    async replaceMusic(tracks) {
+        this.musicFiles = tracks;
+        await this.saveMusic({ snapshot: true });
+    }
+
+    // Add an uploaded track; returns false for duplicates
+    async addTrack(newTrack) {
+        let added = false;
+
+        try {
+            await this.storage.update(this.storageKey, (stored) => {
+                // Runs again when a conditional write loses - only the last run counts
+                added = false;
+                // Merge into the latest stored library - another instance may have added tracks meanwhile
+                if (stored && stored.musicFiles && stored.musicFiles.length > 0) {
+                    this.applyLibrary(stored);
+                }
+
+                // Check if this track already exists (prevent duplicates)
+                const existingTrack = this.musicFiles.find(track =>
+                    track.fileId === newTrack.fileId ||
+                    track.title === newTrack.title
+                );
+
+                if (existingTrack) {
+                    console.log(`⚠️ Track already exists: ${newTrack.title}`);
+                    return undefined;
+                }
+
+                // Remove demo tracks if this is first real upload
+                if (this.isDemoPlaylist()) {
+                    console.log('🔄 Replacing demo playlist with real music!');
+                    this.musicFiles = [];
+                }
+
+                this.musicFiles.push(newTrack);
+                added = true;
+                return this.toLibrary();
+            }, { snapshot: true });
+        } catch (error) {
+            console.error('Error saving music data:', error);
+        }
+
+        if (added) {
+            console.log(`✅ Successfully added to playlist: ${newTrack.title}`);
+            console.log(`📊 Total tracks now: ${this.musicFiles.length}`);
+            console.log(`💾 Auto-saved new playlist with ${this.musicFiles.length} tracks`);
+        }
+        return added;
+    }
+
+    // Import a parsed Telegram Desktop export of this channel (see lib/desktop-import.js)
+    // Songs already in the playlist and posts the index knows are gone are skipped; file IDs are
+    // taken from the channel index where it has the post, the rest are resolved on first play.
+    async importDesktopExport(parsed) {
+        await this.ensureMusic();
+        const channel = await this.channelIndex.get(this.channelId);
+
+        let added = [];
+        let alreadyPresent = 0;
+        let removedFromChannel = 0;
+
+        await this.storage.update(this.storageKey, (stored) => {
+            if (stored && stored.musicFiles && stored.musicFiles.length > 0) {
+                this.applyLibrary(stored);
+            }
+
+            const knownMessageIds = new Set(this.musicFiles.map(track => track.messageId).filter(Boolean));
+            added = [];
+            alreadyPresent = 0;
+            removedFromChannel = 0;
+
+            for (const imported of parsed.tracks) {
+                const entry = channel.messages[imported.messageId];
+                if (knownMessageIds.has(imported.messageId)) {
+                    alreadyPresent++;
+                } else if (entry && !entry.track) {
+                    removedFromChannel++;
+                } else {
+                    added.push(entry ? entry.track : imported);
+                }
+            }
+
+            if (added.length === 0) {
+                return undefined;
+            }
+            if (this.isDemoPlaylist()) {
+                this.musicFiles = [];
+            }
+            this.musicFiles.push(...added);
+            return this.toLibrary();
+        }, { snapshot: true });
+
+        const result = {
+            success: true,
+            channel: parsed.name,
+            audioMessages: parsed.tracks.length,
+            imported: added.length,
+            withFileId: added.filter(track => track.fileId).length,
+            pendingFileIds: added.filter(track => track.needsFileId).length,
+            alreadyPresent: alreadyPresent,
+            removedFromChannel: removedFromChannel,
+            totalTracks: this.musicFiles.length
+        };
+        console.log(`📥 Imported ${result.imported} of ${result.audioMessages} exported songs (${result.pendingFileIds} file IDs resolved on first play)`);
+        return result;
+    }
+
+    // Resolve the file ID of an imported track (needsFileId) and persist it; false if not possible
+    async resolveTrackFile(track) {
+        if (!track.needsFileId) {
+            return true;
+        }
+        if (!(await resolveTrackFile(this.bot, this.channelId, this.config.VERIFY_CHAT_ID, track))) {
+            return false;
+        }
+
+        await this.storage.update(this.storageKey, (stored) => {
+            if (stored && stored.musicFiles && stored.musicFiles.length > 0) {
+                this.applyLibrary(stored);
+            }
+            const index = this.musicFiles.findIndex(candidate => candidate.id === track.id);
+            if (index < 0) {
+                return undefined;
+            }
+            this.musicFiles[index] = track;
+            return this.toLibrary();
+        });
+        return true;
+    }
+
+    // Import a playlist (M3U, XSPF or JSON - see lib/playlist-formats.js) to bring a curated
+    // order back: matched songs move to the front in the playlist's order, the rest keep theirs
+    // after them. Nothing is saved with dryRun, which only reports what would match.
+    async importPlaylist(input, { dryRun = false } = {}) {
+        const entries = parsePlaylist(input);
+        await this.ensureMusic();
+
+        let matchResult = matchEntries(entries, this.musicFiles);
+
+        if (!dryRun) {
+            await this.storage.update(this.storageKey, (stored) => {
+                if (stored && stored.musicFiles && stored.musicFiles.length > 0) {
+                    this.applyLibrary(stored);
+                }
+
+                matchResult = matchEntries(entries, this.musicFiles);
+                if (matchResult.matched.length === 0) {
+                    return undefined;
+                }
+
+                const matchedIds = new Set(matchResult.matched.map(track => track.id));
+                this.musicFiles = [
+                    ...matchResult.matched,
+                    ...this.musicFiles.filter(track => !matchedIds.has(track.id))
+                ];
+                return this.toLibrary();
+            }, { snapshot: true });
+        }
+
+        const result = {
+            success: true,
+            applied: !dryRun && matchResult.matched.length > 0,
+            entries: entries.length,
+            matched: matchResult.matched.length,
+            unmatched: matchResult.unmatched,
+            totalTracks: this.musicFiles.length
+        };
+        console.log(`📥 Playlist import: matched ${result.matched} of ${result.entries} entries${dryRun ? ' (dry run)' : ''}`);
+        return result;
+    }
+
+    // Remove tracks by ID; returns the removed tracks
+    async removeTracks(trackIds) {
+        if (trackIds.length === 0) {
+            return [];
+        }
+
+        let removed = [];
+        await this.storage.update(this.storageKey, (stored) => {
+            if (stored && stored.musicFiles && stored.musicFiles.length > 0) {
+                this.applyLibrary(stored);
+            }
+
+            removed = this.musicFiles.filter(track => trackIds.includes(track.id));
+            if (removed.length === 0) {
+                return undefined;
+            }
+
+            this.musicFiles = this.musicFiles.filter(track => !trackIds.includes(track.id));
+            return this.toLibrary();
+        }, { snapshot: true });
+
+        return removed;
+    }
+
+    // A new post in this channel (REAL-TIME) - MusicCore routes posts by chat
+    async handleChannelPost(msg) {
+        // Index every post, audio or not, so syncing never has to look into the channel
+        await this.channelIndex.record(msg);
+
+        const attachment = msg.audio || msg.voice || msg.document;
+        if (!attachment) {
+            console.log(`📝 Channel post without audio attachment: ${msg.text || 'Media/Text post'}`);
+            return false;
+        }
+
+        const audioFile = getAudioAttachment(msg);
+        if (!audioFile) {
+            console.log(`ℹ️ Non-audio file detected: ${attachment.file_name || 'Unknown file'} (${attachment.mime_type})`);
+            return false;
+        }
+
+        await this.ensureMusic();
+
+        const newTrack = buildTrackFromMessage(msg, { fallbackTitle: `Music ${this.musicFiles.length + 1}` });
+        console.log(`🎵 NEW MUSIC UPLOADED: ${newTrack.title}`);
+        console.log(`📊 File details:`, {
+            title: audioFile.title,
+            fileName: audioFile.file_name,
+            performer: audioFile.performer,
+            duration: audioFile.duration,
+            mimeType: audioFile.mime_type,
+            fileSize: audioFile.file_size
+        });
+
+        return this.addTrack(newTrack);
+    }
+
+    // An edited channel post: update the song in place (caption, title, performer or a replaced
+    // audio file). The track keeps its ID so sessions and rooms stay on it. A post edited to no
+    // longer carry audio is removed; one that gained audio is added.
+    // Returns 'updated' | 'removed' | 'added', or false when the playlist did not change
+    async handleEditedChannelPost(msg) {
+        console.log(`✏️ Channel post ${msg.message_id} edited`);
+        const entry = await this.channelIndex.record(msg);
+        await this.ensureMusic();
+
+        let change = false;
+        await this.storage.update(this.storageKey, (stored) => {
+            change = false;
+            if (stored && stored.musicFiles && stored.musicFiles.length > 0) {
+                this.applyLibrary(stored);
+            }
+
+            const index = this.musicFiles.findIndex(track => track.messageId === msg.message_id);
+            if (index >= 0 && !entry.track) {
+                this.musicFiles.splice(index, 1);
+                change = 'removed';
+            } else if (index >= 0) {
+                this.musicFiles[index] = updateTrackFromEdit(this.musicFiles[index], entry.track);
+                change = 'updated';
+            } else if (entry.track && !this.isDemoPlaylist()) {
+                this.musicFiles.push(entry.track);
+                change = 'added';
+            }
+
+            return change ? this.toLibrary() : undefined;
+        }, { snapshot: true });
+
+        if (change) {
+            console.log(`✅ Edited post ${msg.message_id}: track ${change}${entry.track ? ` (${entry.track.title})` : ''}`);
+        }
+        return change;
+    }
+
+    // Sync playlist with channel: a diff against the channel index - adds indexed songs that are
+    // missing and removes songs whose post no longer has audio. Nothing is sent to the channel.
+    async syncPlaylistWithChannel() {
+        try {
+            console.log('🔄 Starting playlist sync with channel index...');
+
+            let removedTracks = [];
+            let newTracks = [];
+            const channel = await this.channelIndex.get(this.channelId);
+            const indexedMessages = Object.keys(channel.messages).length;
+
+            await this.storage.update(this.storageKey, (stored) => {
+                // Diff the latest stored playlist - another instance may have changed it
+                if (stored && stored.musicFiles && stored.musicFiles.length > 0) {
+                    this.applyLibrary(stored);
+                }
+                console.log(`💾 Current playlist has ${this.musicFiles.length} tracks`);
+
+                const diff = ChannelIndex.diff(channel, this.musicFiles);
+                removedTracks = diff.removed;
+                newTracks = diff.added;
+
+                if (removedTracks.length === 0 && newTracks.length === 0) {
+                    return undefined;
+                }
+
+                // Real songs replace the demo playlist
+                const keptTracks = this.isDemoPlaylist() && newTracks.length > 0
+                    ? []
+                    : this.musicFiles.filter(track => !removedTracks.includes(track));
+
+                // Update the playlist - sessions follow their tracks by ID
+                this.musicFiles = [...keptTracks, ...newTracks];
+                return this.toLibrary();
+            }, { snapshot: true });
+            // The playlist has caught up with the index now
+            await this.channelIndex.prune(this.channelId, this.musicFiles);
+
+            console.log(`✅ Sync complete against ${indexedMessages} indexed posts! Removed: ${removedTracks.length}, Added: ${newTracks.length}, Total: ${this.musicFiles.length}`);
+
+            if (removedTracks.length > 0) {
+                console.log('🗑️ Removed tracks:');
+                removedTracks.forEach(track => console.log(`   - ${track.title} (Message ID: ${track.messageId})`));
+            }
+
+            if (newTracks.length > 0) {
+                console.log('➕ Added tracks:');
+                newTracks.forEach(track => console.log(`   + ${track.title} (Message ID: ${track.messageId})`));
+            }
+
+            return {
+                success: true,
+                tracksRemoved: removedTracks.length,
+                tracksAdded: newTracks.length,
+                totalTracks: this.musicFiles.length,
+                removedTracks: removedTracks.map(track => track.title),
+                validationErrors: 0,
+                message: `Sync complete! Removed ${removedTracks.length} deleted songs, added ${newTracks.length} new songs. Total: ${this.musicFiles.length} tracks`
+            };
+
+        } catch (error) {
+            console.error('❌ Error in syncPlaylistWithChannel:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+}
+
+module.exports = {
+    getSourceChannels,
+    ChannelLibrary
+};
@@ -0,0 +1,275 @@
+// /nowplaying remote control messages
+// Each message shows a playback session and carries ⏮ ⏯ ⏭ 🔀 🔁 buttons. The messages of a
+// session are remembered in storage, so whichever instance changes the session (web player,
+// another chat, a button press) edits all of them in place.
+// A Telegram user's remote drives their own session (tg<userId>) unless they paired it with a
+// web player: the player asks for a code (POST /api/session/pair), the user sends it to the bot
+// and from then on /nowplaying controls the browser's session. Buttons carry a remote id rather
+// than the session id - a web player's session id is its cookie, and the messages may be posted
+// in groups. A paired remote's id is random and only means something for the user who paired.
+const crypto = require('crypto');
+const { getTelegramSessionId } = require('./sessions');
+
+const NOW_PLAYING_KEY = 'now_playing';
+// { codes: { <code>: { sessionId, expiresAt } }, links: { <userId>: { sessionId, remoteId, pairedAt } } }
+const REMOTE_PAIRING_KEY = 'remote_pairing';
+const PAIRING_CODE_TTL = 10 * 60 * 1000;
+// No 0/O or 1/I, the code may be typed in
+const PAIRING_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const PAIRING_CODE_LENGTH = 6;
+// Older remotes of a session stop being updated once it has this many
+const MAX_MESSAGES_PER_SESSION = 5;
+// Session events that change what a remote shows (position is not shown, so 'seek' isn't)
+const DISPLAY_EVENTS = ['track', 'play', 'pause', 'options', 'queue'];
+
+const REPEAT_LABELS = { off: '🔁 Off', one: '🔂 One', all: '🔁 All' };
+// Order the 🔁 button steps through
+const REPEAT_CYCLE = ['off', 'all', 'one'];
+
+function nextRepeatMode(repeat) {
+    return REPEAT_CYCLE[(REPEAT_CYCLE.indexOf(repeat) + 1) % REPEAT_CYCLE.length];
+}
+
+function formatNowPlaying(session, total) {
+    if (!session.track) {
+        return '📭 No songs available yet.';
+    }
+
+    const status = session.playing ? '▶️ Playing' : '⏸ Paused';
+    const upNext = session.queue && session.queue.length > 0
+        ? `\n⏭ Up next: ${session.queue[0].title}` + (session.queue.length > 1 ? ` (+${session.queue.length - 1} more)` : '')
+        : '';
+    return `🎵 ${session.track.title}\n` +
+        `${status} · Track ${session.index + 1}/${total} · ${session.track.duration || 'Unknown duration'}\n` +
+        `🔀 Shuffle: ${session.shuffle ? 'On' : 'Off'} · Repeat: ${REPEAT_LABELS[session.repeat] || REPEAT_LABELS.off}` +
+        upNext;
+}
+
+// Buttons carry the remote they belong to: np:<action>:<remoteId>
+function buildRemoteKeyboard(remoteId, session) {
+    const button = (text, action) => ({ text: text, callback_data: `np:${action}:${remoteId}` });
+    return {
+        inline_keyboard: [[
+            button('⏮', 'prev'),
+            button(session.playing ? '⏸' : '▶️', 'toggle'),
+            button('⏭', 'next'),
+            button(session.shuffle ? '🔀 On' : '🔀', 'shuffle'),
+            button(REPEAT_LABELS[session.repeat] || REPEAT_LABELS.off, 'repeat')
+        ]]
+    };
+}
+
+// 'np:next:tg42' -> { action: 'next', remoteId: 'tg42' }; null for other callback data
+function parseRemoteButton(data) {
+    const match = /^np:(prev|toggle|next|shuffle|repeat):(.+)$/.exec(data || '');
+    return match ? { action: match[1], remoteId: match[2] } : null;
+}
+
+function createPairingCode() {
+    return Array.from({ length: PAIRING_CODE_LENGTH }, () =>
+        PAIRING_CODE_ALPHABET[crypto.randomInt(PAIRING_CODE_ALPHABET.length)]).join('');
+}
+
+// Codes that haven't expired
+function liveCodes(codes, now) {
+    return Object.fromEntries(Object.entries(codes || {}).filter(([, pairing]) => pairing.expiresAt > now));
+}
+
+class NowPlayingMessages {
+    constructor(core) {
+        this.core = core;
+    }
+
+    get storage() {
+        return this.core.storage;
+    }
+
+    render(remoteId, session) {
+        return {
+            text: formatNowPlaying(session, this.core.getLibrary(session.channelId).musicFiles.length),
+            reply_markup: buildRemoteKeyboard(remoteId, session)
+        };
+    }
+
+    // Apply a remote button to its session; the session listener then edits the remotes
+    async press(sessionId, action) {
+        const sessions = this.core.sessions;
+        const session = await sessions.get(sessionId);
+
+        switch (action) {
+            case 'prev':
+                return sessions.previousTrack(sessionId);
+            case 'next':
+                return sessions.nextTrack(sessionId);
+            case 'toggle':
+                return sessions.setPlaying(sessionId, !session.playing);
+            case 'shuffle':
+                return sessions.setOptions(sessionId, { shuffle: !session.shuffle });
+            case 'repeat':
+                return sessions.setOptions(sessionId, { repeat: nextRepeatMode(session.repeat) });
+            default:
+                return null;
+        }
+    }
+
+    // A one-time code that links a Telegram user's remote to sessionId; { code, expiresAt }
+    async createPairing(sessionId) {
+        const code = createPairingCode();
+        const expiresAt = Date.now() + PAIRING_CODE_TTL;
+        await this.storage.update(REMOTE_PAIRING_KEY, (stored) => {
+            const codes = liveCodes(stored && stored.codes, Date.now());
+            codes[code] = { sessionId: sessionId, expiresAt: expiresAt };
+            return { ...(stored || {}), codes: codes };
+        });
+        return { code: code, expiresAt: expiresAt };
+    }
+
+    // Use a code from createPairing for a Telegram user; the paired remote ({ sessionId,
+    // remoteId }), or null for an unknown or expired code
+    async pair(userId, code) {
+        const key = String(code || '').trim().toUpperCase();
+        let remote = null;
+        await this.storage.update(REMOTE_PAIRING_KEY, (stored) => {
+            remote = null;
+            const codes = liveCodes(stored && stored.codes, Date.now());
+            if (!codes[key]) {
+                return undefined;
+            }
+            remote = { sessionId: codes[key].sessionId, remoteId: `r${crypto.randomBytes(9).toString('base64url')}` };
+            delete codes[key];
+            const links = { ...((stored && stored.links) || {}) };
+            links[userId] = { ...remote, pairedAt: new Date().toISOString() };
+            return { ...stored, codes: codes, links: links };
+        });
+        return remote;
+    }
+
+    // Back to the user's own session; false if they weren't paired. The paired remote's
+    // messages stop following the web player.
+    async unpair(userId) {
+        let link = null;
+        await this.storage.update(REMOTE_PAIRING_KEY, (stored) => {
+            link = (stored && stored.links && stored.links[userId]) || null;
+            if (!link) {
+                return undefined;
+            }
+            const links = { ...stored.links };
+            delete links[userId];
+            return { ...stored, links: links };
+        });
+        if (!link) {
+            return false;
+        }
+
+        await this.storage.update(NOW_PLAYING_KEY, (stored) => {
+            const messages = (stored && stored[link.sessionId]) || [];
+            if (!messages.some(message => message.remoteId === link.remoteId)) {
+                return undefined;
+            }
+            const remotes = { ...stored, [link.sessionId]: messages.filter(message => message.remoteId !== link.remoteId) };
+            if (remotes[link.sessionId].length === 0) {
+                delete remotes[link.sessionId];
+            }
+            return remotes;
+        });
+        return true;
+    }
+
+    // The remote a Telegram user's /nowplaying sends: { sessionId, remoteId } of the paired web
+    // player, or of their own session (whose id is no secret - only they can press its buttons)
+    async getRemote(userId) {
+        const stored = await this.storage.load(REMOTE_PAIRING_KEY);
+        const link = stored && stored.links && stored.links[userId];
+        if (link) {
+            return { sessionId: link.sessionId, remoteId: link.remoteId };
+        }
+        const sessionId = getTelegramSessionId(userId);
+        return { sessionId: sessionId, remoteId: sessionId };
+    }
+
+    // Session a Telegram user's button press on remoteId controls, or null when that remote
+    // isn't theirs
+    async resolveRemote(userId, remoteId) {
+        if (remoteId === getTelegramSessionId(userId)) {
+            return remoteId;
+        }
+        const remote = await this.getRemote(userId);
+        return remote.remoteId === remoteId ? remote.sessionId : null;
+    }
+
+    // Send a remote ({ sessionId, remoteId } from getRemote or pair) into a chat and remember it
+    async send(chatId, { sessionId, remoteId }) {
+        const session = await this.core.sessions.get(sessionId);
+        const view = this.render(remoteId, session);
+        const message = await this.core.bot.sendMessage(chatId, view.text, { reply_markup: view.reply_markup });
+        await this.register(sessionId, remoteId, chatId, message.message_id);
+        return message;
+    }
+
+    async register(sessionId, remoteId, chatId, messageId) {
+        await this.storage.update(NOW_PLAYING_KEY, (stored) => {
+            const remotes = { ...(stored || {}) };
+            const messages = (remotes[sessionId] || []).filter(message =>
+                !(message.chatId === chatId && message.messageId === messageId));
+            messages.push({ chatId: chatId, messageId: messageId, remoteId: remoteId });
+            remotes[sessionId] = messages.slice(-MAX_MESSAGES_PER_SESSION);
+            return remotes;
+        });
+    }
+
+    async unregister(sessionId, chatId, messageId) {
+        await this.storage.update(NOW_PLAYING_KEY, (stored) => {
+            if (!stored || !stored[sessionId]) {
+                return undefined;
+            }
+            const remotes = { ...stored };
+            remotes[sessionId] = remotes[sessionId].filter(message =>
+                !(message.chatId === chatId && message.messageId === messageId));
+            if (remotes[sessionId].length === 0) {
+                delete remotes[sessionId];
+            }
+            return remotes;
+        });
+    }
+
+    // Session change listener: re-render every remote of the session
+    async followSession(sessionId, session, event) {
+        if (!this.core.bot || !DISPLAY_EVENTS.includes(event)) {
+            return;
+        }
+
+        const remotes = await this.storage.load(NOW_PLAYING_KEY);
+        const messages = (remotes && remotes[sessionId]) || [];
+
+        for (const message of messages) {
+            const view = this.render(message.remoteId || sessionId, session);
+            try {
+                await this.core.bot.editMessageText(view.text, {
+                    chat_id: message.chatId,
+                    message_id: message.messageId,
+                    reply_markup: view.reply_markup
+                });
+            } catch (error) {
+                const description = error.response?.body?.description || error.message;
+                if (description.includes('message is not modified')) {
+                    continue;
+                }
+                console.error(`❌ Could not update now playing message in chat ${message.chatId}:`, description);
+                // Deleted message or the bot left the chat - stop updating it
+                if (description.includes('message to edit not found') || error.response?.statusCode === 403) {
+                    await this.unregister(sessionId, message.chatId, message.messageId);
+                }
+            }
+        }
+    }
+}
+
+module.exports = {
+    NOW_PLAYING_KEY,
+    REMOTE_PAIRING_KEY,
+    PAIRING_CODE_TTL,
+    REPEAT_LABELS,
+    nextRepeatMode,
+    parseRemoteButton,
+    NowPlayingMessages
+};
@@ -0,0 +1,244 @@
+// Playlist export and import: M3U (extended, UTF-8), XSPF and our own JSON format
+// Exports point at the streaming proxy (absolute /api/stream/:trackId URLs), so other players
+// can play the channel's songs. Imports bring a curated order back: entries are matched to
+// library tracks by ID (or the ID in a stream URL), then by title and performer.
+//
+// JSON format (GET /api/playlist.json):
+// {
+//   "format": "telegram-music-playlist",
+//   "version": 1,
+//   "name": "Channel Playlist",
+//   "exportedAt": "2025-10-01T12:00:00.000Z",
+//   "tracks": [
+//     { "id": "AgADbHwAAtWjCEo", "title": "...", "performer": "...", "duration": 289, "url": "https://.../api/stream/AgADbHwAAtWjCEo" }
+//   ]
+// }
+// On import only "tracks" is required, and each entry needs an id, url or title.
+const { toPublicTrack } = require('./stream');
+const { normalizeText } = require('./search');
+
+const JSON_FORMAT = 'telegram-music-playlist';
+const JSON_FORMAT_VERSION = 1;
+const DEFAULT_PLAYLIST_NAME = 'Channel Playlist';
+
+const STREAM_PATH_PATTERN = /\/api\/stream\/([^/?#]+)/;
+
+// "4:49" -> 289; null when unknown
+function parseDuration(duration) {
+    const match = /^(\d+):(\d{2})$/.exec(duration || '');
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function hasPerformer(track) {
+    return track.performer && track.performer !== 'Unknown Artist';
+}
+
+// Absolute URL of a track: the stream proxy for Telegram files, the original URL otherwise
+function getTrackUrl(track, baseUrl) {
+    const url = toPublicTrack(track).url || '';
+    return url.startsWith('/') ? `${baseUrl}${url}` : url;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function unescapeXml(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&amp;/g, '&');
+}
+
+function toM3U(tracks, { baseUrl, name = DEFAULT_PLAYLIST_NAME }) {
+    const lines = ['#EXTM3U', `#PLAYLIST:${name}`];
+    tracks.forEach(track => {
+        const label = hasPerformer(track) ? `${track.performer} - ${track.title}` : track.title;
+        lines.push(`#EXTINF:${parseDuration(track.duration) ?? -1},${label.replace(/[\r\n]+/g, ' ')}`);
+        lines.push(getTrackUrl(track, baseUrl));
+    });
+    return lines.join('\n') + '\n';
+}
+
+function toXSPF(tracks, { baseUrl, name = DEFAULT_PLAYLIST_NAME }) {
+    const trackElements = tracks.map(track => {
+        const duration = parseDuration(track.duration);
+        return [
+            '    <track>',
+            `      <location>${escapeXml(getTrackUrl(track, baseUrl))}</location>`,
+            `      <identifier>${escapeXml(track.id)}</identifier>`,
+            `      <title>${escapeXml(track.title)}</title>`,
+            hasPerformer(track) ? `      <creator>${escapeXml(track.performer)}</creator>` : null,
+            duration !== null ? `      <duration>${duration * 1000}</duration>` : null,
+            '    </track>'
+        ].filter(Boolean).join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+        `  <title>${escapeXml(name)}</title>`,
+        '  <trackList>',
+        ...trackElements,
+        '  </trackList>',
+        '</playlist>',
+        ''
+    ].join('\n');
+}
+
+function toPlaylistJSON(tracks, { baseUrl, name = DEFAULT_PLAYLIST_NAME }) {
+    return {
+        format: JSON_FORMAT,
+        version: JSON_FORMAT_VERSION,
+        name: name,
+        exportedAt: new Date().toISOString(),
+        tracks: tracks.map(track => ({
+            id: track.id,
+            title: track.title,
+            performer: hasPerformer(track) ? track.performer : null,
+            duration: parseDuration(track.duration),
+            url: getTrackUrl(track, baseUrl)
+        }))
+    };
+}
+
+// Import entries are { id?, url?, title?, performer? }
+function parseM3U(content) {
+    const entries = [];
+    let pending = null;
+
+    content.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        if (line.startsWith('#EXTINF:')) {
+            // "#EXTINF:289,Performer - Title" (the performer part is optional)
+            const label = line.slice(line.indexOf(',') + 1).trim();
+            const separator = label.indexOf(' - ');
+            pending = separator > 0
+                ? { title: label.slice(separator + 3), performer: label.slice(0, separator), label: label }
+                : { title: label, label: label };
+        } else if (line && !line.startsWith('#')) {
+            entries.push({ ...pending, url: line });
+            pending = null;
+        }
+    });
+    return entries;
+}
+
+function parseXSPF(content) {
+    const readTag = (xml, tag) => {
+        const match = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`).exec(xml);
+        return match ? unescapeXml(match[1].trim()) : undefined;
+    };
+
+    const entries = [];
+    const trackPattern = /<track>([\s\S]*?)<\/track>/g;
+    let match;
+    while ((match = trackPattern.exec(content)) !== null) {
+        entries.push({
+            id: readTag(match[1], 'identifier'),
+            url: readTag(match[1], 'location'),
+            title: readTag(match[1], 'title'),
+            performer: readTag(match[1], 'creator')
+        });
+    }
+    return entries;
+}
+
+function parsePlaylistJSON(data) {
+    if (!data || !Array.isArray(data.tracks)) {
+        throw new Error('Playlist JSON must contain a "tracks" list');
+    }
+    return data.tracks.map(entry => ({
+        id: entry.id,
+        url: entry.url,
+        title: entry.title,
+        performer: entry.performer
+    }));
+}
+
+// Entries of an uploaded playlist: a parsed JSON body, or M3U / XSPF / JSON text
+function parsePlaylist(body) {
+    if (body && typeof body === 'object' && !Buffer.isBuffer(body)) {
+        return parsePlaylistJSON(body);
+    }
+
+    const content = String(body || '').replace(/^﻿/, '').trim();
+    if (!content) {
+        throw new Error('Empty playlist');
+    }
+    if (content.startsWith('{')) {
+        return parsePlaylistJSON(JSON.parse(content));
+    }
+    if (content.startsWith('<')) {
+        return parseXSPF(content);
+    }
+    return parseM3U(content);
+}
+
+// Match entries to library tracks: by ID (also taken from stream URLs), then by title and
+// performer, then by a title that only one track has. Each track is matched at most once.
+// Returns { matched: [track], unmatched: [{ position, title, performer, url }] }
+function matchEntries(entries, tracks) {
+    const byId = new Map(tracks.map(track => [track.id, track]));
+    const used = new Set();
+    const matched = [];
+    const unmatched = [];
+
+    const candidates = (predicate) => tracks.filter(track => !used.has(track.id) && predicate(track));
+
+    entries.forEach((entry, index) => {
+        const urlMatch = STREAM_PATH_PATTERN.exec(entry.url || '');
+        const id = entry.id || (urlMatch && decodeURIComponent(urlMatch[1]));
+        const title = normalizeText(entry.title);
+        const performer = normalizeText(entry.performer);
+        const label = normalizeText(entry.label);
+
+        let track = id && byId.has(id) && !used.has(id) ? byId.get(id) : null;
+
+        if (!track && title) {
+            const sameTitle = candidates(candidate => normalizeText(candidate.title) === title);
+            const withPerformer = performer
+                ? sameTitle.filter(candidate => normalizeText(candidate.performer) === performer)
+                : [];
+            track = withPerformer[0] || (sameTitle.length === 1 ? sameTitle[0] : null);
+        }
+
+        // An M3U label may be just a title that itself contains " - "
+        if (!track && label) {
+            const sameLabel = candidates(candidate => normalizeText(candidate.title) === label);
+            track = sameLabel.length === 1 ? sameLabel[0] : null;
+        }
+
+        if (track) {
+            used.add(track.id);
+            matched.push(track);
+        } else {
+            unmatched.push({
+                position: index + 1,
+                title: entry.title || null,
+                performer: entry.performer || null,
+                url: entry.url || null
+            });
+        }
+    });
+
+    return { matched, unmatched };
+}
+
+module.exports = {
+    JSON_FORMAT,
+    toM3U,
+    toXSPF,
+    toPlaylistJSON,
+    parsePlaylist,
+    matchEntries
+};
@@ -0,0 +1,242 @@
+// Named playlists created by listeners ("Morning Bhajans", ...)
+// A playlist is an ordered list of track IDs owned by one playback session: the web player's
+// session cookie, or tg<userId> for playlists built with the bot. Tracks may come from any
+// source channel. Anyone with a playlist's ID can view it; only its owner can change it.
+const crypto = require('crypto');
+const { toPublicTrack } = require('./stream');
+const { httpError } = require('./http-error');
+
+const PLAYLISTS_KEY = 'playlists';
+const MAX_NAME_LENGTH = 64;
+const MAX_PLAYLISTS_PER_OWNER = 50;
+const MAX_PLAYLIST_TRACKS = 500;
+
+function createPlaylistId() {
+    return crypto.randomBytes(6).toString('base64url');
+}
+
+function normalizeName(name) {
+    return typeof name === 'string' ? name.trim().replace(/\s+/g, ' ').slice(0, MAX_NAME_LENGTH) : '';
+}
+
+function sameName(a, b) {
+    return a.toLocaleLowerCase() === b.toLocaleLowerCase();
+}
+
+class UserPlaylists {
+    constructor(core) {
+        this.core = core;
+    }
+
+    get storage() {
+        return this.core.storage;
+    }
+
+    async get(playlistId) {
+        const playlists = await this.storage.load(PLAYLISTS_KEY);
+        return (playlists && playlists[playlistId]) || null;
+    }
+
+    // An owner's playlists, most recently changed first
+    async list(ownerId) {
+        const playlists = await this.storage.load(PLAYLISTS_KEY);
+        return Object.values(playlists || {})
+            .filter(playlist => playlist.ownerId === ownerId)
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    // Case-insensitive lookup of one of the owner's playlists (bot commands go by name)
+    async findByName(ownerId, name) {
+        const wanted = normalizeName(name);
+        return (await this.list(ownerId)).find(playlist => sameName(playlist.name, wanted)) || null;
+    }
+
+    // Summary for lists - never the owner, which is a session ID
+    toSummary(playlist, ownerId) {
+        return {
+            id: playlist.id,
+            name: playlist.name,
+            trackCount: playlist.trackIds.length,
+            isOwner: playlist.ownerId === ownerId,
+            createdAt: playlist.createdAt,
+            updatedAt: playlist.updatedAt
+        };
+    }
+
+    // Summary plus the playlist's tracks as sent to the web player; tracks that are no longer
+    // in any library are left out and counted as missing (trackIds keeps the full order)
+    async toPublicPlaylist(playlist, ownerId) {
+        const tracks = new Map();
+        for (const library of this.core.libraries.values()) {
+            await library.ensureMusic();
+            library.musicFiles.forEach(track => {
+                if (!tracks.has(track.id)) {
+                    tracks.set(track.id, { ...toPublicTrack(track), channelId: library.channelId });
+                }
+            });
+        }
+
+        const available = playlist.trackIds.filter(trackId => tracks.has(trackId));
+        return {
+            ...this.toSummary(playlist, ownerId),
+            trackIds: playlist.trackIds,
+            tracks: available.map(trackId => tracks.get(trackId)),
+            missing: playlist.trackIds.length - available.length
+        };
+    }
+
+    // Throws 404 for unknown playlists and 403 for other people's
+    checkOwner(playlist, ownerId) {
+        if (!playlist) {
+            throw httpError('Playlist not found', 404);
+        }
+        if (playlist.ownerId !== ownerId) {
+            throw httpError('Only the owner can change this playlist', 403);
+        }
+    }
+
+    // Atomically change one of the owner's playlists; fn(playlist, playlists) mutates it in place
+    async updatePlaylist(ownerId, playlistId, fn) {
+        let updated = null;
+        await this.storage.update(PLAYLISTS_KEY, (stored) => {
+            const playlists = { ...(stored || {}) };
+            const existing = playlists[playlistId];
+            this.checkOwner(existing, ownerId);
+
+            const playlist = { ...existing, trackIds: [...existing.trackIds] };
+            fn(playlist, playlists);
+            playlist.updatedAt = new Date().toISOString();
+            playlists[playlistId] = playlist;
+            updated = playlist;
+            return playlists;
+        });
+        return updated;
+    }
+
+    async create(ownerId, name) {
+        const playlistName = normalizeName(name);
+        if (!playlistName) {
+            throw httpError('Playlist name is required', 400);
+        }
+
+        const now = new Date().toISOString();
+        const playlist = {
+            id: createPlaylistId(),
+            name: playlistName,
+            ownerId: ownerId,
+            trackIds: [],
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await this.storage.update(PLAYLISTS_KEY, (stored) => {
+            const playlists = { ...(stored || {}) };
+            const owned = Object.values(playlists).filter(existing => existing.ownerId === ownerId);
+            if (owned.some(existing => sameName(existing.name, playlistName))) {
+                throw httpError(`You already have a playlist called "${playlistName}"`, 409);
+            }
+            if (owned.length >= MAX_PLAYLISTS_PER_OWNER) {
+                throw httpError(`You can have at most ${MAX_PLAYLISTS_PER_OWNER} playlists`, 400);
+            }
+            playlists[playlist.id] = playlist;
+            return playlists;
+        });
+
+        console.log(`📝 Playlist created: ${playlist.name} (${playlist.id})`);
+        return playlist;
+    }
+
+    async rename(ownerId, playlistId, name) {
+        const playlistName = normalizeName(name);
+        if (!playlistName) {
+            throw httpError('Playlist name is required', 400);
+        }
+
+        return this.updatePlaylist(ownerId, playlistId, (playlist, playlists) => {
+            const taken = Object.values(playlists).some(other =>
+                other.id !== playlistId && other.ownerId === ownerId && sameName(other.name, playlistName));
+            if (taken) {
+                throw httpError(`You already have a playlist called "${playlistName}"`, 409);
+            }
+            playlist.name = playlistName;
+        });
+    }
+
+    async remove(ownerId, playlistId) {
+        await this.storage.update(PLAYLISTS_KEY, (stored) => {
+            const playlists = { ...(stored || {}) };
+            this.checkOwner(playlists[playlistId], ownerId);
+            delete playlists[playlistId];
+            return playlists;
+        });
+        console.log(`🗑️ Playlist deleted: ${playlistId}`);
+    }
+
+    // Add a track of any source channel; position (0-based) defaults to the end
+    async addTrack(ownerId, playlistId, trackId, position) {
+        if (!(await this.core.findTrack(trackId))) {
+            throw httpError('Track not found', 404);
+        }
+
+        return this.updatePlaylist(ownerId, playlistId, (playlist) => {
+            if (playlist.trackIds.includes(trackId)) {
+                throw httpError('Track is already in this playlist', 409);
+            }
+            if (playlist.trackIds.length >= MAX_PLAYLIST_TRACKS) {
+                throw httpError(`A playlist can have at most ${MAX_PLAYLIST_TRACKS} tracks`, 400);
+            }
+
+            const index = Number.isInteger(position)
+                ? Math.min(Math.max(position, 0), playlist.trackIds.length)
+                : playlist.trackIds.length;
+            playlist.trackIds.splice(index, 0, trackId);
+        });
+    }
+
+    async removeTrack(ownerId, playlistId, trackId) {
+        return this.updatePlaylist(ownerId, playlistId, (playlist) => {
+            if (!playlist.trackIds.includes(trackId)) {
+                throw httpError('Track is not in this playlist', 404);
+            }
+            playlist.trackIds = playlist.trackIds.filter(id => id !== trackId);
+        });
+    }
+
+    // New order of the whole playlist: trackIds must hold exactly the tracks it has
+    async reorder(ownerId, playlistId, trackIds) {
+        if (!Array.isArray(trackIds)) {
+            throw httpError('trackIds must be a list of track IDs', 400);
+        }
+
+        return this.updatePlaylist(ownerId, playlistId, (playlist) => {
+            const current = new Set(playlist.trackIds);
+            const unique = new Set(trackIds);
+            if (unique.size !== trackIds.length || unique.size !== current.size ||
+                trackIds.some(trackId => !current.has(trackId))) {
+                throw httpError('trackIds must contain each track of the playlist exactly once', 400);
+            }
+            playlist.trackIds = [...trackIds];
+        });
+    }
+
+    // Move one track to a new position (0-based)
+    async moveTrack(ownerId, playlistId, trackId, position) {
+        if (!Number.isInteger(position)) {
+            throw httpError('position must be a whole number', 400);
+        }
+
+        return this.updatePlaylist(ownerId, playlistId, (playlist) => {
+            const from = playlist.trackIds.indexOf(trackId);
+            if (from < 0) {
+                throw httpError('Track is not in this playlist', 404);
+            }
+            playlist.trackIds.splice(from, 1);
+            playlist.trackIds.splice(Math.min(Math.max(position, 0), playlist.trackIds.length), 0, trackId);
+        });
+    }
+}
+
+module.exports = {
+    PLAYLISTS_KEY,
+    UserPlaylists
+};
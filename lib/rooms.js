@@ -0,0 +1,178 @@
+// Listen-together rooms
+// A room follows its host's playback session: when the host plays, pauses, seeks or changes
+// track through the usual session routes (/api/next, /api/seek, /api/play, ...), the room
+// is updated and the change is pushed to every listener over SSE. Positions are anchored
+// to the server clock (positionAt) so listeners can correct their drift.
+const crypto = require('crypto');
+const { toPublicTrack } = require('./stream');
+const { findTrackIndexById } = require('./tracks');
+const { EventHub } = require('./sse');
+
+const ROOMS_KEY = 'rooms';
+// Rooms whose host has been idle for this long are dropped on the next write
+const ROOM_TTL = 24 * 60 * 60 * 1000;
+
+function createRoomId() {
+    return crypto.randomBytes(6).toString('base64url');
+}
+
+// Constant-time comparison of a secret (host token, admin token) with what a request sent
+function tokensMatch(expected, actual) {
+    const a = Buffer.from(String(expected));
+    const b = Buffer.from(String(actual || ''));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+class ListenRooms {
+    constructor(core) {
+        this.core = core;
+        // Open SSE streams per room (only used by the long-running server)
+        this.hub = new EventHub();
+    }
+
+    get storage() {
+        return this.core.storage;
+    }
+
+    // What listeners see - never the host token or session
+    toPublicRoom(room) {
+        // Rooms play from the host's channel (its library is loaded by the caller)
+        const musicFiles = this.core.getLibrary(room.channelId).musicFiles;
+        const index = room.trackId ? findTrackIndexById(musicFiles, room.trackId) : -1;
+        return {
+            id: room.id,
+            name: room.name,
+            channelId: room.channelId,
+            index: index,
+            track: index >= 0 ? toPublicTrack(musicFiles[index]) : null,
+            position: room.position,
+            playing: room.playing,
+            positionAt: room.positionAt,
+            serverTime: Date.now(),
+            version: room.version
+        };
+    }
+
+    async get(roomId) {
+        const rooms = await this.storage.load(ROOMS_KEY);
+        return (rooms && rooms[roomId]) || null;
+    }
+
+    // Atomically change the rooms map; fn(rooms) mutates it and returns its result
+    async updateRooms(fn) {
+        let result;
+        await this.storage.update(ROOMS_KEY, (stored) => {
+            const rooms = { ...(stored || {}) };
+            result = fn(rooms);
+
+            const cutoff = Date.now() - ROOM_TTL;
+            Object.keys(rooms).forEach(id => {
+                if (rooms[id].updatedAt < cutoff) {
+                    delete rooms[id];
+                }
+            });
+            return rooms;
+        });
+        return result;
+    }
+
+    // Create a room hosted by a playback session, starting from where that session is
+    async create({ name, hostSessionId }) {
+        const session = await this.core.sessions.get(hostSessionId);
+        const now = Date.now();
+        const room = {
+            id: createRoomId(),
+            name: name || 'Listening party',
+            hostSessionId: hostSessionId,
+            hostToken: crypto.randomBytes(16).toString('base64url'),
+            channelId: session.channelId,
+            trackId: session.track ? session.track.id : null,
+            position: session.position,
+            playing: session.playing,
+            positionAt: now,
+            version: 1,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await this.updateRooms(rooms => {
+            rooms[room.id] = room;
+        });
+        console.log(`🎧 Room created: ${room.name} (${room.id})`);
+        return room;
+    }
+
+    // Hand the room to another session that knows the host token (e.g. a room created from
+    // Telegram and then opened in the web player); returns null if the token is wrong
+    async claimHost(roomId, hostToken, sessionId) {
+        return this.updateRooms(rooms => {
+            const room = rooms[roomId];
+            if (!room || !tokensMatch(room.hostToken, hostToken)) {
+                return null;
+            }
+            rooms[roomId] = { ...room, hostSessionId: sessionId, updatedAt: Date.now() };
+            return rooms[roomId];
+        });
+    }
+
+    // Only the host can close a room; returns false otherwise
+    async close(roomId, sessionId) {
+        const closed = await this.updateRooms(rooms => {
+            if (!rooms[roomId] || rooms[roomId].hostSessionId !== sessionId) {
+                return false;
+            }
+            delete rooms[roomId];
+            return true;
+        });
+
+        if (closed) {
+            console.log(`🎧 Room closed: ${roomId}`);
+            this.hub.publish(roomId, 'closed', { id: roomId });
+            this.hub.close(roomId);
+        }
+        return closed;
+    }
+
+    // Session change listener: mirror the host's playback into their rooms
+    // event: 'track' | 'seek' | 'play' | 'pause'
+    async followHost(sessionId, session, event) {
+        if (!['track', 'seek', 'play', 'pause'].includes(event)) {
+            return;
+        }
+
+        const stored = await this.storage.load(ROOMS_KEY);
+        const hosted = Object.values(stored || {}).some(room => room.hostSessionId === sessionId);
+        if (!hosted) {
+            return;
+        }
+
+        const changed = await this.updateRooms(rooms => {
+            return Object.values(rooms)
+                .filter(room => room.hostSessionId === sessionId)
+                .map(room => {
+                    const now = Date.now();
+                    rooms[room.id] = {
+                        ...room,
+                        channelId: session.channelId,
+                        trackId: session.track ? session.track.id : null,
+                        position: session.position,
+                        playing: session.playing,
+                        positionAt: now,
+                        version: room.version + 1,
+                        updatedAt: now
+                    };
+                    return rooms[room.id];
+                });
+        });
+
+        changed.forEach(room => {
+            this.hub.publish(room.id, event, this.toPublicRoom(room), room.version);
+        });
+    }
+}
+
+module.exports = {
+    ROOMS_KEY,
+    tokensMatch,
+    ListenRooms
+};
@@ -0,0 +1,1043 @@
+// HTTP API shared by server.js (mounted at /api) and functions/api.js (mounted at both
+// /.netlify/functions/api and /api)
+const express = require('express');
+const { toPublicTrack, streamTrack } = require('./stream');
+const { findTrackIndexById } = require('./tracks');
+const { getWebhookUrl, getWebhookSecret, isWebhookRequestValid, claimUpdate, deleteWebhook, setWebhook } = require('./webhook');
+const { REPEAT_MODES, getSessionId, getTelegramSessionId } = require('./sessions');
+const { getWebAppUser } = require('./webapp');
+const { openEventStream, sendEvent } = require('./sse');
+const { requireAdmin } = require('./admin');
+const { toM3U, toXSPF, toPlaylistJSON } = require('./playlist-formats');
+
+// How often EventSource reconnects when streams can't stay open (Netlify)
+const EVENT_POLL_INTERVAL = 2000;
+
+// Request body limit for the JSON parser the entry points install - big enough for a
+// Telegram Desktop result.json posted to /import
+const JSON_BODY_LIMIT = '10mb';
+
+// Origin the request reached us on, for absolute stream URLs in exported playlists
+function getBaseUrl(req) {
+    const protocol = (req.get('x-forwarded-proto') || req.protocol).split(',')[0].trim();
+    return `${protocol}://${req.get('x-forwarded-host') || req.get('host')}`;
+}
+
+function createApiRouter(core) {
+    const router = express.Router();
+
+    // Session of the caller - playback, queue, playlists and favorites. Inside Telegram the web
+    // player sends the Mini App's initData; when it checks out (see lib/webapp.js) that is the
+    // Telegram user's session, the same one the bot commands and /nowplaying use. Otherwise it
+    // is the anonymous session cookie.
+    function getRequestSessionId(req, res) {
+        const user = getWebAppUser(core, req);
+        return user ? getTelegramSessionId(user.id) : getSessionId(req, res);
+    }
+
+    // Library a request works on: ?channel=<id>, else the source channel the caller's session has
+    // selected; null for channels that aren't configured
+    async function getRequestLibrary(req, res) {
+        if (req.query.channel === undefined) {
+            return core.sessions.libraryOf(getRequestSessionId(req, res));
+        }
+        const library = core.libraries.get(Number(req.query.channel));
+        if (!library) {
+            return null;
+        }
+        await library.ensureMusic();
+        return library;
+    }
+
+    // Source channels for the channel selector, with the caller's current one
+    router.get('/channels', async (req, res) => {
+        try {
+            const session = await core.sessions.get(getRequestSessionId(req, res));
+            const channels = [];
+            for (const library of core.libraries.values()) {
+                channels.push({
+                    id: library.channelId,
+                    name: await library.getName(),
+                    selected: library.channelId === session.channelId
+                });
+            }
+            res.json({ success: true, channels: channels });
+        } catch (error) {
+            console.error('Error listing channels:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Tracks of a library as /playlist returns them; ?sort=likes puts the most liked first
+    // (ties keep the channel order)
+    async function getPlaylistTracks(req, library) {
+        if (req.query.sort !== 'likes') {
+            return library.musicFiles.map(toPublicTrack);
+        }
+        const likes = await core.favorites.getLikeCounts();
+        return library.musicFiles
+            .map((track, index) => ({ track, index, likes: likes[track.id] || 0 }))
+            .sort((a, b) => b.likes - a.likes || a.index - b.index)
+            .map(entry => ({ ...toPublicTrack(entry.track), likes: entry.likes }));
+    }
+
+    // Get playlist endpoint (returns array for frontend compatibility) - of the session's
+    // channel, or ?channel=<id>
+    router.get('/playlist', async (req, res) => {
+        try {
+            const library = await getRequestLibrary(req, res);
+            if (!library) {
+                return res.status(404).json({ success: false, error: 'Unknown channel' });
+            }
+            res.json(await getPlaylistTracks(req, library));
+        } catch (error) {
+            console.error('Error getting playlist:', error);
+            res.status(500).json([]);
+        }
+    });
+
+    // Older clients use /music - same response as /playlist
+    router.get('/music', async (req, res) => {
+        try {
+            const library = await getRequestLibrary(req, res);
+            if (!library) {
+                return res.status(404).json({ success: false, error: 'Unknown channel' });
+            }
+            res.json(await getPlaylistTracks(req, library));
+        } catch (error) {
+            console.error('Error getting playlist:', error);
+            res.status(500).json([]);
+        }
+    });
+
+    // Playlist exports for other players - entries point at /api/stream/:trackId (?channel=<id>
+    // like /playlist)
+    router.get('/playlist.m3u8', async (req, res) => {
+        try {
+            const library = await getRequestLibrary(req, res);
+            if (!library) {
+                return res.status(404).json({ success: false, error: 'Unknown channel' });
+            }
+            const playlist = toM3U(library.musicFiles, { baseUrl: getBaseUrl(req), name: await library.getName() });
+            res.set('Content-Disposition', 'attachment; filename="playlist.m3u8"');
+            res.type('application/vnd.apple.mpegurl').send(playlist);
+        } catch (error) {
+            console.error('Error exporting playlist:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    router.get('/playlist.xspf', async (req, res) => {
+        try {
+            const library = await getRequestLibrary(req, res);
+            if (!library) {
+                return res.status(404).json({ success: false, error: 'Unknown channel' });
+            }
+            const playlist = toXSPF(library.musicFiles, { baseUrl: getBaseUrl(req), name: await library.getName() });
+            res.set('Content-Disposition', 'attachment; filename="playlist.xspf"');
+            res.type('application/xspf+xml').send(playlist);
+        } catch (error) {
+            console.error('Error exporting playlist:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    router.get('/playlist.json', async (req, res) => {
+        try {
+            const library = await getRequestLibrary(req, res);
+            if (!library) {
+                return res.status(404).json({ success: false, error: 'Unknown channel' });
+            }
+            res.json(toPlaylistJSON(library.musicFiles, { baseUrl: getBaseUrl(req), name: await library.getName() }));
+        } catch (error) {
+            console.error('Error exporting playlist:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Reorder the playlist from an M3U, XSPF or JSON playlist (admin only); ?dryRun=1 only
+    // reports the matches, ?channel=<id> picks the library. JSON bodies are parsed by the app,
+    // anything else arrives as text.
+    router.post('/playlist/import', requireAdmin(core), express.text({ type: '*/*', limit: JSON_BODY_LIMIT }), async (req, res) => {
+        try {
+            const dryRun = req.query.dryRun === '1' || req.query.dryRun === 'true';
+            const library = await getRequestLibrary(req, res);
+            if (!library) {
+                return res.status(404).json({ success: false, error: 'Unknown channel' });
+            }
+            const result = await library.importPlaylist(req.body, { dryRun });
+            res.json(result);
+        } catch (error) {
+            console.error('❌ Error importing playlist:', error.message);
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    // Search title, performer and caption: ?q=<text>&limit=<n> (default 20, max 100), in the
+    // session's channel or ?channel=<id>
+    router.get('/search', async (req, res) => {
+        try {
+            const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+            if (!query) {
+                return res.status(400).json({ success: false, error: 'Query parameter q is required' });
+            }
+
+            const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+            const library = await getRequestLibrary(req, res);
+            if (!library) {
+                return res.status(404).json({ success: false, error: 'Unknown channel' });
+            }
+
+            const results = library.search(query, { limit });
+            res.json({
+                success: true,
+                query: query,
+                total: results.length,
+                results: results.map(result => ({
+                    index: result.index,
+                    score: result.score,
+                    track: toPublicTrack(result.track)
+                }))
+            });
+        } catch (error) {
+            console.error('Error searching tracks:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Playback routes below act on the caller's session (see lib/sessions.js)
+
+    // Get current track endpoint
+    router.get('/current', async (req, res) => {
+        try {
+            const session = await core.sessions.get(getRequestSessionId(req, res));
+            const total = core.getLibrary(session.channelId).musicFiles.length;
+            if (session.track) {
+                res.json({
+                    success: true,
+                    track: toPublicTrack(session.track),
+                    index: session.index,
+                    total: total,
+                    position: session.position
+                });
+            } else {
+                res.json({
+                    success: false,
+                    error: 'No tracks available',
+                    track: null,
+                    index: 0,
+                    total: total
+                });
+            }
+        } catch (error) {
+            console.error('Error getting current track:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Next track endpoint - plays the session's Up Next queue first, then follows its shuffle
+    // order. { ended: true } when the song finished playing: repeat 'one' then returns the same
+    // song, and repeat 'off' answers stopped: true after the last one. channelId changes when a
+    // queued song is from another source channel.
+    router.post('/next', async (req, res) => {
+        try {
+            const ended = req.body?.ended === true;
+            const session = await core.sessions.nextTrack(getRequestSessionId(req, res), { ended });
+            if (!session) {
+                return res.status(404).json({ success: false, error: 'No tracks available' });
+            }
+
+            console.log(session.stopped ? '⏹️ End of playlist (repeat off)' : `🎵 Next track: ${session.track.title}`);
+            res.json({
+                success: true,
+                channelId: session.channelId,
+                track: toPublicTrack(session.track),
+                index: session.index,
+                stopped: !!session.stopped
+            });
+        } catch (error) {
+            console.error('Error getting next track:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Previous track endpoint (/prev kept for the web player)
+    async function previousTrackHandler(req, res) {
+        try {
+            const session = await core.sessions.previousTrack(getRequestSessionId(req, res));
+            if (!session) {
+                return res.status(404).json({ success: false, error: 'No tracks available' });
+            }
+
+            console.log(`🎵 Previous track: ${session.track.title}`);
+            res.json({
+                success: true,
+                channelId: session.channelId,
+                track: toPublicTrack(session.track),
+                index: session.index
+            });
+        } catch (error) {
+            console.error('Error getting previous track:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+    router.post('/previous', previousTrackHandler);
+    router.post('/prev', previousTrackHandler);
+
+    // Set specific track by index (/track/:index kept for older clients)
+    async function playIndexHandler(req, res) {
+        try {
+            const index = parseInt(req.params.index);
+            const sessionId = getRequestSessionId(req, res);
+
+            const session = await core.sessions.playIndex(sessionId, index);
+            if (!session) {
+                const library = await core.sessions.libraryOf(sessionId);
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid track index',
+                    maxIndex: library.musicFiles.length - 1
+                });
+            }
+
+            console.log(`🎵 Switching to track ${index + 1}: ${session.track.title}`);
+            res.json({
+                success: true,
+                index: session.index,
+                track: toPublicTrack(session.track),
+                position: session.position
+            });
+        } catch (error) {
+            console.error('Error setting track:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+    router.post('/play/:index', playIndexHandler);
+    router.post('/track/:index', playIndexHandler);
+
+    // Get a track by its stable ID, from any source channel
+    router.get('/tracks/:id', async (req, res) => {
+        try {
+            const found = await core.findTrack(req.params.id);
+            if (!found) {
+                return res.status(404).json({ success: false, error: 'Track not found' });
+            }
+
+            res.json({
+                success: true,
+                channelId: found.library.channelId,
+                index: findTrackIndexById(found.library.musicFiles, req.params.id),
+                track: toPublicTrack(found.track)
+            });
+        } catch (error) {
+            console.error('Error getting track:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Set track by stable ID (survives playlist syncs, unlike the index); a track of another
+    // source channel switches the session to it
+    router.post('/play/id/:id', async (req, res) => {
+        try {
+            const session = await core.sessions.playTrackById(getRequestSessionId(req, res), req.params.id);
+            if (!session) {
+                return res.status(404).json({ success: false, error: 'Track not found' });
+            }
+
+            console.log(`🎵 Switching to track ${session.track.id}: ${session.track.title}`);
+            res.json({
+                success: true,
+                channelId: session.channelId,
+                index: session.index,
+                track: toPublicTrack(session.track),
+                position: session.position
+            });
+        } catch (error) {
+            console.error('Error setting track:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Sync seek position
+    router.post('/seek', async (req, res) => {
+        try {
+            const { position } = req.body || {};
+
+            if (typeof position === 'number' && position >= 0) {
+                const session = await core.sessions.seek(getRequestSessionId(req, res), position);
+                res.json({ success: true, position: session.position });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: 'Invalid position value'
+                });
+            }
+        } catch (error) {
+            console.error('Error syncing position:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Get current position
+    router.get('/position', async (req, res) => {
+        try {
+            const session = await core.sessions.get(getRequestSessionId(req, res));
+            res.json({ position: session.position });
+        } catch (error) {
+            console.error('Error getting position:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // The player started or paused: { playing: boolean, position?: seconds }
+    router.post('/playback', async (req, res) => {
+        try {
+            const { playing, position } = req.body || {};
+
+            if (typeof playing !== 'boolean') {
+                return res.status(400).json({ success: false, error: 'playing must be true or false' });
+            }
+
+            const session = await core.sessions.setPlaying(getRequestSessionId(req, res), playing, position);
+            res.json({ success: true, playing: session.playing, position: session.position });
+        } catch (error) {
+            console.error('Error updating playback:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Session settings: { channelId, index, track, position, playing, shuffle, repeat, queue }
+    router.get('/session', async (req, res) => {
+        try {
+            const session = await core.sessions.get(getRequestSessionId(req, res));
+            res.json({ success: true, ...core.sessions.toPublicView(session) });
+        } catch (error) {
+            console.error('Error getting session:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Change session settings: { channelId?: source channel, shuffle?: boolean,
+    // repeat?: 'off' | 'one' | 'all' } - switching channels starts at its first track
+    router.post('/session', async (req, res) => {
+        try {
+            const { channelId, shuffle, repeat } = req.body || {};
+
+            if ((shuffle !== undefined && typeof shuffle !== 'boolean') ||
+                (repeat !== undefined && !REPEAT_MODES.includes(repeat))) {
+                return res.status(400).json({
+                    success: false,
+                    error: `shuffle must be true/false and repeat one of: ${REPEAT_MODES.join(', ')}`
+                });
+            }
+            if (channelId !== undefined && !core.libraries.has(Number(channelId))) {
+                return res.status(404).json({ success: false, error: 'Unknown channel' });
+            }
+
+            const sessionId = getRequestSessionId(req, res);
+            if (channelId !== undefined) {
+                await core.sessions.selectChannel(sessionId, channelId);
+            }
+            const session = await core.sessions.setOptions(sessionId, { shuffle, repeat });
+            res.json({ success: true, ...core.sessions.toPublicView(session) });
+        } catch (error) {
+            console.error('Error updating session:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // A code that pairs the bot's /nowplaying remote with this session, and a t.me link that
+    // sends it to the bot: { code, expiresAt, link }
+    router.post('/session/pair', async (req, res) => {
+        try {
+            if (!core.bot) {
+                return res.status(503).json({ success: false, error: 'Telegram bot is not configured' });
+            }
+
+            const pairing = await core.nowPlaying.createPairing(getRequestSessionId(req, res));
+            const botInfo = await core.bot.getMe();
+            res.json({
+                success: true,
+                code: pairing.code,
+                expiresAt: new Date(pairing.expiresAt).toISOString(),
+                link: `https://t.me/${botInfo.username}?start=pair_${pairing.code}`
+            });
+        } catch (error) {
+            console.error('Error creating remote pairing:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Session events (SSE): 'sync' on connect, then track/seek/play/pause/options/queue whenever the
+    // session changes - also from other places sharing it, like the Telegram /nowplaying remote
+    router.get('/session/events', async (req, res) => {
+        try {
+            const sessionId = getRequestSessionId(req, res);
+            const session = await core.sessions.get(sessionId);
+
+            if (core.liveEvents) {
+                openEventStream(res);
+                sendEvent(res, 'sync', core.sessions.toPublicView(session));
+                core.sessions.hub.subscribe(sessionId, req, res);
+            } else {
+                openEventStream(res, { retry: EVENT_POLL_INTERVAL });
+                sendEvent(res, 'sync', core.sessions.toPublicView(session));
+                res.end();
+            }
+        } catch (error) {
+            console.error('Error opening session events:', error);
+            if (!res.headersSent) {
+                res.status(500).json({ success: false, error: error.message });
+            } else {
+                res.end();
+            }
+        }
+    });
+
+    // Server clock for listen-together drift correction
+    router.get('/time', (req, res) => {
+        res.json({ serverTime: Date.now() });
+    });
+
+    // Create a listen-together room hosted by the caller's session: { name? }
+    router.post('/rooms', async (req, res) => {
+        try {
+            const name = typeof req.body?.name === 'string' ? req.body.name.trim().slice(0, 64) : '';
+            const room = await core.rooms.create({ name, hostSessionId: getRequestSessionId(req, res) });
+            res.json({
+                success: true,
+                room: core.rooms.toPublicRoom(room),
+                hostToken: room.hostToken,
+                joinUrl: `${core.config.getWebPlayerUrl()}/?room=${room.id}`
+            });
+        } catch (error) {
+            console.error('Error creating room:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    router.get('/rooms/:roomId', async (req, res) => {
+        try {
+            const room = await core.rooms.get(req.params.roomId);
+            if (!room) {
+                return res.status(404).json({ success: false, error: 'Room not found' });
+            }
+            await core.ensureLibrary(room.channelId);
+
+            res.json({
+                success: true,
+                room: core.rooms.toPublicRoom(room),
+                isHost: room.hostSessionId === getRequestSessionId(req, res)
+            });
+        } catch (error) {
+            console.error('Error getting room:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Become the host of a room using its host token: { token }
+    router.post('/rooms/:roomId/host', async (req, res) => {
+        try {
+            const room = await core.rooms.claimHost(req.params.roomId, req.body?.token, getRequestSessionId(req, res));
+            if (!room) {
+                return res.status(403).json({ success: false, error: 'Invalid room or host token' });
+            }
+            await core.ensureLibrary(room.channelId);
+
+            res.json({ success: true, room: core.rooms.toPublicRoom(room), isHost: true });
+        } catch (error) {
+            console.error('Error claiming room:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    router.delete('/rooms/:roomId', async (req, res) => {
+        try {
+            if (!(await core.rooms.close(req.params.roomId, getRequestSessionId(req, res)))) {
+                return res.status(403).json({ success: false, error: 'Only the host can close this room' });
+            }
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Error closing room:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Room events (SSE): 'sync' with the current state on connect, then play/pause/seek/track
+    // as the host changes playback, and 'closed' when the host ends the room
+    router.get('/rooms/:roomId/events', async (req, res) => {
+        try {
+            const room = await core.rooms.get(req.params.roomId);
+            if (!room) {
+                return res.status(404).json({ success: false, error: 'Room not found' });
+            }
+            await core.ensureLibrary(room.channelId);
+
+            if (core.liveEvents) {
+                openEventStream(res);
+                sendEvent(res, 'sync', core.rooms.toPublicRoom(room), room.version);
+                core.rooms.hub.subscribe(room.id, req, res);
+            } else {
+                openEventStream(res, { retry: EVENT_POLL_INTERVAL });
+                sendEvent(res, 'sync', core.rooms.toPublicRoom(room), room.version);
+                res.end();
+            }
+        } catch (error) {
+            console.error('Error opening room events:', error);
+            if (!res.headersSent) {
+                res.status(500).json({ success: false, error: error.message });
+            } else {
+                res.end();
+            }
+        }
+    });
+
+    // Named playlists (see lib/playlists.js) - owned by the caller's session; errors carry
+    // their status (400 invalid, 403 not the owner, 404 unknown, 409 duplicate), as do the
+    // queue's below
+    function sendPlaylistError(res, error) {
+        if (!error.statusCode) {
+            console.error('❌ Error in playlist route:', error);
+        }
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
+
+    // The caller's playlists
+    router.get('/playlists', async (req, res) => {
+        try {
+            const ownerId = getRequestSessionId(req, res);
+            const playlists = await core.playlists.list(ownerId);
+            res.json({ success: true, playlists: playlists.map(playlist => core.playlists.toSummary(playlist, ownerId)) });
+        } catch (error) {
+            sendPlaylistError(res, error);
+        }
+    });
+
+    // Create a playlist: { name }
+    router.post('/playlists', async (req, res) => {
+        try {
+            const ownerId = getRequestSessionId(req, res);
+            const playlist = await core.playlists.create(ownerId, req.body?.name);
+            res.status(201).json({ success: true, playlist: await core.playlists.toPublicPlaylist(playlist, ownerId) });
+        } catch (error) {
+            sendPlaylistError(res, error);
+        }
+    });
+
+    // A playlist with its tracks - anyone with the ID can view it
+    router.get('/playlists/:id', async (req, res) => {
+        try {
+            const playlist = await core.playlists.get(req.params.id);
+            if (!playlist) {
+                return res.status(404).json({ success: false, error: 'Playlist not found' });
+            }
+            res.json({ success: true, playlist: await core.playlists.toPublicPlaylist(playlist, getRequestSessionId(req, res)) });
+        } catch (error) {
+            sendPlaylistError(res, error);
+        }
+    });
+
+    // Rename: { name }
+    router.patch('/playlists/:id', async (req, res) => {
+        try {
+            const ownerId = getRequestSessionId(req, res);
+            const playlist = await core.playlists.rename(ownerId, req.params.id, req.body?.name);
+            res.json({ success: true, playlist: await core.playlists.toPublicPlaylist(playlist, ownerId) });
+        } catch (error) {
+            sendPlaylistError(res, error);
+        }
+    });
+
+    router.delete('/playlists/:id', async (req, res) => {
+        try {
+            await core.playlists.remove(getRequestSessionId(req, res), req.params.id);
+            res.json({ success: true });
+        } catch (error) {
+            sendPlaylistError(res, error);
+        }
+    });
+
+    // Play a playlist in the caller's session: its first song now, the rest as Up Next
+    router.post('/playlists/:id/play', async (req, res) => {
+        try {
+            const playlist = await core.playlists.get(req.params.id);
+            if (!playlist) {
+                return res.status(404).json({ success: false, error: 'Playlist not found' });
+            }
+
+            const session = await core.sessions.playTracks(getRequestSessionId(req, res), playlist.trackIds);
+            if (!session) {
+                return res.status(404).json({ success: false, error: 'This playlist has no songs to play' });
+            }
+            res.json({
+                success: true,
+                channelId: session.channelId,
+                index: session.index,
+                track: toPublicTrack(session.track),
+                queue: session.queue.map(toPublicTrack)
+            });
+        } catch (error) {
+            sendPlaylistError(res, error);
+        }
+    });
+
+    // Add a track: { trackId, position? } - position is 0-based, default the end
+    router.post('/playlists/:id/tracks', async (req, res) => {
+        try {
+            const { trackId, position } = req.body || {};
+            if (typeof trackId !== 'string' || !trackId) {
+                return res.status(400).json({ success: false, error: 'trackId is required' });
+            }
+
+            const ownerId = getRequestSessionId(req, res);
+            const playlist = await core.playlists.addTrack(ownerId, req.params.id, trackId, position);
+            res.json({ success: true, playlist: await core.playlists.toPublicPlaylist(playlist, ownerId) });
+        } catch (error) {
+            sendPlaylistError(res, error);
+        }
+    });
+
+    // Reorder the whole playlist: { trackIds } with every track of it in the new order
+    router.put('/playlists/:id/tracks', async (req, res) => {
+        try {
+            const ownerId = getRequestSessionId(req, res);
+            const playlist = await core.playlists.reorder(ownerId, req.params.id, req.body?.trackIds);
+            res.json({ success: true, playlist: await core.playlists.toPublicPlaylist(playlist, ownerId) });
+        } catch (error) {
+            sendPlaylistError(res, error);
+        }
+    });
+
+    // Move one track: { position } (0-based)
+    router.post('/playlists/:id/tracks/:trackId/move', async (req, res) => {
+        try {
+            const ownerId = getRequestSessionId(req, res);
+            const playlist = await core.playlists.moveTrack(ownerId, req.params.id, req.params.trackId, req.body?.position);
+            res.json({ success: true, playlist: await core.playlists.toPublicPlaylist(playlist, ownerId) });
+        } catch (error) {
+            sendPlaylistError(res, error);
+        }
+    });
+
+    router.delete('/playlists/:id/tracks/:trackId', async (req, res) => {
+        try {
+            const ownerId = getRequestSessionId(req, res);
+            const playlist = await core.playlists.removeTrack(ownerId, req.params.id, req.params.trackId);
+            res.json({ success: true, playlist: await core.playlists.toPublicPlaylist(playlist, ownerId) });
+        } catch (error) {
+            sendPlaylistError(res, error);
+        }
+    });
+
+    // Up Next queue of the caller's session (see lib/sessions.js) - songs of any source channel
+    // that /next plays before the library order goes on. Every route answers the whole queue.
+    function sendQueue(res, session) {
+        res.json({ success: true, queue: session.queue.map(toPublicTrack) });
+    }
+
+    router.get('/queue', async (req, res) => {
+        try {
+            sendQueue(res, await core.sessions.get(getRequestSessionId(req, res)));
+        } catch (error) {
+            sendPlaylistError(res, error);
+        }
+    });
+
+    // Queue a song: { trackId, next? } - next: true puts it right after the current song
+    router.post('/queue', async (req, res) => {
+        try {
+            const { trackId, next } = req.body || {};
+            if (typeof trackId !== 'string' || !trackId) {
+                return res.status(400).json({ success: false, error: 'trackId is required' });
+            }
+
+            const session = await core.sessions.enqueue(getRequestSessionId(req, res), trackId, { next: next === true });
+            if (!session) {
+                return res.status(404).json({ success: false, error: 'Track not found' });
+            }
+            sendQueue(res, session);
+        } catch (error) {
+            sendPlaylistError(res, error);
+        }
+    });
+
+    // Reorder the queue: { trackIds } with every queued song in the new order
+    router.put('/queue', async (req, res) => {
+        try {
+            sendQueue(res, await core.sessions.reorderQueue(getRequestSessionId(req, res), req.body?.trackIds));
+        } catch (error) {
+            sendPlaylistError(res, error);
+        }
+    });
+
+    router.delete('/queue/:trackId', async (req, res) => {
+        try {
+            sendQueue(res, await core.sessions.removeFromQueue(getRequestSessionId(req, res), req.params.trackId));
+        } catch (error) {
+            sendPlaylistError(res, error);
+        }
+    });
+
+    router.delete('/queue', async (req, res) => {
+        try {
+            sendQueue(res, await core.sessions.clearQueue(getRequestSessionId(req, res)));
+        } catch (error) {
+            sendPlaylistError(res, error);
+        }
+    });
+
+    // Favorites of the caller: { trackIds, tracks, missing } like a named playlist
+    router.get('/favorites', async (req, res) => {
+        try {
+            res.json({ success: true, ...(await core.favorites.toPublicFavorites(getRequestSessionId(req, res))) });
+        } catch (error) {
+            sendPlaylistError(res, error);
+        }
+    });
+
+    // Like or unlike: { trackId, liked? } - without liked it toggles. Answers the new state and
+    // the track's like count.
+    router.post('/favorites', async (req, res) => {
+        try {
+            const { trackId, liked } = req.body || {};
+            if (typeof trackId !== 'string' || !trackId) {
+                return res.status(400).json({ success: false, error: 'trackId is required' });
+            }
+
+            const result = await core.favorites.toggle(getRequestSessionId(req, res), trackId, typeof liked === 'boolean' ? liked : undefined);
+            if (!result) {
+                return res.status(404).json({ success: false, error: 'Track not found' });
+            }
+            const likes = await core.favorites.getLikeCounts();
+            res.json({ success: true, trackId: trackId, liked: result.liked, likes: likes[trackId] || 0, trackIds: result.trackIds });
+        } catch (error) {
+            sendPlaylistError(res, error);
+        }
+    });
+
+    // Play the caller's favorites in the caller's playback session: the first now, the rest
+    // as the Up Next queue
+    router.post('/favorites/play', async (req, res) => {
+        try {
+            const trackIds = await core.favorites.list(getRequestSessionId(req, res));
+            const session = await core.sessions.playTracks(getRequestSessionId(req, res), trackIds);
+            if (!session) {
+                return res.status(404).json({ success: false, error: 'No favorites to play' });
+            }
+            res.json({
+                success: true,
+                channelId: session.channelId,
+                index: session.index,
+                track: toPublicTrack(session.track),
+                queue: session.queue.map(toPublicTrack)
+            });
+        } catch (error) {
+            sendPlaylistError(res, error);
+        }
+    });
+
+    // Like counts of every liked track: { likes: { [trackId]: count } }
+    router.get('/likes', async (req, res) => {
+        try {
+            res.json({ success: true, likes: await core.favorites.getLikeCounts() });
+        } catch (error) {
+            sendPlaylistError(res, error);
+        }
+    });
+
+    // Stream a track's audio through the server so the bot token never reaches the browser
+    router.get('/stream/:trackId', async (req, res) => {
+        try {
+            const found = await core.findTrack(req.params.trackId);
+            const track = found && found.track;
+            if (!track || !(track.fileId || track.needsFileId) || !core.bot) {
+                return res.status(404).json({ success: false, error: 'Track not found' });
+            }
+
+            // Imported from a Desktop export: look up the file ID on first play
+            if (!(await found.library.resolveTrackFile(track))) {
+                return res.status(404).json({ success: false, error: 'File of this imported track could not be resolved (is VERIFY_CHAT_ID set?)' });
+            }
+
+            // Persist the refreshed link so it is reused until it goes stale
+            if (await streamTrack(core.bot, track, req, res, core.streamOptions)) {
+                await found.library.saveFileLinks([track]);
+            }
+        } catch (error) {
+            console.error('❌ Error streaming track:', error.message);
+            if (!res.headersSent) {
+                res.status(error.statusCode || 502).json({ success: false, error: error.message });
+            } else {
+                res.destroy();
+            }
+        }
+    });
+
+    // Import a Telegram Desktop channel export - the body is its result.json (admin only); it goes
+    // into the library of the exported channel
+    router.post('/import', requireAdmin(core), async (req, res) => {
+        try {
+            const result = await core.importDesktopExport(req.body);
+            res.json(result);
+        } catch (error) {
+            console.error('❌ Error importing export:', error.message);
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    // Refresh music: sync playlist with channel (removes deleted songs and adds new ones) - the
+    // session's channel, or ?channel=<id> (admin only)
+    router.post('/refresh', requireAdmin(core), async (req, res) => {
+        try {
+            console.log('🔄 Manual refresh requested - syncing playlist with channel...');
+
+            const library = await getRequestLibrary(req, res);
+            if (!library) {
+                return res.status(404).json({ success: false, error: 'Unknown channel' });
+            }
+            if (!core.bot) {
+                return res.status(503).json({ success: false, error: 'Bot not initialized', tracks: library.musicFiles.length });
+            }
+
+            const syncResult = await library.syncPlaylistWithChannel();
+
+            if (syncResult.success) {
+                res.json({
+                    success: true,
+                    message: syncResult.message,
+                    tracks: syncResult.totalTracks,
+                    newTracks: syncResult.tracksAdded,
+                    removedTracks: syncResult.tracksRemoved,
+                    removedTrackNames: syncResult.removedTracks || [],
+                    isReal: library.musicFiles.length > 0 && !library.isDemoPlaylist(),
+                    syncDetails: {
+                        added: syncResult.tracksAdded,
+                        removed: syncResult.tracksRemoved,
+                        total: syncResult.totalTracks
+                    }
+                });
+            } else if (library.musicFiles.length === 0) {
+                // Fallback to demo playlist if sync fails
+                console.log('🔄 Sync failed, using demo playlist...');
+                library.createFallbackPlaylist();
+                res.json({
+                    success: true,
+                    message: `Sync failed. Using demo playlist with ${library.musicFiles.length} tracks`,
+                    tracks: library.musicFiles.length,
+                    newTracks: 0,
+                    removedTracks: 0,
+                    isReal: false,
+                    error: syncResult.error
+                });
+            } else {
+                res.json({
+                    success: false,
+                    error: syncResult.error,
+                    tracks: library.musicFiles.length
+                });
+            }
+        } catch (error) {
+            console.error('❌ Error during manual refresh:', error);
+            res.json({ success: false, error: error.message });
+        }
+    });
+
+    // Telegram webhook endpoint - only requests carrying the secret_token we registered with
+    // setWebhook, and each update_id once; recorded when RECORD_UPDATES_DIR is set
+    router.post('/telegram-webhook', async (req, res) => {
+        if (!core.bot) {
+            console.error('❌ Bot not initialized');
+            return res.sendStatus(500);
+        }
+        if (!isWebhookRequestValid(req, core.bot.token, core.config.WEBHOOK_SECRET)) {
+            console.log('🚫 Webhook request without a valid secret token refused');
+            return res.sendStatus(401);
+        }
+
+        try {
+            const update = req.body;
+            if (!update || !Number.isInteger(update.update_id)) {
+                return res.sendStatus(400);
+            }
+            const claimed = await claimUpdate(core.storage, update.update_id);
+            await core.updateRecorder.record(update, { duplicate: !claimed });
+            if (!claimed) {
+                console.log(`♻️ Update ${update.update_id} already received - skipped`);
+                return res.sendStatus(200);
+            }
+            console.log('📨 Received webhook update:', JSON.stringify(update, null, 2));
+
+            // Process the update
+            core.bot.processUpdate(update);
+            res.sendStatus(200);
+        } catch (error) {
+            console.error('❌ Webhook processing error:', error);
+            res.sendStatus(500);
+        }
+    });
+
+    // Bot webhook setup endpoint (for setting webhook from external calls; admin only)
+    router.post('/setup-webhook', requireAdmin(core), async (req, res) => {
+        if (!core.bot) {
+            return res.status(500).json({ success: false, error: 'Bot not initialized' });
+        }
+
+        try {
+            const webhookUrl = getWebhookUrl(core.config.getWebPlayerUrl());
+            console.log(`🔗 Setting webhook to: ${webhookUrl}`);
+
+            // Clear existing webhook first
+            const apiUrl = core.config.TELEGRAM_API_URL;
+            await deleteWebhook(core.bot.token, {}, apiUrl);
+            console.log('🧹 Cleared existing webhook');
+
+            const result = await setWebhook(core.bot.token, webhookUrl, {
+                secret_token: getWebhookSecret(core.bot.token, core.config.WEBHOOK_SECRET)
+            }, apiUrl);
+            if (result.ok) {
+                console.log('✅ Webhook set successfully');
+                res.json({
+                    success: true,
+                    message: 'Webhook configured successfully',
+                    url: webhookUrl
+                });
+            } else {
+                console.log('⚠️ Webhook setup failed:', result.description);
+                res.status(400).json({
+                    success: false,
+                    error: result.description
+                });
+            }
+        } catch (error) {
+            console.error('❌ Error setting up webhook:', error.message);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Refused admin attempts, newest first (admin only)
+    router.get('/admin/audit', requireAdmin(core), async (req, res) => {
+        try {
+            res.json({ success: true, entries: await core.admins.listDenied() });
+        } catch (error) {
+            console.error('❌ Error loading admin audit log:', error.message);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Health check endpoint
+    router.get('/health', (req, res) => {
+        res.json({
+            status: 'ok',
+            timestamp: new Date().toISOString(),
+            channels: core.libraries.size,
+            tracks: [...core.libraries.values()].reduce((total, library) => total + library.musicFiles.length, 0)
+        });
+    });
+
+    return router;
+}
+
+module.exports = {
+    JSON_BODY_LIMIT,
+    createApiRouter
+};
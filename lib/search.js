@@ -0,0 +1,99 @@
+// Track search over title, performer and caption
+// Text is normalised so that case, Latin accents, the Devanagari nukta (ज़ / ज) and
+// punctuation don't matter; every query word has to match the start of a word in the
+// track, or failing that appear inside one.
+
+// Devanagari nukta - often left out when typing, so "ज़रा" should match "जरा"
+const NUKTA = /\u093C/g;
+// Latin combining accents (only after NFD; Devanagari vowel signs are marks too and must stay)
+const LATIN_ACCENTS = /[\u0300-\u036f]/g;
+
+// Field weights: a title match counts more than a performer or caption match
+const FIELD_WEIGHTS = { title: 3, performer: 2, caption: 1 };
+
+function normalizeText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(LATIN_ACCENTS, '')
+        .normalize('NFC')
+        .replace(NUKTA, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+function tokenize(text) {
+    const normalized = normalizeText(text);
+    return normalized ? normalized.split(' ') : [];
+}
+
+class SearchIndex {
+    constructor(tracks) {
+        this.tracks = tracks;
+        this.size = tracks.length;
+        this.entries = tracks.map((track, index) => ({
+            index: index,
+            fields: Object.keys(FIELD_WEIGHTS).map(field => ({
+                weight: FIELD_WEIGHTS[field],
+                words: tokenize(field === 'performer' && track.performer === 'Unknown Artist' ? '' : track[field])
+            }))
+        }));
+    }
+
+    // Built for this exact list? (tracks are added in place, so compare the length too)
+    isCurrent(tracks) {
+        return this.tracks === tracks && this.size === tracks.length;
+    }
+
+    // Score of one query word against one field: whole word > word prefix > inside a word
+    static scoreWord(queryWord, words) {
+        let best = 0;
+        for (const word of words) {
+            if (word === queryWord) {
+                return 3;
+            }
+            if (word.startsWith(queryWord)) {
+                best = Math.max(best, 2);
+            } else if (queryWord.length > 1 && word.includes(queryWord)) {
+                best = Math.max(best, 1);
+            }
+        }
+        return best;
+    }
+
+    // Returns [{ index, track, score }], best matches first
+    search(query, { limit = 20 } = {}) {
+        const queryWords = tokenize(query);
+        if (queryWords.length === 0) {
+            return [];
+        }
+
+        const results = [];
+        for (const entry of this.entries) {
+            let score = 0;
+            let matchedAll = true;
+
+            for (const queryWord of queryWords) {
+                const wordScore = Math.max(...entry.fields.map(field => SearchIndex.scoreWord(queryWord, field.words) * field.weight));
+                if (wordScore === 0) {
+                    matchedAll = false;
+                    break;
+                }
+                score += wordScore;
+            }
+
+            if (matchedAll) {
+                results.push({ index: entry.index, track: this.tracks[entry.index], score: score });
+            }
+        }
+
+        // Best score first; the playlist order breaks ties
+        results.sort((a, b) => b.score - a.score || a.index - b.index);
+        return results.slice(0, limit);
+    }
+}
+
+module.exports = {
+    normalizeText,
+    SearchIndex
+};
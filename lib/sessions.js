@@ -0,0 +1,558 @@
+// Per-listener playback sessions
+// Every web player (identified by a session cookie) and every Telegram user has its own
+// source channel, current track, position, shuffle and repeat settings, so one listener
+// pressing Next doesn't skip the song for everybody else. Each session has its own storage key
+// (sessions/<id>), so every serverless instance sees the same state and listeners playing at
+// the same time don't contend for one record.
+const crypto = require('crypto');
+const { findTrackIndexById } = require('./tracks');
+const { toPublicTrack } = require('./stream');
+const { httpError } = require('./http-error');
+const { EventHub } = require('./sse');
+
+// Older versions kept every session in this one record; it is still read for sessions that
+// haven't been saved under their own key yet
+const SESSIONS_KEY = 'sessions';
+const SESSION_COOKIE = 'listener_session';
+const SESSION_COOKIE_MAX_AGE = 365 * 24 * 60 * 60; // seconds
+// Sessions unused for this long start over as new ones
+const SESSION_TTL = 90 * 24 * 60 * 60 * 1000;
+const REPEAT_MODES = ['off', 'one', 'all'];
+const MAX_QUEUE_LENGTH = 100;
+
+function createSessionState() {
+    return {
+        // Source channel whose library is playing; null for the primary channel
+        channelId: null,
+        currentTrackId: null,
+        currentIndex: 0,
+        position: 0,
+        playing: false,
+        shuffle: false,
+        // Track IDs in shuffled play order while shuffle is on (see nextTrack)
+        shuffleOrder: null,
+        // 'off' stops after the last song, 'all' starts over, 'one' repeats the song - only
+        // when a song ends, Next always moves on
+        repeat: 'all',
+        // Up Next: track IDs (of any source channel) that play before the library order goes on
+        queue: [],
+        // { channelId, trackId } the library order carries on from once the queue is played
+        resume: null,
+        updatedAt: new Date().toISOString()
+    };
+}
+
+function getSessionKey(sessionId) {
+    return `${SESSIONS_KEY}/${sessionId}`;
+}
+
+// Fisher-Yates shuffle of a copy
+function shuffleIds(ids) {
+    const shuffled = [...ids];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+// Cookies of a request; pairs whose value doesn't decode (a stray '%') are skipped
+function parseCookies(header) {
+    const cookies = {};
+    (header || '').split(';').forEach(part => {
+        const separator = part.indexOf('=');
+        if (separator > 0) {
+            try {
+                cookies[part.slice(0, separator).trim()] = decodeURIComponent(part.slice(separator + 1).trim());
+            } catch (error) {
+                // Malformed value - skip just this pair
+            }
+        }
+    });
+    return cookies;
+}
+
+// Session ID of a web player request; issues a new cookie on the first visit
+function getSessionId(req, res) {
+    const existing = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (existing && /^[A-Za-z0-9_-]{16,64}$/.test(existing)) {
+        return existing;
+    }
+
+    const sessionId = crypto.randomBytes(16).toString('base64url');
+    res.append('Set-Cookie', `${SESSION_COOKIE}=${sessionId}; Path=/; Max-Age=${SESSION_COOKIE_MAX_AGE}; HttpOnly; SameSite=Lax`);
+    return sessionId;
+}
+
+// Session ID of a Telegram user (bot commands, and the web player opened from Telegram)
+function getTelegramSessionId(userId) {
+    return `tg${userId}`;
+}
+
+class PlaybackSessions {
+    constructor(core) {
+        this.core = core;
+        this.listeners = [];
+        // Open SSE streams per session, so a web player follows changes made elsewhere
+        // (e.g. the /nowplaying remote in Telegram)
+        this.hub = new EventHub();
+    }
+
+    // listener(sessionId, view, event) runs after every change;
+    // event: 'track' | 'seek' | 'play' | 'pause' | 'options' | 'queue'
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    get storage() {
+        return this.core.storage;
+    }
+
+    // Tracks of the session's channel (its library must have been loaded)
+    tracksOf(session) {
+        return this.core.getLibrary(session.channelId).musicFiles;
+    }
+
+    // The stored state of a session, or null for a new (or expired) one
+    async load(sessionId) {
+        let session = await this.storage.load(getSessionKey(sessionId));
+        if (!session) {
+            const legacy = await this.storage.load(SESSIONS_KEY);
+            session = (legacy && legacy[sessionId]) || null;
+        }
+        return session && Date.parse(session.updatedAt) >= Date.now() - SESSION_TTL ? session : null;
+    }
+
+    // The library of a session's channel, loaded
+    async libraryOf(sessionId) {
+        return this.loadLibraries(await this.load(sessionId));
+    }
+
+    // Load what a session needs: its channel's library, the one the library order resumes in,
+    // and every library while songs are queued (they may come from any source channel);
+    // returns the session's library
+    async loadLibraries(session) {
+        if (session && session.queue && session.queue.length > 0) {
+            for (const library of this.core.libraries.values()) {
+                await library.ensureMusic();
+            }
+        }
+        if (session && session.resume) {
+            await this.core.ensureLibrary(session.resume.channelId);
+        }
+        return this.core.ensureLibrary(session && session.channelId);
+    }
+
+    // { library, index } of a track in the loaded libraries, or null
+    locateTrack(trackId) {
+        for (const library of this.core.libraries.values()) {
+            const index = findTrackIndexById(library.musicFiles, trackId);
+            if (index >= 0) {
+                return { library, index };
+            }
+        }
+        return null;
+    }
+
+    // Index of the session's track - by stable ID, falling back to the last known position
+    // in the playlist when the track has been removed since
+    resolveIndex(session) {
+        const musicFiles = this.tracksOf(session);
+        if (musicFiles.length === 0) {
+            return 0;
+        }
+
+        const index = session.currentTrackId ? findTrackIndexById(musicFiles, session.currentTrackId) : -1;
+        if (index >= 0) {
+            return index;
+        }
+        return Math.min(Math.max(session.currentIndex || 0, 0), musicFiles.length - 1);
+    }
+
+    // What routes and commands show: the session settings plus its resolved track
+    toView(session) {
+        const index = this.resolveIndex(session);
+        return {
+            channelId: this.core.getLibrary(session.channelId).channelId,
+            index: index,
+            track: this.tracksOf(session)[index] || null,
+            position: session.position,
+            playing: session.playing,
+            shuffle: session.shuffle,
+            repeat: session.repeat,
+            // Songs no longer in any library are skipped
+            queue: (session.queue || []).map(trackId => {
+                const found = this.locateTrack(trackId);
+                return found ? found.library.musicFiles[found.index] : null;
+            }).filter(Boolean)
+        };
+    }
+
+    // A view as sent to the web player
+    toPublicView(view) {
+        return {
+            ...view,
+            track: view.track ? toPublicTrack(view.track) : null,
+            queue: view.queue.map(toPublicTrack)
+        };
+    }
+
+    async get(sessionId) {
+        const session = (await this.load(sessionId)) || createSessionState();
+        await this.loadLibraries(session);
+        return this.toView(session);
+    }
+
+    // Atomically change one session; fn(session, index) mutates it in place
+    async update(sessionId, event, fn) {
+        // Loaded up front: loading may write to storage, which can't happen inside the update
+        const current = await this.load(sessionId);
+        await this.loadLibraries(current);
+
+        const updated = await this.storage.update(getSessionKey(sessionId), (stored) => {
+            const expired = stored && Date.parse(stored.updatedAt) < Date.now() - SESSION_TTL;
+            // Not saved under its own key yet: carry on from the old shared record
+            const session = { ...createSessionState(), ...(stored ? (expired ? {} : stored) : current) };
+
+            fn(session, this.resolveIndex(session));
+            session.updatedAt = new Date().toISOString();
+            return session;
+        });
+
+        const view = this.toView(updated);
+        for (const listener of this.listeners) {
+            try {
+                await listener(sessionId, view, event);
+            } catch (error) {
+                console.error('❌ Error in session listener:', error.message);
+            }
+        }
+        this.hub.publish(sessionId, event, this.toPublicView(view));
+        return view;
+    }
+
+    // Returns null when the index is out of range
+    async playIndex(sessionId, index) {
+        const library = await this.libraryOf(sessionId);
+        if (!library.musicFiles[index]) {
+            return null;
+        }
+        return this.update(sessionId, 'track', (session) => {
+            if (session.shuffle) {
+                this.moveUpInShuffleOrder(session, library.musicFiles[index].id);
+            }
+            session.resume = null;
+            this.selectTrack(session, index);
+        });
+    }
+
+    // Tracks of other source channels (e.g. from a named playlist) switch the session to
+    // that channel; returns null when no library has the track
+    async playTrackById(sessionId, trackId) {
+        const library = await this.libraryOf(sessionId);
+        const index = findTrackIndexById(library.musicFiles, trackId);
+        if (index >= 0) {
+            return this.playIndex(sessionId, index);
+        }
+
+        const found = await this.core.findTrack(trackId);
+        if (!found) {
+            return null;
+        }
+        return this.update(sessionId, 'track', (session) => {
+            session.channelId = found.library.channelId;
+            session.resume = null;
+            session.shuffleOrder = session.shuffle ? this.createShuffleOrder(session, trackId) : null;
+            this.selectTrack(session, findTrackIndexById(found.library.musicFiles, trackId));
+        });
+    }
+
+    // Queued songs play first, then the library order carries on from where it was left.
+    // options.ended: the current song finished playing (rather than Next being pressed), so
+    // the repeat mode applies - 'one' plays it again and 'off' stops after the last song.
+    // The view then has stopped: true and playing: false.
+    async nextTrack(sessionId, { ended = false } = {}) {
+        const library = await this.libraryOf(sessionId);
+        if (library.musicFiles.length === 0) {
+            return null;
+        }
+
+        let stopped = false;
+        const view = await this.update(sessionId, 'track', (session, index) => {
+            if (ended && session.repeat === 'one') {
+                session.position = 0;
+                return;
+            }
+
+            if (this.playFromQueue(session, index)) {
+                return;
+            }
+            if (session.resume) {
+                session.channelId = session.resume.channelId;
+                const resumeIndex = findTrackIndexById(this.tracksOf(session), session.resume.trackId);
+                index = resumeIndex >= 0 ? resumeIndex : this.resolveIndex(session);
+                session.resume = null;
+            }
+
+            const tracks = this.tracksOf(session);
+            if (tracks.length === 0) {
+                return;
+            }
+
+            // -1 when the last song has ended and repeat is off
+            let next = -1;
+            if (session.shuffle) {
+                const order = this.getShuffleOrder(session);
+                const position = order.indexOf(tracks[index].id);
+                if (position + 1 < order.length) {
+                    session.shuffleOrder = order;
+                    next = findTrackIndexById(tracks, order[position + 1]);
+                } else if (!(ended && session.repeat === 'off')) {
+                    // Every song has played: start a new round in a new order
+                    session.shuffleOrder = this.createShuffleOrder(session, null, tracks[index].id);
+                    next = findTrackIndexById(tracks, session.shuffleOrder[0]);
+                }
+            } else if (index + 1 < tracks.length || !(ended && session.repeat === 'off')) {
+                next = (index + 1) % tracks.length;
+            }
+
+            if (next < 0) {
+                stopped = true;
+                this.selectTrack(session, index);
+                session.playing = false;
+                return;
+            }
+            this.selectTrack(session, next);
+        });
+        return stopped ? { ...view, stopped: true } : view;
+    }
+
+    // From a queued song, Previous goes back to where the library order was left
+    async previousTrack(sessionId) {
+        const library = await this.libraryOf(sessionId);
+        if (library.musicFiles.length === 0) {
+            return null;
+        }
+        return this.update(sessionId, 'track', (session, index) => {
+            if (session.resume) {
+                const resume = session.resume;
+                session.resume = null;
+                const found = this.locateTrack(resume.trackId);
+                if (found && found.library.channelId === resume.channelId) {
+                    session.channelId = resume.channelId;
+                    this.selectTrack(session, found.index);
+                    return;
+                }
+            }
+
+            const tracks = this.tracksOf(session);
+            if (session.shuffle) {
+                // Back through the songs played in this round
+                const order = this.getShuffleOrder(session);
+                const position = order.indexOf(tracks[index].id);
+                session.shuffleOrder = order;
+                this.selectTrack(session, findTrackIndexById(tracks, order[position > 0 ? position - 1 : order.length - 1]));
+                return;
+            }
+            this.selectTrack(session, index > 0 ? index - 1 : tracks.length - 1);
+        });
+    }
+
+    // Make the first queued song that still exists the current one (switching to its channel);
+    // returns false when the queue is empty
+    playFromQueue(session, index) {
+        while (session.queue.length > 0) {
+            const [trackId, ...rest] = session.queue;
+            session.queue = rest;
+            const found = this.locateTrack(trackId);
+            if (!found) {
+                continue;
+            }
+
+            // Remember where the library order was, unless a queued song is already playing
+            if (!session.resume) {
+                const current = this.tracksOf(session)[index];
+                session.resume = current ? { channelId: this.core.getLibrary(session.channelId).channelId, trackId: current.id } : null;
+            }
+            session.channelId = found.library.channelId;
+            this.selectTrack(session, found.index);
+            return true;
+        }
+        return false;
+    }
+
+    // Add a song to the queue: at the end, or with options.next right after the current song.
+    // A song that is already queued moves. Returns null when no library has the track.
+    async enqueue(sessionId, trackId, { next = false } = {}) {
+        if (!(await this.core.findTrack(trackId))) {
+            return null;
+        }
+
+        return this.update(sessionId, 'queue', (session) => {
+            const queue = session.queue.filter(id => id !== trackId);
+            if (queue.length >= MAX_QUEUE_LENGTH) {
+                throw httpError(`The queue can hold at most ${MAX_QUEUE_LENGTH} songs`, 400);
+            }
+            if (next) {
+                queue.unshift(trackId);
+            } else {
+                queue.push(trackId);
+            }
+            session.queue = queue;
+        });
+    }
+
+    // Play a list of songs (e.g. the listener's favorites): the first one now, the rest as the
+    // queue, replacing what was queued. Returns null when none of them is in a library.
+    async playTracks(sessionId, trackIds) {
+        await this.loadLibraries({ queue: trackIds });
+        const available = trackIds.filter(trackId => this.locateTrack(trackId));
+        if (available.length === 0) {
+            return null;
+        }
+
+        await this.playTrackById(sessionId, available[0]);
+        return this.update(sessionId, 'queue', (session) => {
+            session.queue = available.slice(1, MAX_QUEUE_LENGTH + 1);
+        });
+    }
+
+    async removeFromQueue(sessionId, trackId) {
+        return this.update(sessionId, 'queue', (session) => {
+            session.queue = session.queue.filter(id => id !== trackId);
+        });
+    }
+
+    // New order of the whole queue: trackIds must hold exactly the queued songs
+    async reorderQueue(sessionId, trackIds) {
+        if (!Array.isArray(trackIds)) {
+            throw httpError('trackIds must be a list of track IDs', 400);
+        }
+
+        return this.update(sessionId, 'queue', (session) => {
+            const queued = new Set(session.queue);
+            const unique = new Set(trackIds);
+            if (unique.size !== trackIds.length || unique.size !== queued.size ||
+                trackIds.some(trackId => !queued.has(trackId))) {
+                throw httpError('trackIds must contain each queued song exactly once', 400);
+            }
+            session.queue = [...trackIds];
+        });
+    }
+
+    async clearQueue(sessionId) {
+        return this.update(sessionId, 'queue', (session) => {
+            session.queue = [];
+        });
+    }
+
+    // A new shuffled order of the session's channel. firstId (the song playing when shuffle is
+    // turned on) goes first; avoidFirstId (the last song of the previous round) doesn't.
+    createShuffleOrder(session, firstId = null, avoidFirstId = null) {
+        const ids = this.tracksOf(session).map(track => track.id);
+        const order = shuffleIds(ids.filter(id => id !== firstId));
+        if (firstId && ids.includes(firstId)) {
+            order.unshift(firstId);
+        } else if (avoidFirstId && order.length > 1 && order[0] === avoidFirstId) {
+            order.push(order.shift());
+        }
+        return order;
+    }
+
+    // The stored shuffle order, kept in step with the library: removed songs are dropped and
+    // new ones shuffled in after the rest, so they still play in this round
+    getShuffleOrder(session) {
+        const tracks = this.tracksOf(session);
+        const ids = new Set(tracks.map(track => track.id));
+        const order = (session.shuffleOrder || []).filter(id => ids.has(id));
+        const ordered = new Set(order);
+        const added = shuffleIds(tracks.map(track => track.id).filter(id => !ordered.has(id)));
+
+        // Without a stored order, start from the current song
+        const current = tracks[this.resolveIndex(session)];
+        if (order.length === 0 && current) {
+            return [current.id, ...added.filter(id => id !== current.id)];
+        }
+        return [...order, ...added];
+    }
+
+    // A song picked by hand while shuffling plays next in the order, so the songs that haven't
+    // played yet still come after it
+    moveUpInShuffleOrder(session, trackId) {
+        const tracks = this.tracksOf(session);
+        const order = this.getShuffleOrder(session).filter(id => id !== trackId);
+        const current = tracks[this.resolveIndex(session)];
+        const position = current ? order.indexOf(current.id) : -1;
+        order.splice(position + 1, 0, trackId);
+        session.shuffleOrder = order;
+    }
+
+    // Switch the session to another source channel, starting at its first track;
+    // returns null for channels that aren't configured
+    async selectChannel(sessionId, channelId) {
+        const library = this.core.libraries.get(Number(channelId));
+        if (!library) {
+            return null;
+        }
+        await library.ensureMusic();
+
+        return this.update(sessionId, 'track', (session) => {
+            if (this.core.getLibrary(session.channelId) === library) {
+                return;
+            }
+            session.channelId = library.channelId;
+            session.resume = null;
+            session.currentTrackId = library.musicFiles[0] ? library.musicFiles[0].id : null;
+            session.currentIndex = 0;
+            session.position = 0;
+            session.shuffleOrder = session.shuffle ? this.createShuffleOrder(session, session.currentTrackId) : null;
+        });
+    }
+
+    selectTrack(session, index) {
+        session.currentTrackId = this.tracksOf(session)[index].id;
+        session.currentIndex = index;
+        session.position = 0; // Reset position when track changes
+    }
+
+    async seek(sessionId, position) {
+        console.log(`🎯 Position synced: ${Math.floor(position / 60)}:${Math.floor(position % 60).toString().padStart(2, '0')}`);
+        return this.update(sessionId, 'seek', (session) => {
+            session.position = position;
+        });
+    }
+
+    // The player started or paused; position is where it was at that moment
+    async setPlaying(sessionId, playing, position) {
+        return this.update(sessionId, playing ? 'play' : 'pause', (session) => {
+            session.playing = playing;
+            if (typeof position === 'number' && position >= 0) {
+                session.position = position;
+            }
+        });
+    }
+
+    // options: { shuffle: boolean, repeat: 'off' | 'one' | 'all' } - both optional
+    async setOptions(sessionId, options) {
+        return this.update(sessionId, 'options', (session) => {
+            if (typeof options.shuffle === 'boolean' && options.shuffle !== session.shuffle) {
+                session.shuffle = options.shuffle;
+                // A new order each time shuffle is turned on, starting with the current song
+                const current = this.tracksOf(session)[this.resolveIndex(session)];
+                session.shuffleOrder = options.shuffle ? this.createShuffleOrder(session, current ? current.id : null) : null;
+            }
+            if (REPEAT_MODES.includes(options.repeat)) {
+                session.repeat = options.repeat;
+            }
+        });
+    }
+}
+
+module.exports = {
+    SESSIONS_KEY,
+    getSessionKey,
+    REPEAT_MODES,
+    getSessionId,
+    getTelegramSessionId,
+    PlaybackSessions
+};
@@ -0,0 +1,78 @@
+// Server-Sent Events helpers
+// server.js keeps streams open and pushes events through an EventHub. Netlify Functions
+// buffer the whole response, so there a stream carries the current state and ends;
+// EventSource then reconnects after `retry` milliseconds (long polling over SSE).
+
+// Comment line sent on idle streams so proxies don't close them
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+function openEventStream(res, { retry } = {}) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    if (retry) {
+        res.write(`retry: ${retry}\n\n`);
+    }
+}
+
+function sendEvent(res, event, data, id) {
+    let message = '';
+    if (id !== undefined) {
+        message += `id: ${id}\n`;
+    }
+    message += `event: ${event}\n`;
+    message += `data: ${JSON.stringify(data)}\n\n`;
+    res.write(message);
+}
+
+// In-process fan-out of events to the open streams of each channel
+class EventHub {
+    constructor() {
+        this.channels = new Map();
+    }
+
+    subscribe(channel, req, res) {
+        if (!this.channels.has(channel)) {
+            this.channels.set(channel, new Set());
+        }
+        const subscribers = this.channels.get(channel);
+        subscribers.add(res);
+
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            subscribers.delete(res);
+            if (subscribers.size === 0) {
+                this.channels.delete(channel);
+            }
+        });
+    }
+
+    publish(channel, event, data, id) {
+        const subscribers = this.channels.get(channel);
+        if (!subscribers) {
+            return 0;
+        }
+        subscribers.forEach(res => sendEvent(res, event, data, id));
+        return subscribers.size;
+    }
+
+    // End every stream of a channel (e.g. the room was closed)
+    close(channel) {
+        const subscribers = this.channels.get(channel);
+        if (subscribers) {
+            subscribers.forEach(res => res.end());
+            this.channels.delete(channel);
+        }
+    }
+}
+
+module.exports = {
+    openEventStream,
+    sendEvent,
+    EventHub
+};
@@ -0,0 +1,101 @@
+// Base class for storage adapters
+//
+// Every adapter stores JSON-serialisable values by key and implements:
+//   load(key)                   -> value, or null when the key has never been saved
+//   save(key, value, options)   -> stores the value; options.snapshot also records a snapshot
+//   update(key, fn, options)    -> atomic read-modify-write: fn(current) returns the new value
+//                                  (or undefined to leave it unchanged); resolves with the stored value.
+//                                  fn must be synchronous - SQLite runs it inside a transaction.
+//   listSnapshots(key)          -> [{ id, savedAt }], newest first
+//   loadSnapshot(key, id)       -> the snapshot's value, or null
+//
+// Subclasses implement read/write/readSnapshot/writeSnapshot/listSnapshotIds/deleteSnapshot;
+// the default update() serialises writers within this process, adapters that can do better
+// (SQLite transactions, Blobs conditional writes) override it.
+
+// Snapshots kept per key; older ones are pruned on save
+const MAX_SNAPSHOTS = 20;
+
+class StorageAdapter {
+    // options.seed: { [key]: () => value } used when a key has never been saved
+    constructor({ seed = {}, maxSnapshots = MAX_SNAPSHOTS } = {}) {
+        this.seed = seed;
+        this.maxSnapshots = maxSnapshots;
+        this.locks = new Map();
+    }
+
+    async load(key) {
+        const value = await this.read(key);
+        if (value !== null && value !== undefined) {
+            return value;
+        }
+        return this.loadSeed(key);
+    }
+
+    async loadSeed(key) {
+        const seed = this.seed[key];
+        return seed ? (await seed()) || null : null;
+    }
+
+    async save(key, value, { snapshot = false } = {}) {
+        await this.write(key, value);
+        if (snapshot) {
+            await this.saveSnapshot(key, value);
+        }
+        return value;
+    }
+
+    async update(key, fn, options = {}) {
+        return this.withLock(key, async () => {
+            const current = await this.load(key);
+            const next = await fn(current);
+            if (next === undefined) {
+                return current;
+            }
+            return this.save(key, next, options);
+        });
+    }
+
+    async saveSnapshot(key, value) {
+        // Millisecond timestamps sort correctly as strings until the year 2286
+        const id = String(Date.now());
+        await this.writeSnapshot(key, id, value);
+
+        const ids = await this.listSnapshotIds(key);
+        const expired = ids.sort().reverse().slice(this.maxSnapshots);
+        for (const expiredId of expired) {
+            await this.deleteSnapshot(key, expiredId);
+        }
+        return id;
+    }
+
+    async listSnapshots(key) {
+        const ids = await this.listSnapshotIds(key);
+        return ids.sort().reverse().map(id => ({
+            id: id,
+            savedAt: new Date(Number(id)).toISOString()
+        }));
+    }
+
+    async loadSnapshot(key, id) {
+        const value = await this.readSnapshot(key, id);
+        return value === undefined ? null : value;
+    }
+
+    // Run fn after any pending withLock() calls for the same key have finished
+    async withLock(key, fn) {
+        const previous = this.locks.get(key) || Promise.resolve();
+        const run = previous.then(fn);
+        const settled = run.catch(() => {});
+        this.locks.set(key, settled);
+        try {
+            return await run;
+        } finally {
+            if (this.locks.get(key) === settled) {
+                this.locks.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = StorageAdapter;
@@ -0,0 +1,83 @@
+// File-based storage for the long-running server: one JSON file per key
+// (music_cache.json for the library) plus .snapshots/<key>/<id>.json
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const StorageAdapter = require('./adapter');
+
+class FileStorage extends StorageAdapter {
+    // options.legacyDirectory: where to read keys that have no file in directory yet, e.g. the
+    // files kept next to server.js before data/ was the default. The next save moves them over.
+    constructor({ directory, legacyDirectory, ...options } = {}) {
+        super(options);
+        this.directory = directory || '.';
+        this.legacyDirectory = legacyDirectory || null;
+    }
+
+    getFilePath(key) {
+        return path.join(this.directory, `${key}.json`);
+    }
+
+    getSnapshotDirectory(key) {
+        return path.join(this.directory, '.snapshots', key);
+    }
+
+    async readJson(filePath) {
+        try {
+            return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    // Write to a temporary file and rename it over the target so a crash mid-write
+    // never leaves a truncated cache behind. Each write has its own temporary file, so
+    // concurrent saves of one key don't write into each other's.
+    async writeJson(filePath, value) {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(value, null, 2));
+        await fs.promises.rename(tempPath, filePath);
+    }
+
+    async read(key) {
+        const value = await this.readJson(this.getFilePath(key));
+        if (value === null && this.legacyDirectory) {
+            return this.readJson(path.join(this.legacyDirectory, `${key}.json`));
+        }
+        return value;
+    }
+
+    async write(key, value) {
+        await this.writeJson(this.getFilePath(key), value);
+    }
+
+    async readSnapshot(key, id) {
+        return this.readJson(path.join(this.getSnapshotDirectory(key), `${id}.json`));
+    }
+
+    async writeSnapshot(key, id, value) {
+        await this.writeJson(path.join(this.getSnapshotDirectory(key), `${id}.json`), value);
+    }
+
+    async listSnapshotIds(key) {
+        try {
+            const files = await fs.promises.readdir(this.getSnapshotDirectory(key));
+            return files.filter(file => file.endsWith('.json')).map(file => file.slice(0, -'.json'.length));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    async deleteSnapshot(key, id) {
+        await fs.promises.rm(path.join(this.getSnapshotDirectory(key), `${id}.json`), { force: true });
+    }
+}
+
+module.exports = FileStorage;
@@ -0,0 +1,53 @@
+// Storage backends - see adapter.js for the interface every adapter implements
+const MemoryStorage = require('./memory-storage');
+
+// Key of the track library ({ musicFiles, lastUpdated }); older caches also carry currentIndex/currentTrackId
+const LIBRARY_KEY = 'music_cache';
+
+const BACKENDS = ['file', 'netlify-blobs', 'sqlite', 'memory'];
+// Directory of the 'file' backend without a path; ignored by git, as it holds sessions,
+// playlists and the admin audit log (client IPs)
+const DEFAULT_FILE_DIRECTORY = 'data';
+
+// options.backend: one of BACKENDS
+// options.path: directory for 'file' (default data/), database file for 'sqlite'
+// options.seed: { [key]: () => value } for keys that have never been saved
+function createStorage({ backend = 'file', path, seed } = {}) {
+    console.log(`💾 Using ${backend} storage${path ? ` (${path})` : ''}`);
+
+    switch (backend) {
+        case 'file': {
+            const FileStorage = require('./file-storage');
+            // Keys not in data/ yet are read from the current directory, where they used to be
+            // (the committed music_cache.json among them)
+            return path
+                ? new FileStorage({ directory: path, seed })
+                : new FileStorage({ directory: DEFAULT_FILE_DIRECTORY, legacyDirectory: '.', seed });
+        }
+        case 'sqlite': {
+            const SqliteStorage = require('./sqlite-storage');
+            return new SqliteStorage({ filePath: path, seed });
+        }
+        case 'netlify-blobs': {
+            try {
+                const NetlifyBlobsStorage = require('./netlify-blobs-storage');
+                return new NetlifyBlobsStorage({ seed });
+            } catch (error) {
+                // Local development without the Netlify environment
+                console.log('⚠️ Netlify Blobs not available, using memory storage:', error.message);
+                return new MemoryStorage({ seed });
+            }
+        }
+        case 'memory':
+            return new MemoryStorage({ seed });
+        default:
+            throw new Error(`Unknown storage backend "${backend}" - expected one of: ${BACKENDS.join(', ')}`);
+    }
+}
+
+module.exports = {
+    LIBRARY_KEY,
+    BACKENDS,
+    DEFAULT_FILE_DIRECTORY,
+    createStorage
+};
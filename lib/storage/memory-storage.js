@@ -0,0 +1,46 @@
+// In-memory storage - used when Netlify Blobs is unavailable (local `netlify dev`) and in tests.
+// Nothing survives a restart.
+const StorageAdapter = require('./adapter');
+
+class MemoryStorage extends StorageAdapter {
+    constructor(options = {}) {
+        super(options);
+        this.values = new Map();
+        this.snapshots = new Map();
+    }
+
+    // Values are copied in and out so callers can't mutate what is stored
+    async read(key) {
+        return this.values.has(key) ? JSON.parse(this.values.get(key)) : null;
+    }
+
+    async write(key, value) {
+        this.values.set(key, JSON.stringify(value));
+    }
+
+    getSnapshots(key) {
+        if (!this.snapshots.has(key)) {
+            this.snapshots.set(key, new Map());
+        }
+        return this.snapshots.get(key);
+    }
+
+    async readSnapshot(key, id) {
+        const snapshots = this.getSnapshots(key);
+        return snapshots.has(id) ? JSON.parse(snapshots.get(id)) : null;
+    }
+
+    async writeSnapshot(key, id, value) {
+        this.getSnapshots(key).set(id, JSON.stringify(value));
+    }
+
+    async listSnapshotIds(key) {
+        return [...this.getSnapshots(key).keys()];
+    }
+
+    async deleteSnapshot(key, id) {
+        this.getSnapshots(key).delete(id);
+    }
+}
+
+module.exports = MemoryStorage;
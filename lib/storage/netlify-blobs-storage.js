@@ -0,0 +1,85 @@
+// Netlify Blobs storage for the serverless deployment. Function instances come and go
+// in parallel, so update() uses conditional writes (ETags) instead of a local lock.
+const StorageAdapter = require('./adapter');
+
+// Conditional write attempts before update() gives up on a contended key
+const MAX_UPDATE_ATTEMPTS = 5;
+
+class NetlifyBlobsStorage extends StorageAdapter {
+    // Throws when @netlify/blobs is missing or the Netlify environment is not configured
+    // options.store: a Blobs store to use instead of getStore(storeName) (tests)
+    constructor({ storeName = 'telegram-music-cache', store, ...options } = {}) {
+        super(options);
+        if (store) {
+            this.store = store;
+        } else {
+            const { getStore } = require('@netlify/blobs');
+            this.store = getStore(storeName);
+        }
+        console.log('✅ Netlify Blobs store initialized:', storeName);
+    }
+
+    // 'music_cache' is stored as 'music_cache_data', the blob earlier versions wrote
+    getBlobKey(key) {
+        return `${key}_data`;
+    }
+
+    getSnapshotPrefix(key) {
+        return `snapshots/${key}/`;
+    }
+
+    async read(key) {
+        return this.store.get(this.getBlobKey(key), { type: 'json' });
+    }
+
+    async write(key, value) {
+        await this.store.setJSON(this.getBlobKey(key), value, {
+            metadata: { timestamp: new Date().toISOString() }
+        });
+    }
+
+    async readSnapshot(key, id) {
+        return this.store.get(this.getSnapshotPrefix(key) + id, { type: 'json' });
+    }
+
+    async writeSnapshot(key, id, value) {
+        await this.store.setJSON(this.getSnapshotPrefix(key) + id, value);
+    }
+
+    async listSnapshotIds(key) {
+        const prefix = this.getSnapshotPrefix(key);
+        const { blobs } = await this.store.list({ prefix });
+        return blobs.map(blob => blob.key.slice(prefix.length));
+    }
+
+    async deleteSnapshot(key, id) {
+        await this.store.delete(this.getSnapshotPrefix(key) + id);
+    }
+
+    async update(key, fn, options = {}) {
+        const blobKey = this.getBlobKey(key);
+
+        for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+            const entry = await this.store.getWithMetadata(blobKey, { type: 'json' });
+            const current = entry ? entry.data : await this.loadSeed(key);
+            const next = await fn(current);
+            if (next === undefined) {
+                return current;
+            }
+
+            // Only write if nobody else has since the read; otherwise re-read and retry
+            const result = await this.store.setJSON(blobKey, next, entry ? { onlyIfMatch: entry.etag } : { onlyIfNew: true });
+            if (result.modified) {
+                if (options.snapshot) {
+                    await this.saveSnapshot(key, next);
+                }
+                return next;
+            }
+            console.log(`⚠️ Concurrent update to ${key}, retrying (${attempt}/${MAX_UPDATE_ATTEMPTS})`);
+        }
+
+        throw new Error(`Could not update ${key}: too many concurrent writes`);
+    }
+}
+
+module.exports = NetlifyBlobsStorage;
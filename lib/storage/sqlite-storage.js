@@ -0,0 +1,127 @@
+// SQLite storage for self-hosting: values and snapshots in one database file.
+// Uses the built-in node:sqlite (Node 22.13+) and falls back to better-sqlite3, an optional
+// dependency that npm installs where it can build.
+const fs = require('fs');
+const path = require('path');
+const StorageAdapter = require('./adapter');
+
+function openDatabase(filePath) {
+    try {
+        const { DatabaseSync } = require('node:sqlite');
+        return new DatabaseSync(filePath);
+    } catch (error) {
+        // node:sqlite is missing (or behind a flag) on this Node version
+    }
+
+    try {
+        const Database = require('better-sqlite3');
+        return new Database(filePath);
+    } catch (error) {
+        throw new Error('SQLite storage needs Node 22.13+ (node:sqlite) or the better-sqlite3 package');
+    }
+}
+
+class SqliteStorage extends StorageAdapter {
+    constructor({ filePath, ...options } = {}) {
+        super(options);
+        this.filePath = filePath || './music_cache.sqlite';
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.db = openDatabase(this.filePath);
+        // Wait for another process's write lock instead of failing with SQLITE_BUSY
+        this.db.exec('PRAGMA busy_timeout = 5000');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS kv (
+                key TEXT PRIMARY KEY,
+                value TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS snapshots (
+                key TEXT NOT NULL,
+                id TEXT NOT NULL,
+                value TEXT NOT NULL,
+                PRIMARY KEY (key, id)
+            );
+        `);
+    }
+
+    async read(key) {
+        return this.readRow(key);
+    }
+
+    async write(key, value) {
+        this.writeRow(key, value);
+    }
+
+    readRow(key) {
+        const row = this.db.prepare('SELECT value FROM kv WHERE key = ?').get(key);
+        return row ? JSON.parse(row.value) : null;
+    }
+
+    writeRow(key, value) {
+        this.db.prepare(`
+            INSERT INTO kv (key, value, updated_at) VALUES (?, ?, ?)
+            ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+        `).run(key, JSON.stringify(value), new Date().toISOString());
+    }
+
+    async readSnapshot(key, id) {
+        const row = this.db.prepare('SELECT value FROM snapshots WHERE key = ? AND id = ?').get(key, id);
+        return row ? JSON.parse(row.value) : null;
+    }
+
+    async writeSnapshot(key, id, value) {
+        this.db.prepare('INSERT OR REPLACE INTO snapshots (key, id, value) VALUES (?, ?, ?)').run(key, id, JSON.stringify(value));
+    }
+
+    async listSnapshotIds(key) {
+        return this.db.prepare('SELECT id FROM snapshots WHERE key = ?').all(key).map(row => row.id);
+    }
+
+    async deleteSnapshot(key, id) {
+        this.db.prepare('DELETE FROM snapshots WHERE key = ? AND id = ?').run(key, id);
+    }
+
+    // BEGIN IMMEDIATE takes the write lock up front, so other processes sharing the
+    // database wait instead of interleaving. The transaction runs without awaiting anything -
+    // otherwise another caller's save() on this connection would land inside it - so fn must be
+    // synchronous here; a seed value is loaded before the transaction starts.
+    async update(key, fn, options = {}) {
+        return this.withLock('*', async () => {
+            const seed = this.readRow(key) === null ? await this.loadSeed(key) : null;
+
+            this.db.exec('BEGIN IMMEDIATE');
+            let current;
+            let next;
+            try {
+                const stored = this.readRow(key);
+                current = stored === null ? seed : stored;
+                next = fn(current);
+                if (next && typeof next.then === 'function') {
+                    throw new Error(`SQLite storage updates need a synchronous function (key "${key}")`);
+                }
+                if (next !== undefined) {
+                    this.writeRow(key, next);
+                }
+                this.db.exec('COMMIT');
+            } catch (error) {
+                this.db.exec('ROLLBACK');
+                throw error;
+            }
+
+            if (next === undefined) {
+                return current;
+            }
+            if (options.snapshot) {
+                await this.saveSnapshot(key, next);
+            }
+            return next;
+        });
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = SqliteStorage;
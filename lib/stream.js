@@ -0,0 +1,231 @@
+// Streaming proxy for Telegram-hosted audio files
+// Telegram download links embed the bot token (https://api.telegram.org/file/bot<TOKEN>/...),
+// so the browser only ever sees /api/stream/:trackId URLs and the bytes are proxied here.
+const axios = require('axios');
+const { Transform } = require('stream');
+const { httpError } = require('./http-error');
+
+// Matches download links of the form .../file/bot<id>:<secret>/...
+const TELEGRAM_FILE_URL_PATTERN = /\/file\/bot\d+:[\w-]+\//;
+
+// Telegram keeps a download link valid for at least one hour - re-resolve a bit earlier
+const LINK_TTL_MS = 50 * 60 * 1000;
+
+// A forced refresh right after a resolution is ignored, so retries cannot hammer getFile
+const MIN_REFRESH_INTERVAL_MS = 30 * 1000;
+
+const CONTENT_TYPES = {
+    mp3: 'audio/mpeg',
+    m4a: 'audio/mp4',
+    mp4: 'audio/mp4',
+    aac: 'audio/aac',
+    ogg: 'audio/ogg',
+    oga: 'audio/ogg',
+    opus: 'audio/ogg',
+    wav: 'audio/wav',
+    flac: 'audio/flac'
+};
+
+function isTelegramFileUrl(url) {
+    return typeof url === 'string' && TELEGRAM_FILE_URL_PATTERN.test(url);
+}
+
+// Tracks are looked up by their stable ID, so only library songs can be streamed
+function getStreamUrl(track) {
+    return `/api/stream/${encodeURIComponent(track.id)}`;
+}
+
+// Track as returned by the API: Telegram files point at the proxy (imported tracks too - their
+// file ID is resolved on the first request), demo tracks keep their URL
+function toPublicTrack(track) {
+    if (!track) {
+        return track;
+    }
+    if (track.fileId || track.needsFileId) {
+        return { ...track, url: getStreamUrl(track) };
+    }
+    return toStoredTrack(track);
+}
+
+// Track as written to music_cache.json / Netlify Blobs - never keeps a token-bearing URL
+function toStoredTrack(track) {
+    if (!track || !isTelegramFileUrl(track.url)) {
+        return track;
+    }
+    const { url, ...rest } = track;
+    return rest;
+}
+
+function getLinkAge(track, now = Date.now()) {
+    const resolvedAt = track.resolvedAt ? Date.parse(track.resolvedAt) : NaN;
+    return Number.isNaN(resolvedAt) ? Infinity : now - resolvedAt;
+}
+
+// Resolve the track's Telegram file path when it is missing, stale or explicitly refreshed
+// Stores filePath/fileSize/resolvedAt on the track and returns true when it changed
+async function resolveFileLink(bot, track, { force = false } = {}) {
+    const age = getLinkAge(track);
+    if (track.filePath && (force ? age < MIN_REFRESH_INTERVAL_MS : age < LINK_TTL_MS)) {
+        return false;
+    }
+
+    const file = await bot.getFile(track.fileId);
+    track.filePath = file.file_path;
+    if (file.file_size) {
+        track.fileSize = file.file_size;
+    }
+    track.resolvedAt = new Date().toISOString();
+    console.log(`🔗 Resolved file link for: ${track.title}`);
+    return true;
+}
+
+function guessContentType(filePath) {
+    const extension = (filePath || '').split('.').pop().toLowerCase();
+    return CONTENT_TYPES[extension] || null;
+}
+
+// Parse a single "bytes=start-end" range against a known size
+// Returns null when no usable range was sent, false when it cannot be satisfied
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return null;
+    }
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        const suffixLength = parseInt(match[2], 10);
+        if (suffixLength === 0) {
+            return false;
+        }
+        start = Math.max(0, size - suffixLength);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+
+    if (start >= size || start > end) {
+        return false;
+    }
+    return { start, end };
+}
+
+// Skip/limit bytes for upstream responses that ignored our Range header
+function createSliceStream(start, end) {
+    let position = 0;
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            const chunkStart = position;
+            position += chunk.length;
+            if (position <= start || chunkStart > end) {
+                return callback();
+            }
+            callback(null, chunk.subarray(Math.max(0, start - chunkStart), Math.min(chunk.length, end - chunkStart + 1)));
+        }
+    });
+}
+
+function requestUpstream(bot, track, range) {
+    return axios.get(`${bot.options.baseApiUrl}/file/bot${bot.token}/${track.filePath}`, {
+        responseType: 'stream',
+        headers: range ? { Range: `bytes=${range.start}-${range.end}` } : {},
+        validateStatus: () => true
+    });
+}
+
+// Proxy a track's Telegram file to the client with HTTP Range support (seek, 206 responses)
+// The link is re-resolved when stale, when the client asks with ?refresh=1 (the player got an
+// error) and once more if Telegram answers 403/404. Returns true when the track's link changed,
+// so the caller can persist it.
+// options.maxChunkSize caps each response, for hosts that buffer whole responses (Netlify Functions).
+// A request without a Range header is then answered like "bytes=0-": a 206 with the first
+// chunk, which players (and the exported playlists' external players) continue from.
+async function streamTrack(bot, track, req, res, options = {}) {
+    let resolved = await resolveFileLink(bot, track, { force: !!req.query.refresh });
+    const size = track.fileSize;
+
+    let range = null;
+    if (req.headers.range && size) {
+        range = parseRange(req.headers.range, size);
+        if (range === false) {
+            res.status(416).set('Content-Range', `bytes */${size}`).end();
+            return resolved;
+        }
+    }
+    if (!range && size && options.maxChunkSize && req.method !== 'HEAD') {
+        range = { start: 0, end: size - 1 };
+    }
+    if (range && options.maxChunkSize) {
+        range.end = Math.min(range.end, range.start + options.maxChunkSize - 1);
+    }
+
+    res.set('Accept-Ranges', 'bytes');
+    res.set('Cache-Control', 'no-cache');
+
+    if (req.method === 'HEAD') {
+        res.set('Content-Type', guessContentType(track.filePath) || 'application/octet-stream');
+        if (size) {
+            res.set('Content-Length', String(size));
+        }
+        res.status(200).end();
+        return resolved;
+    }
+
+    let upstream = await requestUpstream(bot, track, range);
+
+    // Expired or revoked link: resolve a fresh one and try once more
+    if ((upstream.status === 403 || upstream.status === 404) && await resolveFileLink(bot, track, { force: true })) {
+        console.log(`🔄 File link for ${track.title} expired, retrying with a fresh one`);
+        upstream.data.destroy();
+        resolved = true;
+        upstream = await requestUpstream(bot, track, range);
+    }
+
+    if (upstream.status >= 400) {
+        upstream.data.destroy();
+        const error = httpError(`Telegram file server responded with ${upstream.status}`, 502);
+        error.upstreamStatus = upstream.status;
+        throw error;
+    }
+
+    res.set('Content-Type', guessContentType(track.filePath) || upstream.headers['content-type'] || 'application/octet-stream');
+
+    let body = upstream.data;
+    if (range) {
+        res.status(206);
+        res.set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+        res.set('Content-Length', String(range.end - range.start + 1));
+        if (upstream.status !== 206) {
+            body = body.pipe(createSliceStream(range.start, range.end));
+        }
+    } else {
+        res.status(200);
+        if (size) {
+            res.set('Content-Length', String(size));
+        }
+    }
+
+    // Stop downloading from Telegram when the listener seeks away or closes the page
+    res.on('close', () => upstream.data.destroy());
+
+    await new Promise((resolve, reject) => {
+        body.on('error', reject);
+        res.on('finish', resolve);
+        res.on('close', resolve);
+        body.pipe(res);
+    });
+    return resolved;
+}
+
+module.exports = {
+    isTelegramFileUrl,
+    getStreamUrl,
+    toPublicTrack,
+    toStoredTrack,
+    resolveFileLink,
+    parseRange,
+    streamTrack
+};
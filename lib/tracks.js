@@ -0,0 +1,115 @@
+// Track helpers shared by the channel handlers and scanners
+// Positions in musicFiles shift whenever a deleted song is removed, so every track carries an
+// `id` that never changes: Telegram's file_unique_id, else the channel messageId.
+const crypto = require('crypto');
+
+// Bot API cannot download files bigger than this
+const TELEGRAM_DOWNLOAD_LIMIT = 20 * 1024 * 1024;
+
+// Audio attachment of a channel message, or null for text/non-audio posts
+function getAudioAttachment(msg) {
+    const audioFile = msg.audio || msg.voice || msg.document;
+    if (!audioFile) {
+        return null;
+    }
+
+    const isAudioFile = audioFile.mime_type?.includes('audio') || 
+                        audioFile.file_name?.match(/\.(mp3|wav|ogg|m4a|flac|aac|mp4)$/i) ||
+                        msg.audio; // Telegram audio type
+    return isAudioFile ? audioFile : null;
+}
+
+function formatDuration(seconds) {
+    return seconds ? `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}` : 'Unknown';
+}
+
+// Build a playlist track from a channel message with an audio attachment
+// options.messageId overrides msg.message_id (forwarded copies carry their own id)
+function buildTrackFromMessage(msg, options = {}) {
+    const audioFile = getAudioAttachment(msg);
+    const track = {
+        title: audioFile.title || audioFile.file_name || audioFile.performer || options.fallbackTitle || 'Unknown Track',
+        duration: formatDuration(audioFile.duration),
+        fileId: audioFile.file_id,
+        fileUniqueId: audioFile.file_unique_id,
+        performer: audioFile.performer || 'Unknown Artist',
+        messageId: options.messageId || msg.message_id,
+        uploadDate: msg.date ? new Date(msg.date * 1000).toISOString() : new Date().toISOString()
+    };
+
+    // Searchable along with title and performer
+    if (msg.caption) {
+        track.caption = msg.caption;
+    }
+    if (audioFile.file_size > TELEGRAM_DOWNLOAD_LIMIT) {
+        track.isLargeFile = true;
+    }
+    return ensureTrackId(track);
+}
+
+function createTrackId(track) {
+    if (track.fileUniqueId) {
+        return track.fileUniqueId;
+    }
+    if (track.messageId) {
+        return `msg${track.messageId}`;
+    }
+    // Demo tracks and other external URLs
+    const source = track.url || track.fileId || track.title || '';
+    return `trk${crypto.createHash('sha1').update(source).digest('hex').slice(0, 12)}`;
+}
+
+function ensureTrackId(track) {
+    if (!track.id) {
+        track.id = createTrackId(track);
+    }
+    return track;
+}
+
+// Give tracks from older music_cache.json files an id and resolve duplicates
+// Returns true when anything changed, so the caller can persist the migrated list
+function migrateTracks(tracks) {
+    const seen = new Set();
+    let changed = false;
+
+    for (const track of tracks) {
+        if (!track.id) {
+            ensureTrackId(track);
+            changed = true;
+        }
+        if (seen.has(track.id)) {
+            let suffix = 2;
+            while (seen.has(`${track.id}-${suffix}`)) {
+                suffix++;
+            }
+            track.id = `${track.id}-${suffix}`;
+            changed = true;
+        }
+        seen.add(track.id);
+    }
+
+    if (changed) {
+        console.log('🆔 Migrated track IDs in music cache');
+    }
+    return changed;
+}
+
+function findTrackIndexById(tracks, id) {
+    return tracks.findIndex(track => track.id === id);
+}
+
+function findTrackById(tracks, id) {
+    return tracks.find(track => track.id === id) || null;
+}
+
+module.exports = {
+    TELEGRAM_DOWNLOAD_LIMIT,
+    getAudioAttachment,
+    formatDuration,
+    buildTrackFromMessage,
+    createTrackId,
+    ensureTrackId,
+    migrateTracks,
+    findTrackIndexById,
+    findTrackById
+};
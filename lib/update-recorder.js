@@ -0,0 +1,99 @@
+// Recording of incoming webhook updates, for reproducing incidents offline
+// Opt-in with RECORD_UPDATES_DIR: every update the webhook accepts is appended to
+// <dir>/updates-<YYYY-MM-DD>.jsonl as { receivedAt, duplicate, update }, duplicate being true for
+// a delivery Telegram repeated (which the webhook skips). Tokens in the update are replaced with
+// <redacted> first. scripts/replay-updates.js feeds the files back into the bot.
+const fs = require('fs');
+const path = require('path');
+const { getWebhookSecret } = require('./webhook');
+
+const REDACTED = '<redacted>';
+// Bot tokens ("123456:ABC...") and tokens from /admintoken ("<userId>.<expiresAt>.<signature>")
+// wherever they turn up, e.g. pasted into a message
+const TOKEN_PATTERNS = [
+    /\b\d{5,}:[A-Za-z0-9_-]{30,}/g,
+    /\b\d+\.\d{13}\.[0-9a-f]{64}\b/g
+];
+
+function getRecordingFile(dir, date = new Date()) {
+    return path.join(dir, `updates-${date.toISOString().slice(0, 10)}.jsonl`);
+}
+
+// Copy of value with the secrets and anything that looks like a token replaced in every string
+function redact(value, secrets = []) {
+    if (typeof value === 'string') {
+        const withoutSecrets = secrets.reduce((text, secret) => text.split(secret).join(REDACTED), value);
+        return TOKEN_PATTERNS.reduce((text, pattern) => text.replace(pattern, REDACTED), withoutSecrets);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, secrets));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redact(item, secrets)]));
+    }
+    return value;
+}
+
+// Recordings of a .jsonl file, oldest first; skips lines that aren't recordings (a partly
+// written last line)
+function readRecordings(filePath) {
+    return fs.readFileSync(filePath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                return null;
+            }
+        })
+        .filter(entry => entry && entry.update && Number.isInteger(entry.update.update_id));
+}
+
+class UpdateRecorder {
+    constructor(core) {
+        this.core = core;
+    }
+
+    get dir() {
+        const dir = this.core.config.RECORD_UPDATES_DIR;
+        return dir ? path.resolve(dir) : null;
+    }
+
+    get enabled() {
+        return !!this.dir;
+    }
+
+    // Secrets the update could contain: the bot token, the admin token and the webhook secret
+    get secrets() {
+        const botToken = this.core.bot && this.core.bot.token;
+        const config = this.core.config;
+        return [
+            botToken,
+            botToken && getWebhookSecret(botToken, config.WEBHOOK_SECRET),
+            config.ADMIN_TOKEN
+        ].filter(Boolean);
+    }
+
+    // Append an update; never throws, a failed recording only costs the recording
+    async record(update, { duplicate = false } = {}) {
+        if (!this.enabled) {
+            return;
+        }
+        try {
+            const entry = { receivedAt: new Date().toISOString(), duplicate: duplicate, update: redact(update, this.secrets) };
+            await fs.promises.mkdir(this.dir, { recursive: true });
+            await fs.promises.appendFile(getRecordingFile(this.dir), JSON.stringify(entry) + '\n');
+        } catch (error) {
+            console.error('❌ Could not record update:', error.message);
+        }
+    }
+}
+
+module.exports = {
+    REDACTED,
+    redact,
+    readRecordings,
+    getRecordingFile,
+    UpdateRecorder
+};
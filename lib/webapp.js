@@ -0,0 +1,75 @@
+// Telegram Mini App (WebApp) identity
+// When the web player runs inside Telegram it sends Telegram.WebApp.initData in the
+// X-Telegram-Init-Data header (or ?initData= for EventSource, which can't set headers).
+// initData is signed with the bot token, so a valid one proves which Telegram user is listening
+// (https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app).
+const crypto = require('crypto');
+
+const INIT_DATA_HEADER = 'x-telegram-init-data';
+// initData older than this is refused (Telegram issues a new one every time the app opens)
+const INIT_DATA_MAX_AGE = 24 * 60 * 60; // seconds
+
+// Check an initData query string against the bot token
+// Returns { user, authDate, queryId } or null when it is missing, forged or expired
+function verifyInitData(initData, botToken, { maxAge = INIT_DATA_MAX_AGE } = {}) {
+    if (typeof initData !== 'string' || !initData || !botToken) {
+        return null;
+    }
+
+    const params = new URLSearchParams(initData);
+    const hash = params.get('hash');
+    if (!hash || !/^[0-9a-f]{64}$/i.test(hash)) {
+        return null;
+    }
+
+    // Every field but hash, sorted by key, as key=value lines
+    params.delete('hash');
+    const dataCheckString = [...params.entries()]
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([key, value]) => `${key}=${value}`)
+        .join('\n');
+    const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+    const expected = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest();
+    if (!crypto.timingSafeEqual(expected, Buffer.from(hash, 'hex'))) {
+        return null;
+    }
+
+    const authDate = Number(params.get('auth_date'));
+    if (!authDate || Date.now() / 1000 - authDate > maxAge) {
+        return null;
+    }
+
+    let user;
+    try {
+        user = JSON.parse(params.get('user'));
+    } catch (error) {
+        return null;
+    }
+    if (!user || !Number.isInteger(user.id)) {
+        return null;
+    }
+    return { user, authDate, queryId: params.get('query_id') };
+}
+
+// Telegram user behind a web player request, or null for anonymous listeners (a plain browser,
+// or initData that doesn't check out)
+function getWebAppUser(core, req) {
+    const initData = req.headers[INIT_DATA_HEADER] || (typeof req.query.initData === 'string' ? req.query.initData : null);
+    if (!initData) {
+        return null;
+    }
+
+    const verified = verifyInitData(initData, core.bot && core.bot.token);
+    if (!verified) {
+        // Not originalUrl: it may carry the initData
+        console.log(`🚫 Invalid WebApp initData on ${req.method} ${req.baseUrl}${req.path}`);
+        return null;
+    }
+    return verified.user;
+}
+
+module.exports = {
+    INIT_DATA_HEADER,
+    verifyInitData,
+    getWebAppUser
+};
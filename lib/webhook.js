@@ -0,0 +1,88 @@
+// Telegram webhook management shared by server.js and functions/api.js
+const axios = require('axios');
+const crypto = require('crypto');
+const { DEFAULT_API_URL } = require('./config');
+
+// Path of the webhook route; server.js serves it too so one URL works for both deployments
+const WEBHOOK_PATH = '/.netlify/functions/api/telegram-webhook';
+
+// Update types the bot handlers listen to
+const ALLOWED_UPDATES = ['message', 'callback_query', 'inline_query', 'channel_post', 'edited_channel_post'];
+
+// Header Telegram sends the webhook's secret_token in
+const SECRET_TOKEN_HEADER = 'x-telegram-bot-api-secret-token';
+
+// update_ids of recently received updates, so a delivery Telegram retries (after a timeout or an
+// error response) is only handled once - kept in storage, since every Netlify instance gets some
+const RECENT_UPDATES_KEY = 'recent_updates';
+const MAX_RECENT_UPDATES = 500;
+
+function getMethodUrl(token, method, apiUrl = DEFAULT_API_URL) {
+    return `${apiUrl}/bot${token}/${method}`;
+}
+
+function getWebhookUrl(baseUrl) {
+    return `${baseUrl}${WEBHOOK_PATH}`;
+}
+
+// secret_token for setWebhook: WEBHOOK_SECRET when configured, otherwise derived from the bot
+// token, so server.js and the Netlify functions agree without extra settings
+// (hex fits Telegram's 1-256 characters of A-Z, a-z, 0-9, _ and -)
+function getWebhookSecret(token, configuredSecret = null) {
+    return configuredSecret || crypto.createHmac('sha256', 'WebhookSecret').update(token).digest('hex');
+}
+
+// Did this request come from Telegram, i.e. does it carry our secret_token?
+function isWebhookRequestValid(req, token, configuredSecret = null) {
+    const received = req.headers[SECRET_TOKEN_HEADER];
+    if (typeof received !== 'string') {
+        return false;
+    }
+    // Compared as hashes, which have the same length whatever was sent
+    const hash = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(hash(getWebhookSecret(token, configuredSecret)), hash(received));
+}
+
+// Remember an update_id; false when it was already received
+async function claimUpdate(storage, updateId) {
+    let claimed = false;
+    await storage.update(RECENT_UPDATES_KEY, (stored) => {
+        // Runs again when a conditional write loses - only the last run counts
+        claimed = false;
+        const updateIds = stored || [];
+        if (updateIds.includes(updateId)) {
+            return undefined;
+        }
+        claimed = true;
+        return [...updateIds, updateId].slice(-MAX_RECENT_UPDATES);
+    });
+    return claimed;
+}
+
+async function deleteWebhook(token, params = {}, apiUrl = DEFAULT_API_URL) {
+    const response = await axios.post(getMethodUrl(token, 'deleteWebhook', apiUrl), params);
+    return response.data;
+}
+
+// Point Telegram at our webhook; resolves with Telegram's { ok, description } response
+async function setWebhook(token, url, params = {}, apiUrl = DEFAULT_API_URL) {
+    const response = await axios.post(getMethodUrl(token, 'setWebhook', apiUrl), {
+        url: url,
+        allowed_updates: ALLOWED_UPDATES,
+        ...params
+    });
+    return response.data;
+}
+
+module.exports = {
+    WEBHOOK_PATH,
+    ALLOWED_UPDATES,
+    SECRET_TOKEN_HEADER,
+    getMethodUrl,
+    getWebhookUrl,
+    getWebhookSecret,
+    isWebhookRequestValid,
+    claimUpdate,
+    deleteWebhook,
+    setWebhook
+};
@@ -4,6 +4,8 @@ class TelegramMusicPlayer {
         this.playPauseBtn = document.getElementById('play-pause-btn');
         this.nextBtn = document.getElementById('next-btn');
         this.prevBtn = document.getElementById('prev-btn');
+        this.shuffleBtn = document.getElementById('shuffle-btn');
+        this.repeatBtn = document.getElementById('repeat-btn');
         this.volumeSlider = document.getElementById('volume-slider');
         this.progressBar = document.getElementById('progress');
         this.currentTimeEl = document.getElementById('current-time');
@@ -12,18 +14,91 @@ class TelegramMusicPlayer {
         this.trackArtist = document.getElementById('track-artist');
         this.playlistContainer = document.getElementById('playlist-container');
         this.refreshBtn = document.getElementById('refresh-btn');
+        this.roomBanner = document.getElementById('room-banner');
+        this.searchInput = document.getElementById('search-input');
+        this.channelSelect = document.getElementById('channel-select');
+        this.remoteBtn = document.getElementById('remote-btn');
+        this.remotePairing = document.getElementById('remote-pairing');
+        this.newPlaylistForm = document.getElementById('new-playlist-form');
+        this.newPlaylistName = document.getElementById('new-playlist-name');
+        this.playlistsList = document.getElementById('playlists-list');
+        this.playlistDetail = document.getElementById('playlist-detail');
+        this.playlistDetailName = document.getElementById('playlist-detail-name');
+        this.playlistTracks = document.getElementById('playlist-tracks');
+        this.closePlaylistBtn = document.getElementById('close-playlist-btn');
+        this.deletePlaylistBtn = document.getElementById('delete-playlist-btn');
+        this.playAllBtn = document.getElementById('play-all-btn');
+        this.sortLikesBtn = document.getElementById('sort-likes-btn');
+        this.queuePanel = document.getElementById('queue-panel');
+        this.queueToggle = document.getElementById('queue-toggle');
+        this.queueCount = document.getElementById('queue-count');
+        this.queueBody = document.getElementById('queue-body');
+        this.queueTracks = document.getElementById('queue-tracks');
+        this.clearQueueBtn = document.getElementById('clear-queue-btn');
         
         this.playlist = [];
         this.currentTrack = null;
         this.isPlaying = false;
         this.currentIndex = 0;
+        this.currentTrackId = null;
+        this.retriedTrackUrl = null;
+        
+        // Playback modes, kept in the server session (see /api/session)
+        this.shuffle = false;
+        this.repeat = 'all';
+        
+        // Source channel whose playlist is shown (the session decides, see /api/channels)
+        this.channelId = null;
+        
+        // Named playlists: ours, and the one open in the sidebar (?playlist=ID opens any)
+        this.userPlaylists = [];
+        this.openPlaylist = null;
+        this.draggedTrackId = null;
+        
+        // Up Next: songs that play before the playlist order goes on (kept in the server session)
+        this.queue = [];
+        
+        // ❤️ Favorites (ours) and like counts (everybody's); sortByLikes puts the most liked first
+        this.favoriteIds = new Set();
+        this.likes = {};
+        this.sortByLikes = false;
+        
+        // Search: matching track IDs in relevance order, or null when not searching
+        this.searchResults = null;
+        this.searchTimer = null;
+        this.searchQuery = '';
+        
+        // Listen-together room (joined via ?room=ID, hosted with ?room=ID&host=TOKEN)
+        this.room = null;
+        this.isRoomHost = false;
+        this.roomState = null;
+        this.roomEvents = null;
+        this.clockOffset = 0;
+        this.driftTimer = null;
+        
+        // Our own playback session, followed so remotes (e.g. /nowplaying in Telegram) work
+        this.sessionEvents = null;
+        this.sessionState = null;
+        
+        // Telegram.WebApp when opened from the bot (see setupTelegram)
+        this.webApp = null;
         
         this.init();
     }
     
     async init() {
+        this.setupTelegram();
         this.setupEventListeners();
+        await this.loadChannels();
+        await this.loadFavorites();
         await this.loadPlaylist();
+        await this.loadUserPlaylists();
+        await this.openPlaylistFromUrl();
+        await this.loadQueue();
+        await this.joinRoomFromUrl();
+        if (!this.room) {
+            this.followSession();
+        }
         this.setupAutoPlay();
     }
     
@@ -42,11 +117,72 @@ class TelegramMusicPlayer {
             this.previousTrack();
         });
         
+        // Shuffle and repeat modes
+        this.shuffleBtn.addEventListener('click', () => {
+            this.setPlaybackMode({ shuffle: !this.shuffle });
+        });
+        
+        this.repeatBtn.addEventListener('click', () => {
+            const cycle = ['off', 'all', 'one'];
+            this.setPlaybackMode({ repeat: cycle[(cycle.indexOf(this.repeat) + 1) % cycle.length] });
+        });
+        
         // Refresh button
         this.refreshBtn.addEventListener('click', () => {
             this.refreshPlaylist();
         });
         
+        // Pair the bot's /nowplaying remote with this browser
+        this.remoteBtn.addEventListener('click', () => {
+            this.pairTelegramRemote();
+        });
+        
+        // Channel selector
+        this.channelSelect.addEventListener('change', () => {
+            this.switchChannel(Number(this.channelSelect.value));
+        });
+        
+        // Named playlists sidebar
+        this.newPlaylistForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createPlaylist(this.newPlaylistName.value);
+        });
+        
+        this.closePlaylistBtn.addEventListener('click', () => {
+            this.closePlaylist();
+        });
+        
+        this.deletePlaylistBtn.addEventListener('click', () => {
+            this.deletePlaylist();
+        });
+        
+        this.playAllBtn.addEventListener('click', () => {
+            this.playOpenPlaylist();
+        });
+        
+        this.sortLikesBtn.addEventListener('click', () => {
+            this.sortByLikes = !this.sortByLikes;
+            this.sortLikesBtn.classList.toggle('mode-on', this.sortByLikes);
+            this.renderPlaylist();
+        });
+        
+        // Up Next panel
+        this.queueToggle.addEventListener('click', () => {
+            const open = this.queueBody.style.display === 'none';
+            this.queueBody.style.display = open ? 'block' : 'none';
+            this.queueToggle.setAttribute('aria-expanded', String(open));
+        });
+        
+        this.clearQueueBtn.addEventListener('click', () => {
+            this.clearQueue();
+        });
+        
+        // Search box (debounced so we don't hit the API on every keystroke)
+        this.searchInput.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.searchTracks(this.searchInput.value), 250);
+        });
+        
         // Volume control
         this.volumeSlider.addEventListener('input', (e) => {
             this.audio.volume = e.target.value / 100;
@@ -58,7 +194,10 @@ class TelegramMusicPlayer {
         });
         
         this.audio.addEventListener('ended', () => {
-            this.nextTrack();
+            // In a room the host's player decides what comes next
+            if (!this.isRoomListener()) {
+                this.nextTrack({ ended: true });
+            }
         });
         
         this.audio.addEventListener('loadedmetadata', () => {
@@ -71,10 +210,117 @@ class TelegramMusicPlayer {
             }
         });
         
+        this.audio.addEventListener('playing', () => {
+            this.retriedTrackUrl = null;
+        });
+        
+        this.audio.addEventListener('error', () => {
+            this.retryCurrentTrack();
+        });
+        
         // Add seek functionality to progress bar
         this.setupSeekBar();
     }
     
+    // Telegram Mini App (the bot's "🎵 Play Music" button)
+    
+    setupTelegram() {
+        const webApp = window.Telegram && window.Telegram.WebApp;
+        // The SDK loads in any browser; only inside Telegram is there initData
+        if (!webApp || !webApp.initData) {
+            // In the Mini App the bot's remote already drives this session; a browser pairs it
+            this.remoteBtn.style.display = 'inline-block';
+            return;
+        }
+        
+        this.webApp = webApp;
+        webApp.ready();
+        webApp.expand();
+        this.applyTelegramTheme();
+        webApp.onEvent('themeChanged', () => this.applyTelegramTheme());
+        webApp.BackButton.onClick(() => this.closePlaylist());
+        webApp.MainButton.onClick(() => this.playOpenPlaylist());
+    }
+    
+    // Ask for a pairing code and open the bot with it; the bot's /nowplaying remote then
+    // controls this browser's session. The code is shown too, for /pair on another device.
+    async pairTelegramRemote() {
+        try {
+            this.remoteBtn.disabled = true;
+            const baseUrl = window.location.hostname.includes('localhost') ? '' : '/.netlify/functions';
+            const response = await this.apiFetch(`${baseUrl}/api/session/pair`, { method: 'POST' });
+            const result = await response.json();
+            
+            if (!result.success) {
+                this.showMessage(`Could not pair Telegram remote: ${result.error}`);
+                return;
+            }
+            
+            const minutes = Math.round((new Date(result.expiresAt) - Date.now()) / 60000);
+            this.remotePairing.textContent = `Telegram remote code: ${result.code} - or send "/pair ${result.code}" to the bot (valid for ${minutes} minutes)`;
+            this.remotePairing.style.display = 'block';
+            window.open(result.link, '_blank');
+        } catch (error) {
+            console.error('Error pairing Telegram remote:', error);
+            this.showMessage('Error pairing Telegram remote. Please try again.');
+        } finally {
+            this.remoteBtn.disabled = false;
+        }
+    }
+    
+    // Requests carry initData, which the server checks against the bot token: we then share the
+    // Telegram user's session with the bot (/nowplaying, /queue, /favorites, /playlists)
+    apiFetch(url, options = {}) {
+        if (!this.webApp) {
+            return fetch(url, options);
+        }
+        return fetch(url, {
+            ...options,
+            headers: {
+                ...options.headers,
+                'X-Telegram-Init-Data': this.webApp.initData
+            }
+        });
+    }
+    
+    // The chat theme's colours instead of our gradient (variables in style.css)
+    applyTelegramTheme() {
+        const theme = this.webApp.themeParams || {};
+        const colours = {
+            '--page-bg': theme.bg_color,
+            '--text-color': theme.text_color,
+            '--accent': theme.button_color,
+            '--accent-hover': theme.button_color,
+            '--accent-text': theme.button_text_color,
+            '--card-bg': theme.secondary_bg_color
+        };
+        Object.entries(colours).forEach(([name, value]) => {
+            if (value) {
+                document.documentElement.style.setProperty(name, value);
+            }
+        });
+    }
+    
+    // Back closes the open playlist, the main button plays it
+    updateTelegramButtons() {
+        if (!this.webApp) {
+            return;
+        }
+        
+        const playlist = this.openPlaylist;
+        if (playlist) {
+            this.webApp.BackButton.show();
+        } else {
+            this.webApp.BackButton.hide();
+        }
+        if (playlist && playlist.tracks.length > 0 && !this.isRoomListener()) {
+            this.webApp.MainButton.setText(`▶ Play ${playlist.isFavorites ? 'favorites' : playlist.name}`);
+            this.webApp.MainButton.show();
+        } else {
+            this.webApp.MainButton.hide();
+        }
+    }
+    
     async loadPlaylist() {
         try {
             console.log('🔄 Loading playlist...');
@@ -85,7 +331,7 @@ class TelegramMusicPlayer {
             
             console.log('📡 API URL:', apiUrl);
             
-            const response = await fetch(apiUrl, {
+            const response = await this.apiFetch(apiUrl, {
                 cache: 'no-cache',
                 headers: {
                     'Cache-Control': 'no-cache'
@@ -113,15 +359,89 @@ class TelegramMusicPlayer {
         }
     }
     
+    // Fill the channel selector; it stays hidden with a single source channel
+    async loadChannels() {
+        try {
+            const baseUrl = window.location.hostname.includes('localhost') ? '' : '/.netlify/functions';
+            const response = await this.apiFetch(`${baseUrl}/api/channels`);
+            const data = await response.json();
+            
+            if (!data.success) {
+                return;
+            }
+            
+            const selected = data.channels.find(channel => channel.selected);
+            this.channelId = selected ? selected.id : null;
+            this.channelSelect.innerHTML = data.channels.map(channel => `
+                <option value="${channel.id}" ${channel.selected ? 'selected' : ''}>${this.escapeHtml(channel.name)}</option>
+            `).join('');
+            this.channelSelect.style.display = data.channels.length > 1 ? 'inline-block' : 'none';
+        } catch (error) {
+            console.error('Error loading channels:', error);
+        }
+    }
+    
+    async switchChannel(channelId) {
+        if (this.isRoomListener()) {
+            this.channelSelect.value = this.channelId;
+            this.showRoomBanner('🎧 Only the host can change tracks in this room');
+            return;
+        }
+        
+        // Set first, so the session event announcing the switch isn't taken for a remote one
+        const previousChannelId = this.channelId;
+        this.channelId = channelId;
+        
+        try {
+            const baseUrl = window.location.hostname.includes('localhost') ? '' : '/.netlify/functions';
+            const response = await this.apiFetch(`${baseUrl}/api/session`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ channelId: channelId })
+            });
+            const result = await response.json();
+            
+            if (result.success) {
+                await this.showChannel(result.channelId);
+            } else {
+                this.channelId = previousChannelId;
+                this.channelSelect.value = previousChannelId;
+                this.showMessage(`Error switching channel: ${result.error}`);
+            }
+        } catch (error) {
+            console.error('Error switching channel:', error);
+            this.channelId = previousChannelId;
+            this.channelSelect.value = previousChannelId;
+        }
+    }
+    
+    // Show another channel's playlist, carrying on playing if we were
+    async showChannel(channelId) {
+        const wasPlaying = this.isPlaying;
+        this.channelId = channelId;
+        this.channelSelect.value = channelId;
+        this.searchInput.value = '';
+        this.searchQuery = '';
+        this.searchResults = null;
+        
+        await this.loadPlaylist();
+        if (wasPlaying) {
+            this.play();
+        }
+    }
+    
     async loadCurrentTrack() {
         try {
             const baseUrl = window.location.hostname.includes('localhost') ? '' : '/.netlify/functions';
-            const response = await fetch(`${baseUrl}/api/current`);
+            const response = await this.apiFetch(`${baseUrl}/api/current`);
             const data = await response.json();
             
             if (data.track) {
                 this.currentTrack = data.track;
                 this.currentIndex = data.index;
+                this.currentTrackId = data.track.id;
                 this.updateTrackInfo();
                 
                 if (this.currentTrack.url) {
@@ -140,6 +460,35 @@ class TelegramMusicPlayer {
         }
     }
     
+    async searchTracks(query) {
+        query = query.trim();
+        this.searchQuery = query;
+        
+        if (!query) {
+            this.searchResults = null;
+            this.renderPlaylist();
+            return;
+        }
+        
+        try {
+            const baseUrl = window.location.hostname.includes('localhost') ? '' : '/.netlify/functions';
+            const response = await this.apiFetch(`${baseUrl}/api/search?q=${encodeURIComponent(query)}&limit=100`);
+            const data = await response.json();
+            
+            // Ignore answers to queries the user has already typed past
+            if (query !== this.searchQuery) {
+                return;
+            }
+            
+            if (data.success) {
+                this.searchResults = data.results.map(result => result.track.id);
+                this.renderPlaylist();
+            }
+        } catch (error) {
+            console.error('Error searching tracks:', error);
+        }
+    }
+    
     renderPlaylist() {
         if (this.playlist.length === 0) {
             this.playlistContainer.innerHTML = `
@@ -151,31 +500,69 @@ class TelegramMusicPlayer {
             return;
         }
         
-        this.playlistContainer.innerHTML = this.playlist.map((track, index) => `
-            <div class="playlist-item ${index === this.currentIndex ? 'active' : ''}" 
-                 onclick="player.playTrack(${index})">
+        let tracks = this.playlist;
+        if (this.sortByLikes && !this.searchResults) {
+            // Most liked first; ties keep the channel order (sort is stable)
+            tracks = [...tracks].sort((a, b) => (this.likes[b.id] || 0) - (this.likes[a.id] || 0));
+        }
+        if (this.searchResults) {
+            tracks = this.searchResults
+                .map(id => this.playlist.find(track => track.id === id))
+                .filter(Boolean);
+            
+            if (tracks.length === 0) {
+                this.playlistContainer.innerHTML = `
+                    <div class="loading">
+                        <i class="fas fa-search"></i>
+                        No tracks match "${this.escapeHtml(this.searchQuery)}"
+                    </div>
+                `;
+                return;
+            }
+        }
+        
+        // With one of our playlists open, each song gets a button that adds it there
+        const canAdd = this.openPlaylist && this.openPlaylist.isOwner;
+        // Room listeners don't choose what plays
+        const canQueue = !this.isRoomListener();
+        this.playlistContainer.innerHTML = tracks.map(track => `
+            <div class="playlist-item ${track.id === this.currentTrackId ? 'active' : ''}" 
+                 onclick="player.playTrack('${track.id}')">
                 <div class="playlist-item-info">
-                    <h4>${track.title}</h4>
+                    <h4>${this.escapeHtml(track.title)}</h4>
                     <p>${track.duration || 'Unknown duration'}</p>
                 </div>
-                <i class="fas fa-play"></i>
+                <div>
+                    ${canAdd ? `<button class="add-to-playlist-btn" title="Add to ${this.escapeHtml(this.openPlaylist.name)}"
+                        onclick="event.stopPropagation(); player.addToPlaylist('${track.id}')"><i class="fas fa-plus"></i></button>` : ''}
+                    ${this.renderFavoriteButton(track)}
+                    ${canQueue ? `<button class="add-to-playlist-btn" title="Play next"
+                        onclick="event.stopPropagation(); player.addToQueue('${track.id}', true)"><i class="fas fa-forward"></i></button>
+                    <button class="add-to-playlist-btn" title="Add to Up Next"
+                        onclick="event.stopPropagation(); player.addToQueue('${track.id}')"><i class="fas fa-list-ol"></i></button>` : ''}
+                    <i class="fas fa-play"></i>
+                </div>
             </div>
         `).join('');
     }
     
-    async playTrack(index) {
+    async playTrack(trackId) {
+        if (this.isRoomListener()) {
+            this.showRoomBanner('🎧 Only the host can change tracks in this room');
+            return;
+        }
+        
         try {
-            // Call backend API to set the specific track
+            // Call backend API to set the specific track (by stable ID - indexes shift after a sync)
             const baseUrl = window.location.hostname.includes('localhost') ? '' : '/.netlify/functions';
-            const response = await fetch(`${baseUrl}/api/track/${index}`, { method: 'POST' });
+            const response = await this.apiFetch(`${baseUrl}/api/play/id/${encodeURIComponent(trackId)}`, { method: 'POST' });
             const result = await response.json();
             
             if (result.success) {
                 // Update local index first
                 this.currentIndex = result.index;
                 
-                // Use loadCurrentTrack to ensure proper sync and URL handling
-                await this.loadCurrentTrack();
+                await this.loadTrackOf(result.channelId);
                 
                 this.play();
                 this.renderPlaylist();
@@ -191,6 +578,503 @@ class TelegramMusicPlayer {
         }
     }
     
+    // Load the session's track after it changed; a song of another source channel (named
+    // playlists and the queue mix channels) switches the shown playlist - here, so the session
+    // event doesn't reload it
+    async loadTrackOf(channelId) {
+        if (channelId !== this.channelId) {
+            this.channelId = channelId;
+            this.channelSelect.value = channelId;
+            this.searchInput.value = '';
+            this.searchQuery = '';
+            this.searchResults = null;
+            await this.loadPlaylist();
+        } else {
+            // Use loadCurrentTrack to ensure proper sync and URL handling
+            await this.loadCurrentTrack();
+        }
+    }
+    
+    // Named playlists (sidebar)
+    
+    async loadUserPlaylists() {
+        try {
+            const baseUrl = window.location.hostname.includes('localhost') ? '' : '/.netlify/functions';
+            const response = await this.apiFetch(`${baseUrl}/api/playlists`);
+            const data = await response.json();
+            
+            if (data.success) {
+                this.userPlaylists = data.playlists;
+                this.renderUserPlaylists();
+            }
+        } catch (error) {
+            console.error('Error loading playlists:', error);
+        }
+    }
+    
+    renderUserPlaylists() {
+        const favorites = `
+            <div class="playlist-item" onclick="player.showFavorites()">
+                <div class="playlist-item-info">
+                    <h4><i class="fas fa-heart"></i> My Favorites</h4>
+                    <p>${this.favoriteIds.size} songs</p>
+                </div>
+                <i class="fas fa-chevron-right"></i>
+            </div>
+        `;
+        
+        if (this.userPlaylists.length === 0) {
+            this.playlistsList.innerHTML = favorites + '<div class="playlist-empty">No playlists yet - create one above</div>';
+            return;
+        }
+        
+        this.playlistsList.innerHTML = favorites + this.userPlaylists.map(playlist => `
+            <div class="playlist-item" onclick="player.showPlaylist('${playlist.id}')">
+                <div class="playlist-item-info">
+                    <h4>${this.escapeHtml(playlist.name)}</h4>
+                    <p>${playlist.trackCount} songs</p>
+                </div>
+                <i class="fas fa-chevron-right"></i>
+            </div>
+        `).join('');
+    }
+    
+    // Shared links: ?playlist=ID opens that playlist (read-only unless it is ours)
+    async openPlaylistFromUrl() {
+        const playlistId = new URLSearchParams(window.location.search).get('playlist');
+        if (playlistId) {
+            await this.showPlaylist(playlistId);
+        }
+    }
+    
+    // Send a playlist request; returns the updated playlist, or null after showing the error
+    async requestPlaylist(path, options = {}) {
+        try {
+            const baseUrl = window.location.hostname.includes('localhost') ? '' : '/.netlify/functions';
+            const response = await this.apiFetch(`${baseUrl}/api/playlists${path}`, {
+                ...options,
+                headers: {
+                    'Content-Type': 'application/json'
+                }
+            });
+            const result = await response.json();
+            
+            if (!result.success) {
+                this.showMessage(`Playlist: ${result.error}`);
+                return null;
+            }
+            return result;
+        } catch (error) {
+            console.error('Error updating playlist:', error);
+            this.showMessage('Playlist could not be updated');
+            return null;
+        }
+    }
+    
+    async createPlaylist(name) {
+        name = name.trim();
+        if (!name) {
+            return;
+        }
+        
+        const result = await this.requestPlaylist('', {
+            method: 'POST',
+            body: JSON.stringify({ name: name })
+        });
+        if (result) {
+            this.newPlaylistName.value = '';
+            await this.loadUserPlaylists();
+            this.setOpenPlaylist(result.playlist);
+        }
+    }
+    
+    async showPlaylist(playlistId) {
+        const result = await this.requestPlaylist(`/${encodeURIComponent(playlistId)}`);
+        if (result) {
+            this.setOpenPlaylist(result.playlist);
+        }
+    }
+    
+    setOpenPlaylist(playlist) {
+        this.openPlaylist = playlist;
+        
+        if (playlist) {
+            // Keep the list's song count in step
+            const summary = this.userPlaylists.find(item => item.id === playlist.id);
+            if (summary) {
+                summary.trackCount = playlist.trackCount;
+            }
+        }
+        
+        this.renderOpenPlaylist();
+        // The add buttons in the channel playlist depend on the open playlist
+        this.renderPlaylist();
+    }
+    
+    closePlaylist() {
+        this.setOpenPlaylist(null);
+        this.renderUserPlaylists();
+    }
+    
+    async deletePlaylist() {
+        if (!this.openPlaylist || !confirm(`Delete the playlist "${this.openPlaylist.name}"?`)) {
+            return;
+        }
+        
+        const result = await this.requestPlaylist(`/${encodeURIComponent(this.openPlaylist.id)}`, { method: 'DELETE' });
+        if (result) {
+            this.userPlaylists = this.userPlaylists.filter(playlist => playlist.id !== this.openPlaylist.id);
+            this.closePlaylist();
+        }
+    }
+    
+    async addToPlaylist(trackId) {
+        if (!this.openPlaylist) {
+            return;
+        }
+        
+        const result = await this.requestPlaylist(`/${encodeURIComponent(this.openPlaylist.id)}/tracks`, {
+            method: 'POST',
+            body: JSON.stringify({ trackId: trackId })
+        });
+        if (result) {
+            this.setOpenPlaylist(result.playlist);
+        }
+    }
+    
+    async removeFromPlaylist(trackId) {
+        const result = await this.requestPlaylist(`/${encodeURIComponent(this.openPlaylist.id)}/tracks/${encodeURIComponent(trackId)}`, {
+            method: 'DELETE'
+        });
+        if (result) {
+            this.setOpenPlaylist(result.playlist);
+        }
+    }
+    
+    // The open playlist (or My Favorites): its first song now, the rest as Up Next
+    async playOpenPlaylist() {
+        if (!this.openPlaylist) {
+            return;
+        }
+        if (this.isRoomListener()) {
+            this.showRoomBanner('🎧 Only the host can change tracks in this room');
+            return;
+        }
+        
+        const path = this.openPlaylist.isFavorites
+            ? '/api/favorites/play'
+            : `/api/playlists/${encodeURIComponent(this.openPlaylist.id)}/play`;
+        try {
+            const baseUrl = window.location.hostname.includes('localhost') ? '' : '/.netlify/functions';
+            const response = await this.apiFetch(`${baseUrl}${path}`, { method: 'POST' });
+            const result = await response.json();
+            
+            if (!result.success) {
+                this.showMessage(`Playlist: ${result.error}`);
+                return;
+            }
+            
+            await this.loadTrackOf(result.channelId);
+            this.setQueue(result.queue);
+            this.play();
+            this.renderPlaylist();
+        } catch (error) {
+            console.error('Error playing playlist:', error);
+            this.showMessage('Playlist could not be played');
+        }
+    }
+    
+    // Dropped onto another song: move the dragged song to its place and save the new order
+    async dropPlaylistTrack(targetTrackId) {
+        // The full order, including songs no longer in any channel (they aren't shown)
+        const trackIds = [...this.openPlaylist.trackIds];
+        const from = trackIds.indexOf(this.draggedTrackId);
+        const to = trackIds.indexOf(targetTrackId);
+        this.draggedTrackId = null;
+        if (from < 0 || to < 0 || from === to) {
+            return;
+        }
+        trackIds.splice(to, 0, trackIds.splice(from, 1)[0]);
+        
+        // Show the new order right away; the server's answer replaces it
+        const tracks = new Map(this.openPlaylist.tracks.map(track => [track.id, track]));
+        this.openPlaylist.trackIds = trackIds;
+        this.openPlaylist.tracks = trackIds.filter(id => tracks.has(id)).map(id => tracks.get(id));
+        this.renderOpenPlaylist();
+        
+        const result = await this.requestPlaylist(`/${encodeURIComponent(this.openPlaylist.id)}/tracks`, {
+            method: 'PUT',
+            body: JSON.stringify({ trackIds: trackIds })
+        });
+        if (result) {
+            this.setOpenPlaylist(result.playlist);
+        } else {
+            await this.showPlaylist(this.openPlaylist.id);
+        }
+    }
+    
+    renderOpenPlaylist() {
+        const playlist = this.openPlaylist;
+        this.playlistsList.style.display = playlist ? 'none' : 'block';
+        this.newPlaylistForm.style.display = playlist ? 'none' : 'flex';
+        this.playlistDetail.style.display = playlist ? 'block' : 'none';
+        this.updateTelegramButtons();
+        if (!playlist) {
+            return;
+        }
+        
+        this.playlistDetailName.textContent = playlist.name;
+        this.deletePlaylistBtn.style.display = playlist.isOwner ? 'inline-block' : 'none';
+        this.playAllBtn.style.display = playlist.tracks.length > 0 ? 'inline-block' : 'none';
+        
+        if (playlist.tracks.length === 0) {
+            const hint = playlist.isFavorites ? 'Like songs with the ♥ buttons' : playlist.isOwner ? 'Add songs with the + buttons in the channel playlist' : 'This playlist is empty';
+            this.playlistTracks.innerHTML = `<div class="playlist-empty">${hint}</div>`;
+            return;
+        }
+        
+        this.playlistTracks.innerHTML = playlist.tracks.map(track => `
+            <div class="playlist-item" data-track-id="${track.id}"
+                 draggable="${playlist.isOwner}" onclick="player.playTrack('${track.id}')">
+                <div class="playlist-item-info">
+                    <h4>${this.escapeHtml(track.title)}</h4>
+                    <p>${track.duration || 'Unknown duration'}</p>
+                </div>
+                <div>
+                    ${this.renderFavoriteButton(track)}
+                    ${playlist.isOwner ? `<button class="add-to-playlist-btn" title="Remove from playlist"
+                        onclick="event.stopPropagation(); player.removeFromPlaylist('${track.id}')"><i class="fas fa-times"></i></button>` : ''}
+                </div>
+            </div>
+        `).join('');
+        
+        if (playlist.isOwner) {
+            this.setupDragReorder(this.playlistTracks, (trackId) => this.dropPlaylistTrack(trackId));
+        }
+    }
+    
+    // Drag and drop between the .playlist-item rows of a list; onDrop(targetTrackId) gets the
+    // row the dragged one (this.draggedTrackId) was dropped on
+    setupDragReorder(container, onDrop) {
+        container.querySelectorAll('.playlist-item').forEach(item => {
+            item.addEventListener('dragstart', (e) => {
+                this.draggedTrackId = item.dataset.trackId;
+                e.dataTransfer.effectAllowed = 'move';
+                item.classList.add('dragging');
+            });
+            item.addEventListener('dragend', () => {
+                item.classList.remove('dragging');
+            });
+            item.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                item.classList.add('drop-target');
+            });
+            item.addEventListener('dragleave', () => {
+                item.classList.remove('drop-target');
+            });
+            item.addEventListener('drop', (e) => {
+                e.preventDefault();
+                item.classList.remove('drop-target');
+                onDrop(item.dataset.trackId);
+            });
+        });
+    }
+    
+    // Favorites
+    
+    async loadFavorites() {
+        try {
+            const baseUrl = window.location.hostname.includes('localhost') ? '' : '/.netlify/functions';
+            const [favorites, likes] = await Promise.all([
+                this.apiFetch(`${baseUrl}/api/favorites`).then(response => response.json()),
+                this.apiFetch(`${baseUrl}/api/likes`).then(response => response.json())
+            ]);
+            
+            if (favorites.success) {
+                this.favoriteIds = new Set(favorites.trackIds);
+            }
+            if (likes.success) {
+                this.likes = likes.likes;
+            }
+            return favorites.success ? favorites : null;
+        } catch (error) {
+            console.error('Error loading favorites:', error);
+            return null;
+        }
+    }
+    
+    renderFavoriteButton(track) {
+        const liked = this.favoriteIds.has(track.id);
+        const count = this.likes[track.id] || 0;
+        return `<button class="add-to-playlist-btn favorite-btn ${liked ? 'liked' : ''}" title="${liked ? 'Remove from favorites' : 'Add to favorites'}"
+            onclick="event.stopPropagation(); player.toggleFavorite('${track.id}')"><i class="${liked ? 'fas' : 'far'} fa-heart"></i>${count > 0 ? `<span>${count}</span>` : ''}</button>`;
+    }
+    
+    async toggleFavorite(trackId) {
+        try {
+            const baseUrl = window.location.hostname.includes('localhost') ? '' : '/.netlify/functions';
+            const response = await this.apiFetch(`${baseUrl}/api/favorites`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ trackId: trackId })
+            });
+            const result = await response.json();
+            
+            if (!result.success) {
+                this.showMessage(`Favorites: ${result.error}`);
+                return;
+            }
+            
+            this.favoriteIds = new Set(result.trackIds);
+            this.likes[trackId] = result.likes;
+            this.renderPlaylist();
+            this.renderQueue();
+            if (this.openPlaylist && this.openPlaylist.isFavorites) {
+                await this.showFavorites();
+            } else if (this.openPlaylist) {
+                this.renderOpenPlaylist();
+            } else {
+                this.renderUserPlaylists();
+            }
+        } catch (error) {
+            console.error('Error toggling favorite:', error);
+            this.showMessage('Favorites could not be updated');
+        }
+    }
+    
+    // Shown in the sidebar like a named playlist, read-only apart from the hearts
+    async showFavorites() {
+        const favorites = await this.loadFavorites();
+        if (favorites) {
+            this.setOpenPlaylist({
+                name: '❤️ My Favorites',
+                isFavorites: true,
+                isOwner: false,
+                trackIds: favorites.trackIds,
+                tracks: favorites.tracks,
+                trackCount: favorites.trackIds.length
+            });
+        }
+    }
+    
+    // Up Next queue
+    
+    async loadQueue() {
+        const result = await this.requestQueue('');
+        if (result) {
+            this.setQueue(result.queue);
+        }
+    }
+    
+    // Send a queue request; returns the answer, or null after showing the error
+    async requestQueue(path, options = {}) {
+        try {
+            const baseUrl = window.location.hostname.includes('localhost') ? '' : '/.netlify/functions';
+            const response = await this.apiFetch(`${baseUrl}/api/queue${path}`, {
+                ...options,
+                headers: {
+                    'Content-Type': 'application/json'
+                }
+            });
+            const result = await response.json();
+            
+            if (!result.success) {
+                this.showMessage(`Up Next: ${result.error}`);
+                return null;
+            }
+            return result;
+        } catch (error) {
+            console.error('Error updating queue:', error);
+            this.showMessage('Up Next could not be updated');
+            return null;
+        }
+    }
+    
+    // next: play it right after the current song instead of at the end of the queue
+    async addToQueue(trackId, next = false) {
+        const result = await this.requestQueue('', {
+            method: 'POST',
+            body: JSON.stringify({ trackId: trackId, next: next })
+        });
+        if (result) {
+            this.setQueue(result.queue);
+        }
+    }
+    
+    async removeFromQueue(trackId) {
+        const result = await this.requestQueue(`/${encodeURIComponent(trackId)}`, { method: 'DELETE' });
+        if (result) {
+            this.setQueue(result.queue);
+        }
+    }
+    
+    async clearQueue() {
+        const result = await this.requestQueue('', { method: 'DELETE' });
+        if (result) {
+            this.setQueue(result.queue);
+        }
+    }
+    
+    async dropQueueTrack(targetTrackId) {
+        const trackIds = this.queue.map(track => track.id);
+        const from = trackIds.indexOf(this.draggedTrackId);
+        const to = trackIds.indexOf(targetTrackId);
+        this.draggedTrackId = null;
+        if (from < 0 || to < 0 || from === to) {
+            return;
+        }
+        trackIds.splice(to, 0, trackIds.splice(from, 1)[0]);
+        
+        // Show the new order right away; the server's answer replaces it
+        const tracks = new Map(this.queue.map(track => [track.id, track]));
+        this.setQueue(trackIds.map(id => tracks.get(id)));
+        
+        const result = await this.requestQueue('', {
+            method: 'PUT',
+            body: JSON.stringify({ trackIds: trackIds })
+        });
+        if (result) {
+            this.setQueue(result.queue);
+        } else {
+            await this.loadQueue();
+        }
+    }
+    
+    setQueue(queue) {
+        this.queue = queue || [];
+        this.renderQueue();
+    }
+    
+    renderQueue() {
+        // Room listeners hear the host's songs, so they have no queue of their own
+        this.queuePanel.style.display = this.isRoomListener() ? 'none' : 'block';
+        this.queueCount.textContent = this.queue.length;
+        this.clearQueueBtn.style.display = this.queue.length > 0 ? 'block' : 'none';
+        
+        if (this.queue.length === 0) {
+            this.queueTracks.innerHTML = '<div class="playlist-empty">Nothing queued - add songs with the Play next and Up Next buttons in the playlist</div>';
+            return;
+        }
+        
+        this.queueTracks.innerHTML = this.queue.map(track => `
+            <div class="playlist-item" data-track-id="${track.id}" draggable="true">
+                <div class="playlist-item-info">
+                    <h4>${this.escapeHtml(track.title)}</h4>
+                    <p>${track.duration || 'Unknown duration'}</p>
+                </div>
+                <div>
+                    ${this.renderFavoriteButton(track)}
+                    <button class="add-to-playlist-btn" title="Remove from Up Next"
+                        onclick="event.stopPropagation(); player.removeFromQueue('${track.id}')"><i class="fas fa-times"></i></button>
+                </div>
+            </div>
+        `).join('');
+        
+        this.setupDragReorder(this.queueTracks, (trackId) => this.dropQueueTrack(trackId));
+    }
+    
     togglePlayPause() {
         if (this.isPlaying) {
             this.pause();
@@ -204,6 +1088,7 @@ class TelegramMusicPlayer {
             this.audio.play().then(() => {
                 this.isPlaying = true;
                 this.playPauseBtn.innerHTML = '<i class="fas fa-pause"></i>';
+                this.reportPlayback();
             }).catch(error => {
                 console.error('Error playing audio:', error);
                 this.showMessage('Error playing audio. The file might not be supported.');
@@ -213,17 +1098,66 @@ class TelegramMusicPlayer {
         }
     }
     
+    // Telegram file links expire - ask the server for a fresh one once, then resume where we were
+    retryCurrentTrack() {
+        const url = this.currentTrack && this.currentTrack.url;
+        
+        if (!url || !url.startsWith('/api/stream/') || this.retriedTrackUrl === url) {
+            this.showMessage('Error playing audio. The file might not be available anymore.');
+            return;
+        }
+        
+        console.log('🔄 Playback error, retrying with a refreshed link...');
+        this.retriedTrackUrl = url;
+        
+        const resumeAt = this.audio.currentTime;
+        this.audio.src = `${url}?refresh=1&_t=${Date.now()}`;
+        
+        if (resumeAt > 0) {
+            this.audio.addEventListener('loadedmetadata', () => {
+                this.audio.currentTime = resumeAt;
+            }, { once: true });
+        }
+        
+        if (this.isPlaying) {
+            this.audio.play().catch(console.error);
+        }
+    }
+    
     pause() {
         this.audio.pause();
         this.isPlaying = false;
         this.playPauseBtn.innerHTML = '<i class="fas fa-play"></i>';
+        this.reportPlayback();
     }
     
-    async nextTrack() {
+    // ended: the song finished by itself, so the server applies the repeat mode
+    async nextTrack({ ended = false } = {}) {
+        if (this.isRoomListener()) {
+            this.showRoomBanner('🎧 Only the host can change tracks in this room');
+            return;
+        }
+        
         try {
             const baseUrl = window.location.hostname.includes('localhost') ? '' : '/.netlify/functions';
-            await fetch(`${baseUrl}/api/next`, { method: 'POST' });
-            await this.loadCurrentTrack();
+            const response = await this.apiFetch(`${baseUrl}/api/next`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ ended: ended })
+            });
+            const result = await response.json();
+            
+            // Repeat is off and the last song has ended
+            if (result.stopped) {
+                this.pause();
+                this.audio.currentTime = 0;
+                return;
+            }
+            
+            // Queued songs may be from another source channel
+            await this.loadTrackOf(result.channelId);
             if (this.isPlaying) {
                 this.play();
             }
@@ -233,11 +1167,50 @@ class TelegramMusicPlayer {
         }
     }
     
+    // Change shuffle and/or repeat: { shuffle?: boolean, repeat?: 'off' | 'one' | 'all' }
+    async setPlaybackMode(options) {
+        try {
+            const baseUrl = window.location.hostname.includes('localhost') ? '' : '/.netlify/functions';
+            const response = await this.apiFetch(`${baseUrl}/api/session`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(options)
+            });
+            const result = await response.json();
+            
+            if (result.success) {
+                this.updateModeButtons(result);
+            }
+        } catch (error) {
+            console.error('Error changing playback mode:', error);
+        }
+    }
+    
+    updateModeButtons(state) {
+        this.shuffle = state.shuffle;
+        this.repeat = state.repeat;
+        this.shuffleBtn.classList.toggle('mode-on', this.shuffle);
+        this.shuffleBtn.title = `Shuffle: ${this.shuffle ? 'on' : 'off'}`;
+        this.repeatBtn.classList.toggle('mode-on', this.repeat !== 'off');
+        this.repeatBtn.classList.toggle('repeat-one', this.repeat === 'one');
+        this.repeatBtn.title = { off: 'Repeat: off', all: 'Repeat: all', one: 'Repeat: this song' }[this.repeat];
+    }
+    
     async previousTrack() {
+        if (this.isRoomListener()) {
+            this.showRoomBanner('🎧 Only the host can change tracks in this room');
+            return;
+        }
+        
         try {
             const baseUrl = window.location.hostname.includes('localhost') ? '' : '/.netlify/functions';
-            await fetch(`${baseUrl}/api/prev`, { method: 'POST' });
-            await this.loadCurrentTrack();
+            const response = await this.apiFetch(`${baseUrl}/api/prev`, { method: 'POST' });
+            const result = await response.json();
+            
+            // Back from a queued song to the playlist it interrupted
+            await this.loadTrackOf(result.success ? result.channelId : this.channelId);
             if (this.isPlaying) {
                 this.play();
             }
@@ -266,7 +1239,13 @@ class TelegramMusicPlayer {
         const secs = Math.floor(seconds % 60);
         return `${mins}:${secs.toString().padStart(2, '0')}`;
     }
-    
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     setupSeekBar() {
         // Get the full progress bar container element (not just the filled part)
         const progressBarContainer = document.querySelector('.track-progress');
@@ -278,6 +1257,11 @@ class TelegramMusicPlayer {
             if (progressBar) {
                 // Add click event listener for seeking on the full container
                 progressBar.addEventListener('click', async (e) => {
+                    if (this.isRoomListener()) {
+                        this.showRoomBanner('🎧 Only the host can seek in this room');
+                        return;
+                    }
+                    
                     if (this.audio.duration) {
                         const rect = progressBar.getBoundingClientRect();
                         const clickX = e.clientX - rect.left;
@@ -294,7 +1278,7 @@ class TelegramMusicPlayer {
                         // Sync position with backend
                         try {
                             const baseUrl = window.location.hostname.includes('localhost') ? '' : '/.netlify/functions';
-                            await fetch(`${baseUrl}/api/seek`, {
+                            await this.apiFetch(`${baseUrl}/api/seek`, {
                                 method: 'POST',
                                 headers: {
                                     'Content-Type': 'application/json'
@@ -333,10 +1317,13 @@ class TelegramMusicPlayer {
             this.showMessage('Refreshing playlist from Telegram channel...');
             
             const baseUrl = window.location.hostname.includes('localhost') ? '' : '/.netlify/functions';
-            const response = await fetch(`${baseUrl}/api/refresh`, { method: 'POST' });
+            const response = await this.apiFetch(`${baseUrl}/api/refresh`, { method: 'POST' });
             const result = await response.json();
             
-            if (result.success) {
+            // Syncing is for channel admins (opened from Telegram) only
+            if (response.status === 401 || response.status === 403) {
+                this.showMessage('Only channel admins can refresh the playlist.');
+            } else if (result.success) {
                 this.showMessage(`Found ${result.tracks} tracks from channel!`);
                 await this.loadPlaylist();
                 
@@ -358,6 +1345,266 @@ class TelegramMusicPlayer {
         }
     }
     
+    isRoomListener() {
+        return !!this.room && !this.isRoomHost;
+    }
+    
+    async joinRoomFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const roomId = params.get('room');
+        if (!roomId) {
+            return;
+        }
+        
+        try {
+            const baseUrl = window.location.hostname.includes('localhost') ? '' : '/.netlify/functions';
+            const roomUrl = `${baseUrl}/api/rooms/${encodeURIComponent(roomId)}`;
+            const hostToken = params.get('host');
+            
+            const response = hostToken
+                ? await this.apiFetch(`${roomUrl}/host`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ token: hostToken })
+                })
+                : await this.apiFetch(roomUrl);
+            const result = await response.json();
+            
+            if (!result.success) {
+                this.showRoomBanner('⚠️ This listening room has ended');
+                return;
+            }
+            
+            this.room = result.room;
+            this.isRoomHost = result.isHost;
+            
+            if (this.isRoomHost) {
+                // The room follows our session from now on - start it from where we are
+                this.showRoomBanner(`🎛 Hosting "${this.room.name}" · Share: ${window.location.origin}/?room=${this.room.id}`);
+                this.reportPlayback();
+                return;
+            }
+            
+            this.showRoomBanner(`🎧 Listening together in "${this.room.name}"`);
+            // No Up Next or queue buttons while the host picks the songs
+            this.renderQueue();
+            this.renderPlaylist();
+            await this.syncClock();
+            this.listenToRoom(roomUrl);
+        } catch (error) {
+            console.error('Error joining room:', error);
+            this.showRoomBanner('⚠️ Could not join the listening room');
+        }
+    }
+    
+    // Estimate the server clock offset from the fastest of a few round trips
+    async syncClock() {
+        const baseUrl = window.location.hostname.includes('localhost') ? '' : '/.netlify/functions';
+        let best = null;
+        
+        for (let i = 0; i < 3; i++) {
+            const sentAt = Date.now();
+            const response = await this.apiFetch(`${baseUrl}/api/time`, { cache: 'no-cache' });
+            const { serverTime } = await response.json();
+            const receivedAt = Date.now();
+            
+            const roundTrip = receivedAt - sentAt;
+            if (!best || roundTrip < best.roundTrip) {
+                best = { roundTrip, offset: serverTime - (sentAt + receivedAt) / 2 };
+            }
+        }
+        
+        this.clockOffset = best.offset;
+        console.log(`🕒 Server clock offset: ${Math.round(this.clockOffset)} ms`);
+    }
+    
+    listenToRoom(roomUrl) {
+        this.roomEvents = new EventSource(`${roomUrl}/events`);
+        
+        ['sync', 'play', 'pause', 'seek', 'track'].forEach(type => {
+            this.roomEvents.addEventListener(type, (event) => {
+                this.applyRoomState(JSON.parse(event.data));
+            });
+        });
+        
+        this.roomEvents.addEventListener('closed', () => {
+            this.leaveRoom('⚠️ The host closed this room');
+        });
+        
+        // EventSource reconnects on its own; it only gives up when the room is gone
+        this.roomEvents.addEventListener('error', () => {
+            if (this.roomEvents.readyState === EventSource.CLOSED) {
+                this.leaveRoom('⚠️ This listening room has ended');
+            }
+        });
+        
+        this.driftTimer = setInterval(() => this.correctDrift(), 2000);
+    }
+    
+    applyRoomState(state) {
+        // Reconnects (every few seconds on Netlify) resend the state we already have
+        if (this.roomState && state.version === this.roomState.version) {
+            return;
+        }
+        this.roomState = state;
+        
+        if (!state.track) {
+            return;
+        }
+        
+        if (state.track.id !== this.currentTrackId) {
+            this.currentTrack = state.track;
+            this.currentIndex = state.index;
+            this.currentTrackId = state.track.id;
+            this.updateTrackInfo();
+            this.audio.src = state.track.url;
+            this.renderPlaylist();
+        }
+        
+        this.seekWhenReady(this.getRoomPosition());
+        
+        if (state.playing) {
+            this.play();
+        } else {
+            this.pause();
+        }
+    }
+    
+    // Where the host is now, by the server clock
+    getRoomPosition() {
+        const state = this.roomState;
+        if (!state.playing) {
+            return state.position;
+        }
+        return state.position + (Date.now() + this.clockOffset - state.positionAt) / 1000;
+    }
+    
+    seekWhenReady(position) {
+        if (this.audio.readyState >= 1) {
+            this.audio.currentTime = position;
+        } else {
+            this.audio.addEventListener('loadedmetadata', () => {
+                this.audio.currentTime = this.roomState ? this.getRoomPosition() : position;
+            }, { once: true });
+        }
+    }
+    
+    // Small drift is absorbed by playing slightly faster or slower, large drift by seeking
+    correctDrift() {
+        if (!this.roomState || !this.roomState.playing || !this.isPlaying || this.audio.readyState < 2) {
+            return;
+        }
+        
+        const drift = this.audio.currentTime - this.getRoomPosition();
+        
+        if (Math.abs(drift) > 1) {
+            this.audio.currentTime = this.getRoomPosition();
+            this.audio.playbackRate = 1;
+        } else if (Math.abs(drift) > 0.25) {
+            this.audio.playbackRate = drift > 0 ? 0.95 : 1.05;
+        } else {
+            this.audio.playbackRate = 1;
+        }
+    }
+    
+    leaveRoom(message) {
+        if (this.roomEvents) {
+            this.roomEvents.close();
+            this.roomEvents = null;
+        }
+        clearInterval(this.driftTimer);
+        this.audio.playbackRate = 1;
+        this.room = null;
+        this.roomState = null;
+        this.showRoomBanner(message);
+        this.renderQueue();
+        this.renderPlaylist();
+    }
+    
+    followSession() {
+        const baseUrl = window.location.hostname.includes('localhost') ? '' : '/.netlify/functions';
+        // EventSource can't send headers, so initData goes in the query
+        const identity = this.webApp ? `?initData=${encodeURIComponent(this.webApp.initData)}` : '';
+        this.sessionEvents = new EventSource(`${baseUrl}/api/session/events${identity}`);
+        
+        ['sync', 'track', 'play', 'pause', 'options', 'queue'].forEach(type => {
+            this.sessionEvents.addEventListener(type, (event) => {
+                this.applySessionState(JSON.parse(event.data));
+            });
+        });
+    }
+    
+    // Act only on what changed since the last state we saw - our own changes come back as
+    // events too, and reconnects (every few seconds on Netlify) resend the same state
+    applySessionState(state) {
+        const previous = this.sessionState;
+        this.sessionState = state;
+        
+        if (!this.room) {
+            this.updateModeButtons(state);
+            this.setQueue(state.queue);
+        }
+        
+        if (!previous || this.room) {
+            return;
+        }
+        
+        // Switched channel elsewhere (e.g. /channels in Telegram)
+        if (state.channelId !== this.channelId) {
+            this.showChannel(state.channelId);
+            return;
+        }
+        
+        if (!state.track) {
+            return;
+        }
+        
+        if (state.track.id !== (previous.track && previous.track.id) && state.track.id !== this.currentTrackId) {
+            this.currentTrack = state.track;
+            this.currentIndex = state.index;
+            this.currentTrackId = state.track.id;
+            this.updateTrackInfo();
+            this.audio.src = state.track.url;
+            this.renderPlaylist();
+            if (this.isPlaying) {
+                this.play();
+            }
+        }
+        
+        if (state.playing !== previous.playing && state.playing !== this.isPlaying) {
+            if (state.playing) {
+                this.play();
+            } else {
+                this.pause();
+            }
+        }
+    }
+    
+    // Tell the server when we play or pause, so room listeners and Telegram remotes follow
+    async reportPlayback() {
+        if (this.isRoomListener()) {
+            return;
+        }
+        
+        try {
+            const baseUrl = window.location.hostname.includes('localhost') ? '' : '/.netlify/functions';
+            await this.apiFetch(`${baseUrl}/api/playback`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ playing: this.isPlaying, position: this.audio.currentTime || 0 })
+            });
+        } catch (error) {
+            console.error('Error reporting playback:', error);
+        }
+    }
+    
+    showRoomBanner(message) {
+        this.roomBanner.textContent = message;
+        this.roomBanner.style.display = 'block';
+    }
+    
     showMessage(message) {
         this.trackTitle.textContent = message;
         this.trackArtist.textContent = 'Telegram Music Player';
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+// Import a Telegram Desktop channel export into the playlist storage
+// Usage: npm run import-export -- path/to/result.json
+// Writes to STORAGE_BACKEND / STORAGE_PATH like server.js (data/music_cache.json in the
+// current directory by default). For a Netlify Blobs store, POST the file to /api/import instead.
+// File IDs are looked up when a song is first played (see lib/desktop-import.js).
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { createStorage } = require('../lib/storage');
+const { MusicCore } = require('../lib/core');
+
+async function main() {
+    const exportPath = process.argv[2];
+    if (!exportPath) {
+        console.error('Usage: npm run import-export -- path/to/result.json');
+        process.exit(1);
+    }
+
+    const storage = createStorage({
+        backend: config.STORAGE_BACKEND || 'file',
+        path: config.STORAGE_PATH
+    });
+    const core = new MusicCore({ bot: null, storage, config });
+
+    const result = await core.importDesktopExport(fs.readFileSync(path.resolve(exportPath), 'utf8'));
+
+    console.log('');
+    console.log(`✅ Imported ${result.imported} of ${result.audioMessages} audio posts from "${result.channel}"`);
+    console.log(`   ⏳ File IDs resolved on first play: ${result.pendingFileIds}`);
+    console.log(`   ♻️ Already in playlist: ${result.alreadyPresent}`);
+    console.log(`   🗑️ Deleted from channel: ${result.removedFromChannel}`);
+    console.log(`   📊 Total tracks: ${result.totalTracks}`);
+}
+
+main().catch(error => {
+    console.error('❌ Import failed:', error.message);
+    process.exit(1);
+});
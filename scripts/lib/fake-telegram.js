@@ -0,0 +1,481 @@
+// A stand-in for the Telegram Bot API (https://api.telegram.org), for offline tests and for
+// scripts/replay-updates.js
+// Point the bot at it with TELEGRAM_API_URL. It keeps chats, messages and files in memory, answers
+// the methods the bot uses (getMe, getChat, getChatMember, getChatAdministrators, getFile,
+// sendMessage, sendAudio, sendDocument, forwardMessage, deleteMessage, editMessageText,
+// answerCallbackQuery, answerInlineQuery, setWebhook, deleteWebhook, getUpdates), serves file
+// downloads from /file/bot<token>/<path> with Range support, and records every call.
+// Tests build updates with the channelPost / userMessage / ... helpers and hand them to the bot
+// the way Telegram would: deliver() posts them to the registered webhook with its secret token.
+const http = require('http');
+
+const API_ERRORS = {
+    chatNotFound: [400, 'Bad Request: chat not found'],
+    messageNotFound: [400, 'Bad Request: message to forward not found'],
+    deleteNotFound: [400, 'Bad Request: message to delete not found'],
+    editNotFound: [400, 'Bad Request: message to edit not found'],
+    invalidFile: [400, 'Bad Request: invalid file_id'],
+    webhookActive: [409, "Conflict: can't use getUpdates method while webhook is active; use deleteWebhook to delete the webhook first"],
+    unauthorized: [401, 'Unauthorized'],
+    notFound: [404, 'Not Found']
+};
+
+class ApiError extends Error {
+    constructor([code, description]) {
+        super(description);
+        this.code = code;
+    }
+}
+
+// Request body (JSON, form-encoded or multipart, as node-telegram-bot-api and axios send them)
+// plus query string -> params; IDs become numbers
+function parseParams(req, body, url) {
+    const params = Object.fromEntries(url.searchParams);
+    const type = req.headers['content-type'] || '';
+
+    if (type.includes('application/json') && body.length > 0) {
+        Object.assign(params, JSON.parse(body.toString('utf8')));
+    } else if (type.includes('application/x-www-form-urlencoded')) {
+        Object.assign(params, Object.fromEntries(new URLSearchParams(body.toString('utf8'))));
+    } else if (type.includes('multipart/form-data')) {
+        const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(type);
+        const text = body.toString('latin1');
+        text.split(`--${boundary[1] || boundary[2]}`).forEach(part => {
+            const match = /name="([^"]+)"(?:; filename="([^"]*)")?[\s\S]*?\r\n\r\n([\s\S]*)\r\n$/.exec(part);
+            if (match) {
+                // Uploaded files are kept as their name and size
+                params[match[1]] = match[2] !== undefined
+                    ? { filename: match[2], size: Buffer.byteLength(match[3], 'latin1') }
+                    : Buffer.from(match[3], 'latin1').toString('utf8');
+            }
+        });
+    }
+
+    Object.keys(params).forEach(key => {
+        if (typeof params[key] === 'string' && /^-?\d+$/.test(params[key]) && /(_id|^offset|^limit)$/.test(key)) {
+            params[key] = Number(params[key]);
+        }
+    });
+    return params;
+}
+
+function parseJsonParam(value) {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+class FakeTelegram {
+    // token: the bot token the server accepts
+    constructor({ token = '123456:TEST-token' } = {}) {
+        this.token = token;
+        this.botUser = { id: Number(token.split(':')[0]), is_bot: true, first_name: 'Music Bot', username: 'fake_music_bot' };
+        // chatId -> { chat, admins: [userId], messages: Map<messageId, message>, nextMessageId }
+        this.chats = new Map();
+        // fileId -> { file_id, file_unique_id, file_path, file_size, content, mimeType }
+        this.files = new Map();
+        this.calls = [];
+        this.webhook = null;
+        this.pendingUpdates = [];
+        this.nextUpdateId = 1000;
+        this.nextFileNumber = 1;
+        this.server = http.createServer((req, res) => this.handle(req, res));
+    }
+
+    // Listen on a free local port; resolves with the base URL (TELEGRAM_API_URL)
+    start() {
+        return new Promise(resolve => {
+            this.server.listen(0, '127.0.0.1', () => resolve(this.url));
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    get url() {
+        return `http://127.0.0.1:${this.server.address().port}`;
+    }
+
+    // --- Test setup -------------------------------------------------------------------------
+
+    // A channel the bot administers; admins are the user IDs getChatAdministrators lists
+    addChannel(id, { title = `Channel ${id}`, admins = [] } = {}) {
+        this.chats.set(id, { chat: { id, type: 'channel', title }, admins, messages: new Map(), nextMessageId: 1 });
+        return this.chats.get(id).chat;
+    }
+
+    // Private chats appear when the user writes to the bot (or the bot to them)
+    ensurePrivateChat(user) {
+        if (!this.chats.has(user.id)) {
+            this.chats.set(user.id, {
+                chat: { id: user.id, type: 'private', first_name: user.first_name },
+                admins: [],
+                messages: new Map(),
+                nextMessageId: 1
+            });
+        }
+        return this.chats.get(user.id);
+    }
+
+    addFile(content, { mimeType = 'audio/mpeg', extension = 'mp3' } = {}) {
+        const number = this.nextFileNumber++;
+        const file = {
+            file_id: `FILE${number}`,
+            file_unique_id: `UNIQUE${number}`,
+            file_path: `music/file_${number}.${extension}`,
+            file_size: Buffer.byteLength(content),
+            content: Buffer.from(content),
+            mimeType: mimeType
+        };
+        this.files.set(file.file_id, file);
+        return file;
+    }
+
+    storeMessage(chatId, fields) {
+        const entry = this.chats.get(chatId);
+        if (!entry) {
+            throw new ApiError(API_ERRORS.chatNotFound);
+        }
+        const message = {
+            message_id: entry.nextMessageId++,
+            chat: entry.chat,
+            date: Math.floor(Date.now() / 1000),
+            ...fields
+        };
+        entry.messages.set(message.message_id, message);
+        return message;
+    }
+
+    getMessage(chatId, messageId) {
+        const entry = this.chats.get(chatId);
+        return (entry && entry.messages.get(messageId)) || null;
+    }
+
+    audioAttachment(file, { title, performer = 'Test Artist', duration = 180 } = {}) {
+        return {
+            file_id: file.file_id,
+            file_unique_id: file.file_unique_id,
+            title: title,
+            performer: performer,
+            duration: duration,
+            mime_type: file.mimeType,
+            file_size: file.file_size,
+            file_name: `${title || 'audio'}.mp3`
+        };
+    }
+
+    wrapUpdate(fields) {
+        return { update_id: this.nextUpdateId++, ...fields };
+    }
+
+    // Take in the chats and messages of an update that didn't come from this fake (a recorded
+    // one, see scripts/replay-updates.js), so the bot can forward, edit and answer them
+    observe(update) {
+        const message = update.message || update.channel_post || update.edited_channel_post ||
+            (update.callback_query && update.callback_query.message);
+        if (!message || !message.chat) {
+            return;
+        }
+        if (!this.chats.has(message.chat.id)) {
+            this.chats.set(message.chat.id, { chat: message.chat, admins: [], messages: new Map(), nextMessageId: 1 });
+        }
+        const entry = this.chats.get(message.chat.id);
+        entry.messages.set(message.message_id, message);
+        entry.nextMessageId = Math.max(entry.nextMessageId, message.message_id + 1);
+    }
+
+    // --- Updates (what Telegram would send to the bot) ---------------------------------------
+
+    // An audio post in a channel; content is the file the download link serves
+    channelPost(channelId, { title, performer, duration, content = `audio of ${title}`, caption } = {}) {
+        const fields = {};
+        if (title !== undefined) {
+            fields.audio = this.audioAttachment(this.addFile(content), { title, performer, duration });
+        }
+        if (caption) {
+            fields[fields.audio ? 'caption' : 'text'] = caption;
+        }
+        return this.wrapUpdate({ channel_post: this.storeMessage(channelId, fields) });
+    }
+
+    // The post as edited in the channel: changes replace its fields (audio: { title, ... } attaches
+    // a new file, audio: null removes it)
+    editChannelPost(channelId, messageId, changes) {
+        const message = { ...this.getMessage(channelId, messageId), edit_date: Math.floor(Date.now() / 1000) };
+        Object.entries(changes).forEach(([key, value]) => {
+            if (value === null) {
+                delete message[key];
+            } else if (key === 'audio') {
+                message.audio = this.audioAttachment(this.addFile(value.content || `audio of ${value.title}`), value);
+            } else {
+                message[key] = value;
+            }
+        });
+        this.chats.get(channelId).messages.set(messageId, message);
+        return this.wrapUpdate({ edited_channel_post: message });
+    }
+
+    // A post removed from the channel (Telegram sends no update for this)
+    deletePost(channelId, messageId) {
+        this.chats.get(channelId).messages.delete(messageId);
+    }
+
+    // A user's text message (a command) in their private chat, or in chat
+    userMessage(user, text, { chat } = {}) {
+        const chatId = chat ? chat.id : this.ensurePrivateChat(user).chat.id;
+        return this.wrapUpdate({ message: this.storeMessage(chatId, { from: user, text: text }) });
+    }
+
+    // A user sending a file, e.g. result.json with the caption /import
+    userDocument(user, content, { fileName, mimeType = 'application/json', caption } = {}) {
+        const file = this.addFile(content, { mimeType, extension: fileName.split('.').pop() });
+        const chatId = this.ensurePrivateChat(user).chat.id;
+        const document = { file_id: file.file_id, file_unique_id: file.file_unique_id, file_name: fileName, mime_type: mimeType, file_size: file.file_size };
+        return this.wrapUpdate({ message: this.storeMessage(chatId, { from: user, document: document, caption: caption }) });
+    }
+
+    // A press on an inline button of a message the bot sent
+    callbackQuery(user, data, message) {
+        return this.wrapUpdate({ callback_query: { id: String(this.nextUpdateId), from: user, data: data, message: message, chat_instance: '1' } });
+    }
+
+    // Hold an update for getUpdates (sent while no webhook was set)
+    queueUpdate(update) {
+        this.pendingUpdates.push(update);
+        return update;
+    }
+
+    // POST an update to the registered webhook like Telegram does; resolves with the status
+    async deliver(update) {
+        if (!this.webhook) {
+            throw new Error('No webhook registered');
+        }
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.webhook.secret_token) {
+            headers['X-Telegram-Bot-Api-Secret-Token'] = this.webhook.secret_token;
+        }
+        const response = await fetch(this.webhook.url, { method: 'POST', headers: headers, body: JSON.stringify(update) });
+        return response.status;
+    }
+
+    // --- Inspection --------------------------------------------------------------------------
+
+    callsTo(method) {
+        return this.calls.filter(call => call.method === method).map(call => call.params);
+    }
+
+    // Messages the bot sent into a chat, oldest first
+    sentMessages(chatId) {
+        const entry = this.chats.get(chatId);
+        return entry ? [...entry.messages.values()].filter(message => message.from && message.from.id === this.botUser.id) : [];
+    }
+
+    lastSentMessage(chatId) {
+        return this.sentMessages(chatId).pop() || null;
+    }
+
+    // --- HTTP --------------------------------------------------------------------------------
+
+    handle(req, res) {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const fileMatch = /^\/file\/bot([^/]+)\/(.+)$/.exec(url.pathname);
+            if (fileMatch) {
+                return this.download(req, res, fileMatch[1], decodeURIComponent(fileMatch[2]));
+            }
+
+            const match = /^\/bot([^/]+)\/(\w+)$/.exec(url.pathname);
+            let status = 200;
+            let payload;
+            try {
+                if (!match) {
+                    throw new ApiError(API_ERRORS.notFound);
+                }
+                if (match[1] !== this.token) {
+                    throw new ApiError(API_ERRORS.unauthorized);
+                }
+                const params = parseParams(req, Buffer.concat(chunks), url);
+                this.calls.push({ method: match[2], params: params });
+                payload = { ok: true, result: this.callMethod(match[2], params) };
+            } catch (error) {
+                // Anything but an ApiError is a bug in the fake or a malformed request
+                status = error instanceof ApiError ? error.code : 500;
+                payload = { ok: false, error_code: status, description: error.message };
+            }
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(payload));
+        });
+    }
+
+    download(req, res, token, filePath) {
+        const file = [...this.files.values()].find(candidate => candidate.file_path === filePath);
+        if (token !== this.token || !file) {
+            res.writeHead(404);
+            return res.end();
+        }
+
+        const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+        if (range) {
+            const start = Number(range[1]);
+            const end = range[2] ? Math.min(Number(range[2]), file.file_size - 1) : file.file_size - 1;
+            res.writeHead(206, {
+                'Content-Type': file.mimeType,
+                'Content-Range': `bytes ${start}-${end}/${file.file_size}`,
+                'Content-Length': end - start + 1
+            });
+            return res.end(file.content.subarray(start, end + 1));
+        }
+        res.writeHead(200, { 'Content-Type': file.mimeType, 'Content-Length': file.file_size });
+        res.end(file.content);
+    }
+
+    // A message from the bot; chats it never saw are private chats with users
+    sendFromBot(chatId, fields) {
+        if (!this.chats.has(chatId)) {
+            this.ensurePrivateChat({ id: chatId, first_name: 'User' });
+        }
+        const extra = {};
+        if (fields.reply_markup) {
+            extra.reply_markup = parseJsonParam(fields.reply_markup);
+        }
+        return this.storeMessage(chatId, { from: this.botUser, ...fields, ...extra });
+    }
+
+    callMethod(method, params) {
+        switch (method) {
+            case 'getMe':
+                return this.botUser;
+
+            case 'getChat': {
+                const entry = this.chats.get(params.chat_id);
+                if (!entry) {
+                    throw new ApiError(API_ERRORS.chatNotFound);
+                }
+                return entry.chat;
+            }
+
+            case 'getChatMember': {
+                const entry = this.chats.get(params.chat_id);
+                if (!entry) {
+                    throw new ApiError(API_ERRORS.chatNotFound);
+                }
+                if (params.user_id === this.botUser.id) {
+                    return { user: this.botUser, status: 'administrator', can_post_messages: true };
+                }
+                const index = entry.admins.indexOf(params.user_id);
+                return {
+                    user: { id: params.user_id, is_bot: false, first_name: 'User' },
+                    status: index === 0 ? 'creator' : index > 0 ? 'administrator' : 'left'
+                };
+            }
+
+            case 'getChatAdministrators': {
+                const entry = this.chats.get(params.chat_id);
+                if (!entry) {
+                    throw new ApiError(API_ERRORS.chatNotFound);
+                }
+                return [
+                    ...entry.admins.map((userId, index) => ({
+                        user: { id: userId, is_bot: false, first_name: `Admin ${userId}` },
+                        status: index === 0 ? 'creator' : 'administrator'
+                    })),
+                    { user: this.botUser, status: 'administrator', can_post_messages: true }
+                ];
+            }
+
+            case 'getFile': {
+                const file = this.files.get(params.file_id);
+                if (!file) {
+                    throw new ApiError(API_ERRORS.invalidFile);
+                }
+                return { file_id: file.file_id, file_unique_id: file.file_unique_id, file_size: file.file_size, file_path: file.file_path };
+            }
+
+            case 'sendMessage':
+                return this.sendFromBot(params.chat_id, { text: params.text, reply_markup: params.reply_markup });
+
+            case 'sendAudio':
+            case 'sendDocument': {
+                const field = method === 'sendAudio' ? 'audio' : 'document';
+                const existing = typeof params[field] === 'string' && this.files.get(params[field]);
+                const attachment = existing
+                    ? { file_id: existing.file_id, file_unique_id: existing.file_unique_id, file_size: existing.file_size }
+                    : { ...this.addFile('uploaded'), file_name: params[field] && params[field].filename };
+                delete attachment.content;
+                return this.sendFromBot(params.chat_id, { [field]: attachment, caption: params.caption });
+            }
+
+            case 'forwardMessage': {
+                const original = this.getMessage(params.from_chat_id, params.message_id);
+                if (!original) {
+                    throw new ApiError(API_ERRORS.messageNotFound);
+                }
+                if (!this.chats.has(params.chat_id)) {
+                    throw new ApiError(API_ERRORS.chatNotFound);
+                }
+                const { message_id, chat, date, ...content } = original;
+                return this.storeMessage(params.chat_id, { ...content, forward_from_chat: chat, forward_from_message_id: message_id, forward_date: date });
+            }
+
+            case 'deleteMessage': {
+                const entry = this.chats.get(params.chat_id);
+                if (!entry || !entry.messages.delete(params.message_id)) {
+                    throw new ApiError(API_ERRORS.deleteNotFound);
+                }
+                return true;
+            }
+
+            case 'editMessageText': {
+                const message = this.getMessage(params.chat_id, params.message_id);
+                if (!message) {
+                    throw new ApiError(API_ERRORS.editNotFound);
+                }
+                message.text = params.text;
+                if (params.reply_markup) {
+                    message.reply_markup = parseJsonParam(params.reply_markup);
+                }
+                return message;
+            }
+
+            case 'answerCallbackQuery':
+            case 'answerInlineQuery':
+                return true;
+
+            case 'setWebhook':
+                this.webhook = { url: params.url, secret_token: params.secret_token || null, allowed_updates: params.allowed_updates || null };
+                if (params.drop_pending_updates) {
+                    this.pendingUpdates = [];
+                }
+                return true;
+
+            case 'deleteWebhook':
+                this.webhook = null;
+                return true;
+
+            case 'getUpdates': {
+                if (this.webhook) {
+                    throw new ApiError(API_ERRORS.webhookActive);
+                }
+                const offset = params.offset || 0;
+                // A negative offset keeps only the last updates; any other confirms the earlier ones
+                if (offset < 0) {
+                    this.pendingUpdates = this.pendingUpdates.slice(offset);
+                } else if (offset > 0) {
+                    this.pendingUpdates = this.pendingUpdates.filter(update => update.update_id >= offset);
+                }
+                const allowed = params.allowed_updates ? parseJsonParam(params.allowed_updates) : null;
+                return this.pendingUpdates
+                    .filter(update => !allowed || allowed.some(type => update[type]))
+                    .slice(0, params.limit || 100);
+            }
+
+            default:
+                throw new ApiError(API_ERRORS.notFound);
+        }
+    }
+}
+
+module.exports = {
+    FakeTelegram
+};
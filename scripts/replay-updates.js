@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+// Replay recorded webhook updates (RECORD_UPDATES_DIR, see lib/update-recorder.js) into the bot
+// Usage: npm run replay-updates -- <file.jsonl | directory>... [options]
+//   --storage <backend>      memory (default), file, sqlite or netlify-blobs
+//   --storage-path <path>    STORAGE_PATH for that backend, e.g. a copy of production data
+//   --netlify                behave like functions/api.js (no channel scan when storage is empty)
+//   --include-duplicates     also replay deliveries the webhook skipped as repeats
+//   --delay <ms>             pause between updates so their handlers finish (default 200)
+//   --telegram <url>         send the bot's requests to this Bot API server; by default they go
+//                            to the fake one from scripts/lib/fake-telegram.js, so no real chat gets messages
+// Updates go through bot.processUpdate like a webhook delivery, in the order they were
+// received. Replaying changes the chosen storage - point --storage-path at a copy.
+// Without --telegram settings load with the test profile, so no bot token is needed, and
+// CHANNEL_ID defaults to the first channel in the recordings.
+const fs = require('fs');
+const path = require('path');
+const TelegramBot = require('node-telegram-bot-api');
+const { loadConfig, ConfigError } = require('../lib/config');
+const { createStorage } = require('../lib/storage');
+const { MusicCore } = require('../lib/core');
+const { registerBotHandlers } = require('../lib/bot-handlers');
+const { readRecordings } = require('../lib/update-recorder');
+const { FakeTelegram } = require('./lib/fake-telegram');
+
+const USAGE = 'Usage: npm run replay-updates -- <file.jsonl | directory>... [--storage memory|file|sqlite|netlify-blobs] ' +
+    '[--storage-path <path>] [--netlify] [--include-duplicates] [--delay <ms>] [--telegram <url>]';
+
+function parseArgs(args) {
+    const options = { paths: [], storage: 'memory', storagePath: null, netlify: false, includeDuplicates: false, delay: 200, telegram: null };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        switch (arg) {
+            case '--storage':
+                options.storage = args[++i];
+                break;
+            case '--storage-path':
+                options.storagePath = args[++i];
+                break;
+            case '--netlify':
+                options.netlify = true;
+                break;
+            case '--include-duplicates':
+                options.includeDuplicates = true;
+                break;
+            case '--delay':
+                options.delay = Number(args[++i]);
+                break;
+            case '--telegram':
+                options.telegram = args[++i];
+                break;
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`Unknown option ${arg}`);
+                }
+                options.paths.push(arg);
+        }
+    }
+    if (options.paths.length === 0) {
+        throw new Error('No recordings given');
+    }
+    if (!Number.isFinite(options.delay) || options.delay < 0) {
+        throw new Error('--delay must be a number of milliseconds');
+    }
+    return options;
+}
+
+// Recordings of the given files and directories (their .jsonl files, by date), as received
+function loadRecordings(paths) {
+    const files = paths.flatMap(target => {
+        const resolved = path.resolve(target);
+        if (fs.statSync(resolved).isDirectory()) {
+            return fs.readdirSync(resolved).filter(name => name.endsWith('.jsonl')).sort().map(name => path.join(resolved, name));
+        }
+        return [resolved];
+    });
+    return files.flatMap(readRecordings);
+}
+
+// First channel the recordings have a post from, or null
+function findRecordedChannel(recordings) {
+    for (const { update } of recordings) {
+        const post = update.channel_post || update.edited_channel_post;
+        if (post) {
+            return post.chat.id;
+        }
+    }
+    return null;
+}
+
+// Settings for the replay; throws ConfigError, or an Error when --telegram has no bot token
+function loadReplayConfig(recordings, options) {
+    if (options.telegram) {
+        const config = loadConfig();
+        if (!config.TELEGRAM_BOT_TOKEN) {
+            throw new Error('--telegram needs TELEGRAM_BOT_TOKEN (use a test bot - replies are really sent)');
+        }
+        return config;
+    }
+
+    const env = { ...process.env, NODE_ENV: 'test' };
+    try {
+        return loadConfig({ env });
+    } catch (error) {
+        // CHANNEL_ID is set neither in the environment nor in .env / the settings file
+        const channelId = findRecordedChannel(recordings);
+        if (!(error instanceof ConfigError) || channelId === null) {
+            throw error;
+        }
+        return loadConfig({ env: { ...env, CHANNEL_ID: String(channelId) } });
+    }
+}
+
+// Replay recordings into a bot built like the entry points; resolves with
+// { core, fake, replayed, skipped } (fake is null with options.telegram)
+async function replayUpdates(recordings, options) {
+    const config = loadReplayConfig(recordings, options);
+    let fake = null;
+    let apiUrl = options.telegram;
+    if (!apiUrl) {
+        fake = new FakeTelegram(config.TELEGRAM_BOT_TOKEN ? { token: config.TELEGRAM_BOT_TOKEN } : {});
+        apiUrl = await fake.start();
+    }
+
+    const bot = new TelegramBot(fake ? fake.token : config.TELEGRAM_BOT_TOKEN, {
+        polling: false,
+        baseApiUrl: apiUrl
+    });
+    const core = new MusicCore({
+        bot,
+        storage: createStorage({ backend: options.storage, path: options.storagePath }),
+        config,
+        scanWhenEmpty: !options.netlify
+    });
+    registerBotHandlers(core);
+
+    if (fake) {
+        core.channelIds.forEach(channelId => fake.addChannel(channelId));
+    }
+
+    let replayed = 0;
+    let skipped = 0;
+    for (const entry of recordings) {
+        if (entry.duplicate && !options.includeDuplicates) {
+            console.log(`⏭️ Update ${entry.update.update_id} was a repeated delivery - skipped`);
+            skipped++;
+            continue;
+        }
+        console.log(`▶️ Update ${entry.update.update_id} (received ${entry.receivedAt})`);
+        if (fake) {
+            fake.observe(entry.update);
+        }
+        bot.processUpdate(entry.update);
+        replayed++;
+        await new Promise(resolve => setTimeout(resolve, options.delay));
+    }
+
+    return { core, fake, replayed, skipped };
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        console.error(USAGE);
+        process.exit(1);
+    }
+    const recordings = loadRecordings(options.paths);
+    console.log(`🎬 Replaying ${recordings.length} recorded updates into ${options.storage} storage...`);
+    const { core, fake, replayed, skipped } = await replayUpdates(recordings, options);
+
+    console.log('');
+    console.log(`✅ Replayed ${replayed} updates (${skipped} repeated deliveries skipped)`);
+    for (const library of core.libraries.values()) {
+        await library.ensureMusic();
+        console.log(`   📀 ${library.channelId}: ${library.musicFiles.length} tracks${library.isDemoPlaylist() ? ' (demo playlist)' : ''}`);
+        library.musicFiles.forEach((track, index) => console.log(`      ${index + 1}. ${track.title} (message ${track.messageId})`));
+    }
+    if (fake) {
+        const counts = fake.calls.reduce((result, call) => ({ ...result, [call.method]: (result[call.method] || 0) + 1 }), {});
+        console.log(`   📡 Bot API calls: ${Object.entries(counts).map(([method, count]) => `${method} ${count}`).join(', ') || 'none'}`);
+        await fake.stop();
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Replay failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    loadRecordings,
+    replayUpdates
+};
@@ -0,0 +1,74 @@
+// The channel index (lib/channel-index.js): one storage key per channel, pruned once the
+// playlist has caught up with it
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const MemoryStorage = require('../lib/storage/memory-storage');
+const { MusicCore } = require('../lib/core');
+const { quietLogs } = require('./helpers/util');
+
+const CHANNEL_ID = -1001234567890;
+const SECOND_CHANNEL_ID = -1009876543210;
+
+quietLogs();
+
+function createCore(storage = new MemoryStorage()) {
+    return new MusicCore({
+        bot: null,
+        storage,
+        config: { CHANNEL_ID, SOURCE_CHANNELS: String(SECOND_CHANNEL_ID) }
+    });
+}
+
+function post(channelId, messageId, title) {
+    const msg = { message_id: messageId, chat: { id: channelId, type: 'channel' }, date: 1 };
+    if (title) {
+        msg.audio = { file_id: `FILE${messageId}`, file_unique_id: `UNIQUE${messageId}`, title, duration: 180, mime_type: 'audio/mpeg' };
+    } else {
+        msg.text = 'announcement';
+    }
+    return msg;
+}
+
+test('each channel is indexed under its own key', async () => {
+    const storage = new MemoryStorage();
+    const core = createCore(storage);
+
+    await core.channelIndex.recordAll([post(CHANNEL_ID, 1, 'One'), post(SECOND_CHANNEL_ID, 1, 'Kirtan'), post(CHANNEL_ID, 2)]);
+
+    assert.deepEqual(Object.keys((await storage.load(`channel_index/${CHANNEL_ID}`)).messages), ['1', '2']);
+    assert.deepEqual((await core.channelIndex.getTracks(SECOND_CHANNEL_ID)).map(track => track.title), ['Kirtan']);
+    assert.equal(await storage.load('channel_index'), null);
+});
+
+test('channels indexed under the old shared key are still read', async () => {
+    const storage = new MemoryStorage();
+    const old = createCore(storage);
+    await old.channelIndex.recordAll([post(CHANNEL_ID, 1, 'One')]);
+    await storage.save('channel_index', { [CHANNEL_ID]: await storage.load(`channel_index/${CHANNEL_ID}`) });
+    await storage.save(`channel_index/${CHANNEL_ID}`, null);
+
+    const core = createCore(storage);
+    assert.deepEqual((await core.channelIndex.getTracks(CHANNEL_ID)).map(track => track.title), ['One']);
+    await core.channelIndex.record(post(CHANNEL_ID, 2, 'Two'));
+    assert.deepEqual((await core.channelIndex.getTracks(CHANNEL_ID)).map(track => track.title), ['One', 'Two']);
+});
+
+test('synced and deleted posts are dropped from the index', async () => {
+    const storage = new MemoryStorage();
+    const core = createCore(storage);
+    await core.library.addTrack({ id: 'seed', title: 'Seed', fileId: 'SEED', messageId: 100 });
+    await core.channelIndex.recordAll([post(CHANNEL_ID, 1, 'One'), post(CHANNEL_ID, 2, 'Two'), post(CHANNEL_ID, 3)]);
+
+    const sync = await core.library.syncPlaylistWithChannel();
+    assert.equal(sync.tracksAdded, 2);
+    assert.deepEqual((await core.channelIndex.get(CHANNEL_ID)).messages, {});
+
+    // A deleted post is kept only until its song is gone from the playlist
+    await core.channelIndex.markDeleted(CHANNEL_ID, [1]);
+    assert.deepEqual(Object.keys((await core.channelIndex.get(CHANNEL_ID)).messages), ['1']);
+    const [one] = core.library.musicFiles.filter(track => track.messageId === 1);
+    await core.library.removeTracks([one.id]);
+    await core.library.syncPlaylistWithChannel();
+    assert.deepEqual((await core.channelIndex.get(CHANNEL_ID)).messages, {});
+    assert.deepEqual(core.library.musicFiles.map(track => track.title), ['Seed', 'Two']);
+});
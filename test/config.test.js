@@ -0,0 +1,84 @@
+// Configuration (lib/config.js): required settings per profile, checked values and where
+// settings come from. Every test reads from its own empty directory, never the project's .env.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, ConfigError } = require('../lib/config');
+
+const TOKEN = '123456:TEST-token';
+
+function withRoot(files, fn) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'music-player-config-'));
+    try {
+        Object.entries(files).forEach(([name, content]) => fs.writeFileSync(path.join(root, name), content));
+        return fn(root);
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+}
+
+function problemsOf(env, files = {}) {
+    return withRoot(files, (root) => {
+        try {
+            loadConfig({ env, root });
+        } catch (error) {
+            assert.ok(error instanceof ConfigError);
+            return error.problems;
+        }
+        return [];
+    });
+}
+
+function missing(problems) {
+    return problems.filter(problem => problem.endsWith('is required - set it in the environment, .env or settings.json'))
+        .map(problem => problem.split(' ')[0]);
+}
+
+test('each profile lists the settings it is missing', () => {
+    assert.deepEqual(missing(problemsOf({})), ['TELEGRAM_BOT_TOKEN', 'CHANNEL_ID']);
+    assert.deepEqual(missing(problemsOf({ NODE_ENV: 'development', CHANNEL_ID: '-100123' })), ['TELEGRAM_BOT_TOKEN']);
+    assert.deepEqual(missing(problemsOf({ NODE_ENV: 'production' })), ['TELEGRAM_BOT_TOKEN', 'CHANNEL_ID', 'WEB_PLAYER_URL']);
+    // Netlify's URL counts as WEB_PLAYER_URL
+    assert.deepEqual(problemsOf({ NODE_ENV: 'production', TELEGRAM_BOT_TOKEN: TOKEN, CHANNEL_ID: '-100123', URL: 'https://music.example' }), []);
+    assert.deepEqual(missing(problemsOf({ NODE_ENV: 'test' })), ['CHANNEL_ID']);
+    // Blank values count as unset
+    assert.deepEqual(missing(problemsOf({ NODE_ENV: 'test', CHANNEL_ID: '' })), ['CHANNEL_ID']);
+    assert.match(problemsOf({ NODE_ENV: 'staging' })[0], /NODE_ENV must be one of development, production, test/);
+});
+
+test('invalid values are reported together, with where they came from', () => {
+    const problems = problemsOf({
+        NODE_ENV: 'test',
+        CHANNEL_ID: 'abc',
+        STORAGE_BACKEND: 'mongo',
+        PORT: '80.5'
+    }, { '.env': 'WEBHOOK_SECRET="has spaces"\n' });
+
+    assert.equal(problems.length, 4);
+    assert.match(problems.find(problem => problem.startsWith('CHANNEL_ID')), /environment variable CHANNEL_ID/);
+    assert.match(problems.find(problem => problem.startsWith('STORAGE_BACKEND')), /must be one of file, netlify-blobs, sqlite, memory/);
+    assert.match(problems.find(problem => problem.startsWith('WEBHOOK_SECRET')), /WEBHOOK_SECRET in \.env/);
+    // An invalid required setting isn't reported as missing too
+    assert.deepEqual(missing(problems), []);
+});
+
+test('environment variables beat .env, which beats the settings file and its profile section', () => {
+    const files = {
+        '.env': 'CHANNEL_ID=-100222\nPORT=6000 # comment\n',
+        'settings.json': JSON.stringify({ PORT: 7000, VERIFY_INTERVAL_MINUTES: 30, CHANNEL_NAME: 'Bhajans', test: { VERIFY_INTERVAL_MINUTES: 5 } })
+    };
+    const config = withRoot(files, root => loadConfig({ env: { NODE_ENV: 'test', CHANNEL_ID: '-100111' }, root }));
+
+    assert.equal(config.CHANNEL_ID, -100111);
+    assert.equal(config.PORT, 6000);
+    assert.equal(config.VERIFY_INTERVAL_MINUTES, 5);
+    assert.equal(config.CHANNEL_NAME, 'Bhajans');
+    // The test profile's default
+    assert.equal(config.STORAGE_BACKEND, 'memory');
+    assert.equal(config.isTest, true);
+
+    assert.deepEqual(problemsOf({ NODE_ENV: 'test', CHANNEL_ID: '-100111' }, { 'settings.json': '{"CHANEL_NAME": "x"}' }),
+        ['Unknown setting CHANEL_NAME in settings.json']);
+});
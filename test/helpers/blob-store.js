@@ -0,0 +1,53 @@
+// An in-memory stand-in for a Netlify Blobs store (the calls NetlifyBlobsStorage makes), with
+// ETags for conditional writes. beforeWrite(key) runs before each setJSON - a test can write
+// there to play another function instance that got in first.
+class FakeBlobStore {
+    constructor() {
+        // key -> { data, etag }
+        this.blobs = new Map();
+        this.nextEtag = 1;
+        this.beforeWrite = null;
+        this.failedWrites = 0;
+    }
+
+    put(key, value) {
+        this.blobs.set(key, { data: JSON.parse(JSON.stringify(value)), etag: `"${this.nextEtag++}"` });
+    }
+
+    async get(key) {
+        const blob = this.blobs.get(key);
+        return blob ? JSON.parse(JSON.stringify(blob.data)) : null;
+    }
+
+    async getWithMetadata(key) {
+        const blob = this.blobs.get(key);
+        return blob ? { data: JSON.parse(JSON.stringify(blob.data)), etag: blob.etag, metadata: {} } : null;
+    }
+
+    async setJSON(key, value, options = {}) {
+        if (this.beforeWrite) {
+            const hook = this.beforeWrite;
+            this.beforeWrite = null;
+            await hook(key);
+        }
+        const blob = this.blobs.get(key);
+        if ((options.onlyIfMatch && (!blob || blob.etag !== options.onlyIfMatch)) || (options.onlyIfNew && blob)) {
+            this.failedWrites++;
+            return { modified: false };
+        }
+        this.put(key, value);
+        return { modified: true, etag: this.blobs.get(key).etag };
+    }
+
+    async list({ prefix = '' } = {}) {
+        return { blobs: [...this.blobs.keys()].filter(key => key.startsWith(prefix)).map(key => ({ key })) };
+    }
+
+    async delete(key) {
+        this.blobs.delete(key);
+    }
+}
+
+module.exports = {
+    FakeBlobStore
+};
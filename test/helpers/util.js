@@ -0,0 +1,64 @@
+// Shared bits of the test suites
+const net = require('net');
+
+// A port nothing listens on right now (for the web player URL, before the app starts)
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.unref();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// Bot handlers run after the webhook has answered, so tests wait for their effects;
+// resolves with the first truthy result of check()
+async function waitFor(check, { timeout = 3000, interval = 20, message = 'condition' } = {}) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const result = await check();
+        if (result) {
+            return result;
+        }
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for ${message}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, interval));
+    }
+}
+
+// The app logs every step; keep test output readable unless TEST_LOGS=1
+function quietLogs() {
+    if (!process.env.TEST_LOGS) {
+        console.log = () => {};
+    }
+}
+
+// A Telegram Desktop export (result.json) of a channel with the given audio posts
+function desktopExport(channelId, title, posts) {
+    return JSON.stringify({
+        name: title,
+        type: 'public_channel',
+        id: Number(String(channelId).replace(/^-100/, '')),
+        messages: posts.map(post => ({
+            id: post.messageId,
+            type: 'message',
+            date: '2024-01-01T10:00:00',
+            media_type: 'audio_file',
+            title: post.title,
+            performer: post.performer,
+            mime_type: 'audio/mpeg',
+            duration_seconds: 180
+        }))
+    });
+}
+
+module.exports = {
+    getFreePort,
+    waitFor,
+    quietLogs,
+    desktopExport
+};
@@ -0,0 +1,198 @@
+// The Netlify function (functions/api.js) against the fake Bot API, invoked with Lambda-style
+// events the way Netlify calls it
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FakeTelegram } = require('../scripts/lib/fake-telegram');
+const { waitFor, quietLogs } = require('./helpers/util');
+const { REDACTED, readRecordings, getRecordingFile } = require('../lib/update-recorder');
+
+const CHANNEL_ID = -1001234567890;
+const ADMIN = { id: 501, is_bot: false, first_name: 'Admin' };
+const LISTENER = { id: 502, is_bot: false, first_name: 'Listener' };
+const ADMIN_TOKEN = 'test-admin-token';
+const SITE_URL = 'https://bhajan-player.example';
+
+const fake = new FakeTelegram();
+const originalCwd = process.cwd();
+let apiHandler;
+let workDir;
+
+// Call a function handler; resolves with { status, headers, body (Buffer), json() }
+async function invoke(handler, method, urlPath, { headers = {}, body } = {}) {
+    const [pathname, query = ''] = urlPath.split('?');
+    const response = await handler({
+        httpMethod: method,
+        path: pathname,
+        headers: { host: new URL(SITE_URL).host, 'content-type': 'application/json', ...headers },
+        queryStringParameters: Object.fromEntries(new URLSearchParams(query)),
+        body: body === undefined ? null : JSON.stringify(body),
+        isBase64Encoded: false
+    }, {});
+
+    const raw = Buffer.from(response.body || '', response.isBase64Encoded ? 'base64' : 'utf8');
+    return {
+        status: response.statusCode,
+        headers: response.headers,
+        body: raw,
+        json: () => JSON.parse(raw.toString('utf8'))
+    };
+}
+
+function api(method, route, options) {
+    return invoke(apiHandler, method, `/.netlify/functions/api${route}`, options);
+}
+
+// What Telegram does with an update once the webhook is set
+function deliver(update, secret = fake.webhook.secret_token) {
+    return api('POST', '/telegram-webhook', { headers: { 'x-telegram-bot-api-secret-token': secret }, body: update });
+}
+
+async function playlistTitles() {
+    return (await api('GET', '/playlist')).json().map(track => track.title);
+}
+
+before(async () => {
+    quietLogs();
+    await fake.start();
+    fake.addChannel(CHANNEL_ID, { title: 'Bhajan Sandhya', admins: [ADMIN.id] });
+
+    // The deployed playlist: one song whose post is already in the channel
+    const seeded = fake.channelPost(CHANNEL_ID, { title: 'Shri Ram Stuti', content: 'seeded audio' }).channel_post;
+    const seed = {
+        musicFiles: [{
+            title: 'Shri Ram Stuti',
+            duration: '3:00',
+            fileId: seeded.audio.file_id,
+            performer: 'Test Artist',
+            messageId: seeded.message_id,
+            uploadDate: new Date(seeded.date * 1000).toISOString()
+        }]
+    };
+
+    // functions/storage.js seeds from a music_cache.json next to the working directory first
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'music-player-test-'));
+    process.chdir(workDir);
+    Object.assign(process.env, {
+        NODE_ENV: 'test',
+        TELEGRAM_BOT_TOKEN: fake.token,
+        TELEGRAM_API_URL: fake.url,
+        CHANNEL_ID: String(CHANNEL_ID),
+        URL: SITE_URL,
+        ADMIN_TOKEN: ADMIN_TOKEN,
+        MUSIC_CACHE_DATA: JSON.stringify(seed),
+        RECORD_UPDATES_DIR: path.join(workDir, 'updates'),
+        STORAGE_BACKEND: 'memory'
+    });
+
+    apiHandler = require('../functions/api').handler;
+});
+
+after(async () => {
+    process.chdir(originalCwd);
+    fs.rmSync(workDir, { recursive: true, force: true });
+    await fake.stop();
+});
+
+test('setup-webhook needs an admin and registers the site webhook', async () => {
+    assert.equal((await api('POST', '/setup-webhook')).status, 401);
+    assert.equal(fake.webhook, null);
+
+    const response = await api('POST', '/setup-webhook', { headers: { authorization: `Bearer ${ADMIN_TOKEN}` } });
+    assert.equal(response.status, 200);
+    assert.equal(response.json().url, `${SITE_URL}/.netlify/functions/api/telegram-webhook`);
+    assert.equal(fake.webhook.url, `${SITE_URL}/.netlify/functions/api/telegram-webhook`);
+    assert.match(fake.webhook.secret_token, /^[0-9a-f]{64}$/);
+});
+
+test('the playlist starts from the seed data', async () => {
+    assert.deepEqual(await playlistTitles(), ['Shri Ram Stuti']);
+});
+
+test('updates need the secret token and are processed once', async () => {
+    const update = fake.channelPost(CHANNEL_ID, { title: 'Gayatri Mantra' });
+
+    assert.equal((await deliver(update, 'wrong-secret')).status, 401);
+    assert.equal((await deliver({ message: {} })).status, 400);
+
+    assert.equal((await deliver(update)).status, 200);
+    await waitFor(async () => (await playlistTitles()).includes('Gayatri Mantra'), { message: 'the new post' });
+    assert.equal((await deliver(update)).status, 200);
+    assert.deepEqual(await playlistTitles(), ['Shri Ram Stuti', 'Gayatri Mantra']);
+});
+
+test('streams audio as base64 responses, in ranges even without a Range header', async () => {
+    const [seeded] = (await api('GET', '/playlist')).json();
+
+    // A plain GET (an external player from an exported playlist) gets a range too, so a long
+    // song can't go over the Functions response limit
+    const response = await api('GET', `/stream/${seeded.id}`);
+    assert.equal(response.status, 206);
+    assert.equal(response.headers['content-range'], 'bytes 0-11/12');
+    assert.equal(response.body.toString('utf8'), 'seeded audio');
+
+    const partial = await api('GET', `/stream/${seeded.id}`, { headers: { range: 'bytes=7-' } });
+    assert.equal(partial.status, 206);
+    assert.equal(partial.body.toString('utf8'), 'audio');
+});
+
+test('/music lists the playlist', async () => {
+    await deliver(fake.userMessage(LISTENER, '/music'));
+    const reply = await waitFor(() => fake.lastSentMessage(LISTENER.id), { message: 'the reply' });
+
+    assert.match(reply.text, /Total Songs: 2/);
+    assert.match(reply.text, /Gayatri Mantra/);
+});
+
+test('refresh takes the token a channel admin gets from /admintoken', async () => {
+    assert.equal((await api('POST', '/refresh')).status, 401);
+
+    await deliver(fake.userMessage(LISTENER, '/admintoken'));
+    await waitFor(() => /सिर्फ channel admins/.test(fake.lastSentMessage(LISTENER.id).text), { message: 'the refusal' });
+
+    await deliver(fake.userMessage(ADMIN, '/admintoken'));
+    const reply = await waitFor(() => fake.lastSentMessage(ADMIN.id), { message: 'the token' });
+    const [token] = /\d+\.\d+\.[0-9a-f]{64}/.exec(reply.text);
+
+    const response = await api('POST', '/refresh', { headers: { authorization: `Bearer ${token}` } });
+    assert.equal(response.status, 200);
+    assert.equal(response.json().success, true);
+    assert.equal(response.json().tracks, 2);
+});
+
+test('accepted updates are recorded without tokens and replay into fresh storage', async () => {
+    await deliver(fake.userMessage(LISTENER, `mera token ${fake.token} hai`));
+    await waitFor(() => fake.sentMessages(LISTENER.id).length >= 3, { message: 'the fallback reply' });
+
+    const recordingFile = getRecordingFile(process.env.RECORD_UPDATES_DIR);
+    assert.equal(fs.readFileSync(recordingFile, 'utf8').includes(fake.token), false);
+    const recordings = readRecordings(recordingFile);
+    assert.equal(recordings.at(-1).update.message.text, `mera token ${REDACTED} hai`);
+    // The repeated delivery of "Gayatri Mantra" is kept, marked as such
+    assert.deepEqual(recordings.filter(entry => entry.duplicate).map(entry => entry.update.channel_post.audio.title), ['Gayatri Mantra']);
+
+    // Offline replays need neither a bot token nor CHANNEL_ID: the channel comes from the recordings
+    const { replayUpdates } = require('../scripts/replay-updates');
+    const saved = { TELEGRAM_BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN, CHANNEL_ID: process.env.CHANNEL_ID };
+    delete process.env.TELEGRAM_BOT_TOKEN;
+    delete process.env.CHANNEL_ID;
+    let replay;
+    try {
+        replay = await replayUpdates(recordings, { storage: 'memory', netlify: true, includeDuplicates: false, delay: 20 });
+    } finally {
+        Object.assign(process.env, saved);
+    }
+    try {
+        assert.equal(replay.core.library.channelId, CHANNEL_ID);
+        assert.equal(replay.replayed, recordings.length - 1);
+        assert.equal(replay.skipped, 1);
+        await replay.core.library.ensureMusic();
+        assert.deepEqual(replay.core.library.musicFiles.map(track => track.title), ['Gayatri Mantra']);
+        // Replies went to the replay's own fake Bot API, not to Telegram
+        assert.equal(replay.fake.sentMessages(LISTENER.id).length > 0, true);
+    } finally {
+        await replay.fake.stop();
+    }
+});
@@ -0,0 +1,34 @@
+// Track search (lib/search.js): Devanagari and Latin text, word prefixes and ranking
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeText, SearchIndex } = require('../lib/search');
+
+const TRACKS = [
+    { id: 't1', title: 'ज़रा सामने तो आओ', performer: 'Mukesh' },
+    { id: 't2', title: 'हनुमान चालीसा', performer: 'हरिहरन' },
+    { id: 't3', title: 'Café Bhajan', performer: 'Unknown Artist', caption: 'हनुमान जयंती special' },
+    { id: 't4', title: 'Om Jai Jagdish Hare', performer: 'Anuradha Paudwal' }
+];
+
+function titles(query) {
+    return new SearchIndex(TRACKS).search(query).map(result => result.track.title);
+}
+
+test('Devanagari queries match whole words, word starts and words typed without the nukta', () => {
+    assert.deepEqual(titles('चालीसा'), ['हनुमान चालीसा']);
+    assert.deepEqual(titles('चाली'), ['हनुमान चालीसा']);
+    // "जरा" as commonly typed matches "ज़रा"
+    assert.deepEqual(titles('जरा सामने'), ['ज़रा सामने तो आओ']);
+    assert.deepEqual(titles('हरिहरन'), ['हनुमान चालीसा']);
+    // Vowel signs are part of the word, not accents to strip
+    assert.equal(normalizeText('चालीसा'), 'चालीसा');
+});
+
+test('a title match ranks above a caption match and every query word must match', () => {
+    assert.deepEqual(titles('हनुमान'), ['हनुमान चालीसा', 'Café Bhajan']);
+    assert.deepEqual(titles('हनुमान आरती'), []);
+    assert.deepEqual(titles('cafe'), ['Café Bhajan']);
+    // "Unknown Artist" isn't searchable
+    assert.deepEqual(titles('unknown'), []);
+    assert.deepEqual(titles('jai  jagdish!'), ['Om Jai Jagdish Hare']);
+});
@@ -0,0 +1,300 @@
+// server.js (the long-running Express server) against the fake Bot API: webhook setup, updates
+// delivered the way Telegram sends them, playlist sync, streaming and bot commands
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeTelegram } = require('../scripts/lib/fake-telegram');
+const { getFreePort, waitFor, quietLogs, desktopExport } = require('./helpers/util');
+
+const CHANNEL_ID = -1001234567890;
+const SECOND_CHANNEL_ID = -1009876543210;
+const ADMIN = { id: 501, is_bot: false, first_name: 'Admin' };
+const LISTENER = { id: 502, is_bot: false, first_name: 'Listener' };
+const ADMIN_TOKEN = 'test-admin-token';
+
+const fake = new FakeTelegram();
+let server;
+let baseUrl;
+let core;
+
+async function api(method, path, { body, token } = {}) {
+    const headers = {};
+    if (body !== undefined) {
+        headers['Content-Type'] = 'application/json';
+    }
+    if (token) {
+        headers.Authorization = `Bearer ${token}`;
+    }
+    const response = await fetch(`${baseUrl}/api${path}`, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    const type = response.headers.get('content-type') || '';
+    return { status: response.status, body: type.includes('json') ? await response.json() : await response.text() };
+}
+
+async function playlistTitles(channelId = CHANNEL_ID) {
+    const { body } = await api('GET', `/playlist?channel=${channelId}`);
+    return body.map(track => track.title);
+}
+
+before(async () => {
+    quietLogs();
+    await fake.start();
+    fake.addChannel(CHANNEL_ID, { title: 'Bhajan Sandhya', admins: [ADMIN.id] });
+    fake.addChannel(SECOND_CHANNEL_ID, { title: 'Kirtan', admins: [ADMIN.id] });
+    // Forwarded posts go to the admin's private chat when checking files
+    fake.ensurePrivateChat(ADMIN);
+
+    const port = await getFreePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+    Object.assign(process.env, {
+        NODE_ENV: 'test',
+        TELEGRAM_BOT_TOKEN: fake.token,
+        TELEGRAM_API_URL: fake.url,
+        CHANNEL_ID: String(CHANNEL_ID),
+        SOURCE_CHANNELS: `${SECOND_CHANNEL_ID}:Kirtan`,
+        WEB_PLAYER_URL: baseUrl,
+        ADMIN_TOKEN: ADMIN_TOKEN,
+        VERIFY_CHAT_ID: String(ADMIN.id),
+        STORAGE_BACKEND: 'memory'
+    });
+
+    const entry = require('../server');
+    core = entry.core;
+    await new Promise(resolve => {
+        server = entry.app.listen(port, '127.0.0.1', resolve);
+    });
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fake.stop();
+});
+
+test('setup-webhook needs an admin and registers the webhook with a secret token', async () => {
+    assert.equal((await api('POST', '/setup-webhook')).status, 401);
+
+    const { status, body } = await api('POST', '/setup-webhook', { token: ADMIN_TOKEN });
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.equal(fake.webhook.url, `${baseUrl}/.netlify/functions/api/telegram-webhook`);
+    assert.match(fake.webhook.secret_token, /^[0-9a-f]{64}$/);
+});
+
+test('webhook requests without the secret token are refused', async () => {
+    const response = await fetch(fake.webhook.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(fake.userMessage(LISTENER, '/start'))
+    });
+    assert.equal(response.status, 401);
+    assert.equal(fake.sentMessages(LISTENER.id).length, 0);
+});
+
+test('startup picks up posts sent while no webhook was set', async () => {
+    fake.queueUpdate(fake.channelPost(CHANNEL_ID, { title: 'Om Jai Jagdish', performer: 'Anuradha' }));
+    const webhook = fake.webhook;
+
+    // A request for an empty library doesn't touch the webhook or the pending updates
+    await playlistTitles(SECOND_CHANNEL_ID);
+    assert.equal(fake.callsTo('getUpdates').length, 0);
+    assert.equal(fake.pendingUpdates.length, 1);
+
+    await core.initializeMusic();
+    assert.deepEqual(await playlistTitles(), ['Om Jai Jagdish']);
+    // The scan had to remove the webhook for getUpdates - it must be back, secret and all
+    assert.equal(fake.callsTo('getUpdates').length > 0, true);
+    assert.deepEqual(fake.webhook, webhook);
+});
+
+test('channel posts delivered to the webhook are added once', async () => {
+    const update = fake.channelPost(CHANNEL_ID, { title: 'Hanuman Chalisa', performer: 'Hariharan' });
+    assert.equal(await fake.deliver(update), 200);
+    await waitFor(async () => (await playlistTitles()).includes('Hanuman Chalisa'), { message: 'the new post' });
+
+    // Telegram retries deliveries it thinks failed
+    assert.equal(await fake.deliver(update), 200);
+    assert.deepEqual(await playlistTitles(), ['Om Jai Jagdish', 'Hanuman Chalisa']);
+});
+
+test('edits and removed audio are applied to the playlist', async () => {
+    const update = fake.channelPost(CHANNEL_ID, { title: 'Raghupati Raghav' });
+    await fake.deliver(update);
+    await waitFor(async () => (await playlistTitles()).includes('Raghupati Raghav'), { message: 'the post' });
+
+    await fake.deliver(fake.editChannelPost(CHANNEL_ID, update.channel_post.message_id, { audio: { title: 'Raghupati Raghav Raja Ram' } }));
+    await waitFor(async () => (await playlistTitles()).includes('Raghupati Raghav Raja Ram'), { message: 'the edit' });
+
+    await fake.deliver(fake.editChannelPost(CHANNEL_ID, update.channel_post.message_id, { audio: null, text: 'Audio hata diya' }));
+    await waitFor(async () => !(await playlistTitles()).includes('Raghupati Raghav Raja Ram'), { message: 'the removal' });
+});
+
+test('streams tracks through the Bot API file download', async () => {
+    const { body: tracks } = await api('GET', `/playlist?channel=${CHANNEL_ID}`);
+    const track = tracks.find(candidate => candidate.title === 'Hanuman Chalisa');
+
+    const full = await fetch(`${baseUrl}/api/stream/${track.id}`);
+    assert.equal(full.status, 200);
+    assert.equal(await full.text(), 'audio of Hanuman Chalisa');
+
+    const partial = await fetch(`${baseUrl}/api/stream/${track.id}`, { headers: { Range: 'bytes=0-4' } });
+    assert.equal(partial.status, 206);
+    assert.equal(await partial.text(), 'audio');
+
+    const suffix = await fetch(`${baseUrl}/api/stream/${track.id}`, { headers: { Range: 'bytes=-7' } });
+    assert.equal(suffix.status, 206);
+    assert.equal(suffix.headers.get('content-range'), 'bytes 17-23/24');
+    assert.equal(await suffix.text(), 'Chalisa');
+
+    // A Range header that doesn't parse is ignored
+    const malformed = await fetch(`${baseUrl}/api/stream/${track.id}`, { headers: { Range: 'bytes=abc' } });
+    assert.equal(malformed.status, 200);
+    assert.equal(await malformed.text(), 'audio of Hanuman Chalisa');
+
+    const beyond = await fetch(`${baseUrl}/api/stream/${track.id}`, { headers: { Range: 'bytes=100-' } });
+    assert.equal(beyond.status, 416);
+    assert.equal(beyond.headers.get('content-range'), 'bytes */24');
+});
+
+test('refresh syncs a channel whose playlist was the demo one', async () => {
+    // Nothing posted yet: the second channel starts with the demo playlist
+    const demo = await playlistTitles(SECOND_CHANNEL_ID);
+    assert.equal(demo.length > 0, true);
+
+    // A text post that gets audio later doesn't replace the demo playlist by itself...
+    const update = fake.channelPost(SECOND_CHANNEL_ID, { caption: 'Kirtan coming soon' });
+    await fake.deliver(update);
+    await fake.deliver(fake.editChannelPost(SECOND_CHANNEL_ID, update.channel_post.message_id, { audio: { title: 'Hare Krishna Kirtan' } }));
+    await waitFor(async () => (await core.channelIndex.getTracks(SECOND_CHANNEL_ID)).length > 0, { message: 'the indexed audio' });
+
+    // ...a refresh by an admin does
+    assert.equal((await api('POST', `/refresh?channel=${SECOND_CHANNEL_ID}`)).status, 401);
+    const { body } = await api('POST', `/refresh?channel=${SECOND_CHANNEL_ID}`, { token: ADMIN_TOKEN });
+    assert.equal(body.success, true);
+    assert.equal(body.isReal, true);
+    assert.deepEqual(await playlistTitles(SECOND_CHANNEL_ID), ['Hare Krishna Kirtan']);
+});
+
+test('verification drops songs whose post was deleted from the channel', async () => {
+    const { body: tracks } = await api('GET', `/playlist?channel=${CHANNEL_ID}`);
+    const deleted = tracks.find(track => track.title === 'Om Jai Jagdish');
+    fake.deletePost(CHANNEL_ID, deleted.messageId);
+
+    const results = await core.verifyLibraries();
+    assert.equal(results[CHANNEL_ID].success, true);
+    assert.deepEqual(await playlistTitles(), ['Hanuman Chalisa']);
+    // Posts are checked by forwarding them to VERIFY_CHAT_ID; the copies are removed again
+    assert.equal(fake.callsTo('forwardMessage').every(params => params.chat_id === ADMIN.id), true);
+    assert.equal([...fake.chats.get(ADMIN.id).messages.values()].some(message => message.forward_from_chat), false);
+});
+
+test('/start replies with the web player button', async () => {
+    await fake.deliver(fake.userMessage(LISTENER, '/start'));
+    const reply = await waitFor(() => fake.lastSentMessage(LISTENER.id), { message: 'the welcome message' });
+
+    assert.match(reply.text, /Welcome to Web Music Player Bot/);
+    const buttons = reply.reply_markup.inline_keyboard.flat();
+    assert.equal(buttons.some(button => button.web_app && button.web_app.url.startsWith(baseUrl)), true);
+});
+
+test('/search lists matching songs', async () => {
+    await fake.deliver(fake.userMessage(LISTENER, '/search hanuman'));
+    const reply = await waitFor(() => {
+        const message = fake.lastSentMessage(LISTENER.id);
+        return message && message.text.includes('results') && message;
+    }, { message: 'the search results' });
+    assert.match(reply.text, /Hanuman Chalisa/);
+});
+
+test('/music answers with an error when storage fails', async () => {
+    const libraryOf = core.sessions.libraryOf;
+    core.sessions.libraryOf = async () => {
+        throw new Error('storage unavailable');
+    };
+    try {
+        await fake.deliver(fake.userMessage(LISTENER, '/music'));
+        const reply = await waitFor(() => {
+            const message = fake.lastSentMessage(LISTENER.id);
+            return message && message.text.startsWith('❌') && message;
+        }, { message: 'the error reply' });
+        assert.match(reply.text, /Playlist load/);
+    } finally {
+        core.sessions.libraryOf = libraryOf;
+    }
+});
+
+test('admin commands are refused for listeners and audited', async () => {
+    await fake.deliver(fake.userMessage(LISTENER, '/backup'));
+    await waitFor(async () => (await core.admins.listDenied()).some(entry => entry.action === '/backup'), { message: 'the audit entry' });
+
+    const [entry] = await core.admins.listDenied();
+    assert.equal(entry.userId, LISTENER.id);
+    assert.equal(entry.source, 'bot');
+
+    const { status, body } = await api('GET', '/admin/audit', { token: ADMIN_TOKEN });
+    assert.equal(status, 200);
+    assert.equal(body.entries.some(audit => audit.action === '/backup'), true);
+});
+
+test('/import of a Desktop export adds old posts, resolved on first play', async () => {
+    // A post from before the bot joined: in the channel, but never sent to the bot
+    const old = fake.channelPost(CHANNEL_ID, { title: 'Achyutam Keshavam', content: 'old audio' }).channel_post;
+    const exported = desktopExport(CHANNEL_ID, 'Bhajan Sandhya', [{ messageId: old.message_id, title: 'Achyutam Keshavam' }]);
+
+    await fake.deliver(fake.userDocument(ADMIN, exported, { fileName: 'result.json', caption: '/import' }));
+    const reply = await waitFor(() => {
+        const message = fake.lastSentMessage(ADMIN.id);
+        return message && /Import (complete|failed)/.test(message.text || '') && message;
+    }, { message: 'the import result' });
+    assert.match(reply.text, /Imported: 1/);
+
+    const { body: tracks } = await api('GET', `/playlist?channel=${CHANNEL_ID}`);
+    const imported = tracks.find(track => track.title === 'Achyutam Keshavam');
+    assert.ok(imported);
+
+    const response = await fetch(`${baseUrl}/api/stream/${imported.id}`);
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), 'old audio');
+});
+
+test('a malformed cookie next to the session cookie is skipped', async () => {
+    const cookie = (await fetch(`${baseUrl}/api/session`)).headers.get('set-cookie').split(';')[0];
+
+    const response = await fetch(`${baseUrl}/api/session`, { headers: { cookie: `broken=%E0%A4; ${cookie}` } });
+    assert.equal(response.status, 200);
+    // Still the same session, so no new cookie
+    assert.equal(response.headers.get('set-cookie'), null);
+});
+
+test('a paired /nowplaying remote controls the web player session', async () => {
+    // The browser's session comes with its cookie
+    const first = await fetch(`${baseUrl}/api/session`);
+    const cookie = first.headers.get('set-cookie').split(';')[0];
+    const initial = await first.json();
+    const browserSessionId = cookie.split('=')[1];
+
+    const pairing = await (await fetch(`${baseUrl}/api/session/pair`, { method: 'POST', headers: { cookie } })).json();
+    assert.equal(pairing.success, true);
+    assert.equal(pairing.link, `https://t.me/${fake.botUser.username}?start=pair_${pairing.code}`);
+
+    // Opening the link sends /start with the code
+    await fake.deliver(fake.userMessage(LISTENER, `/start pair_${pairing.code}`));
+    const remote = await waitFor(() => fake.sentMessages(LISTENER.id).find(message =>
+        message.reply_markup && message.reply_markup.inline_keyboard.flat().some(button => /^np:next:r/.test(button.callback_data))
+    ), { message: 'the paired remote' });
+    const next = remote.reply_markup.inline_keyboard.flat().find(button => button.callback_data.startsWith('np:next:')).callback_data;
+    // The buttons don't give the browser's cookie away
+    assert.equal(JSON.stringify(remote.reply_markup).includes(browserSessionId), false);
+
+    // Nobody else can use them
+    await fake.deliver(fake.callbackQuery(ADMIN, next, remote));
+    await waitFor(() => fake.callsTo('answerCallbackQuery').some(params => params.show_alert), { message: 'the refusal' });
+    assert.equal((await (await fetch(`${baseUrl}/api/session`, { headers: { cookie } })).json()).track.id, initial.track.id);
+
+    await fake.deliver(fake.callbackQuery(LISTENER, next, remote));
+    await waitFor(async () => {
+        const session = await (await fetch(`${baseUrl}/api/session`, { headers: { cookie } })).json();
+        return session.track.id !== initial.track.id;
+    }, { message: 'the browser session to skip' });
+
+    // A code works once
+    await fake.deliver(fake.userMessage(ADMIN, `/pair ${pairing.code}`));
+    await waitFor(() => /expire/.test(fake.lastSentMessage(ADMIN.id).text), { message: 'the refusal' });
+});
@@ -0,0 +1,68 @@
+// Playback sessions (lib/sessions.js): what Next does at the end of the playlist in each repeat
+// mode, and the Up Next queue
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const MemoryStorage = require('../lib/storage/memory-storage');
+const { MusicCore } = require('../lib/core');
+const { quietLogs } = require('./helpers/util');
+
+const CHANNEL_ID = -1001234567890;
+const TITLES = ['Aarti', 'Bhajan', 'Chalisa', 'Dhun'];
+
+quietLogs();
+
+async function createCore() {
+    const core = new MusicCore({ bot: null, storage: new MemoryStorage(), config: { CHANNEL_ID } });
+    for (const [index, title] of TITLES.entries()) {
+        await core.library.addTrack({ id: `track${index}`, title, fileId: `FILE${index}`, messageId: index + 1 });
+    }
+    return core;
+}
+
+test('Next at the end of the playlist follows the repeat mode', async () => {
+    const core = await createCore();
+    const last = TITLES.length - 1;
+
+    await core.sessions.playIndex('web', last);
+    await core.sessions.setOptions('web', { repeat: 'all' });
+    assert.equal((await core.sessions.nextTrack('web', { ended: true })).index, 0);
+
+    await core.sessions.playIndex('web', last);
+    await core.sessions.setOptions('web', { repeat: 'one' });
+    await core.sessions.seek('web', 90);
+    const repeated = await core.sessions.nextTrack('web', { ended: true });
+    assert.equal(repeated.index, last);
+    assert.equal(repeated.position, 0);
+
+    await core.sessions.setOptions('web', { repeat: 'off' });
+    await core.sessions.setPlaying('web', true);
+    const stopped = await core.sessions.nextTrack('web', { ended: true });
+    assert.equal(stopped.stopped, true);
+    assert.equal(stopped.index, last);
+    assert.equal(stopped.playing, false);
+
+    // Pressing Next still goes round, whatever the mode
+    assert.equal((await core.sessions.nextTrack('web')).index, 0);
+});
+
+test('queued songs play next, then the playlist carries on where it was left', async () => {
+    const core = await createCore();
+    await core.sessions.playIndex('web', 0);
+
+    await core.sessions.enqueue('web', 'track3');
+    await core.sessions.enqueue('web', 'track2', { next: true });
+    // Queueing a song again moves it
+    const view = await core.sessions.enqueue('web', 'track3', { next: true });
+    assert.deepEqual(view.queue.map(track => track.title), ['Dhun', 'Chalisa']);
+    assert.equal(await core.sessions.enqueue('web', 'missing'), null);
+
+    await assert.rejects(core.sessions.reorderQueue('web', ['track2']), error => error.statusCode === 400);
+    await core.sessions.reorderQueue('web', ['track2', 'track3']);
+
+    const played = [];
+    for (let i = 0; i < 3; i++) {
+        played.push((await core.sessions.nextTrack('web')).track.title);
+    }
+    assert.deepEqual(played, ['Chalisa', 'Dhun', 'Bhajan']);
+    assert.deepEqual((await core.sessions.get('web')).queue, []);
+});
@@ -0,0 +1,195 @@
+// Several function instances sharing one store: read-modify-write on Netlify Blobs when another
+// instance writes in between (the conditional write fails and update() runs the callback again on
+// the newer value), and instances whose in-memory library is out of date. Also the file backend
+// picking up files from where older versions kept them, and the SQLite backend where a driver is
+// available.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const NetlifyBlobsStorage = require('../lib/storage/netlify-blobs-storage');
+const MemoryStorage = require('../lib/storage/memory-storage');
+const FileStorage = require('../lib/storage/file-storage');
+const SqliteStorage = require('../lib/storage/sqlite-storage');
+const { resolveFileLink } = require('../lib/stream');
+const { claimUpdate } = require('../lib/webhook');
+const { MusicCore } = require('../lib/core');
+const { FakeBlobStore } = require('./helpers/blob-store');
+const { quietLogs } = require('./helpers/util');
+
+const CHANNEL_ID = -1001234567890;
+// node:sqlite (Node 22.13+) or the optional better-sqlite3 package
+const SQLITE_DRIVER = ['node:sqlite', 'better-sqlite3'].find(name => {
+    try {
+        require(name);
+        return true;
+    } catch (error) {
+        return false;
+    }
+});
+
+quietLogs();
+
+function createCore(store) {
+    return new MusicCore({
+        bot: null,
+        storage: new NetlifyBlobsStorage({ store }),
+        config: { CHANNEL_ID: CHANNEL_ID }
+    });
+}
+
+function track(title, messageId) {
+    return { id: `track-${messageId}`, title, fileId: `FILE${messageId}`, messageId, performer: 'Test Artist', duration: '3:00' };
+}
+
+test('claimUpdate refuses an update another instance claimed during its write', async () => {
+    const store = new FakeBlobStore();
+    const storage = new NetlifyBlobsStorage({ store });
+    assert.equal(await claimUpdate(storage, 1), true);
+
+    // The other delivery of update 2 is stored between our read and our write
+    store.beforeWrite = (key) => store.put(key, [1, 2]);
+    assert.equal(await claimUpdate(storage, 2), false);
+    assert.equal(store.failedWrites, 1);
+    assert.deepEqual(await storage.load('recent_updates'), [1, 2]);
+});
+
+test('addTrack reports a track another instance added during its write as not added', async () => {
+    const store = new FakeBlobStore();
+    const core = createCore(store);
+    await core.library.addTrack(track('One', 1));
+
+    // Another instance handles the same post first
+    const twoElsewhere = track('Two', 2);
+    store.beforeWrite = (key) => store.put(key, { musicFiles: [track('One', 1), twoElsewhere], lastUpdated: new Date().toISOString() });
+    assert.equal(await core.library.addTrack(track('Two', 2)), false);
+    assert.equal(store.failedWrites, 1);
+    assert.deepEqual(core.library.musicFiles.map(stored => stored.title), ['One', 'Two']);
+});
+
+test('an edit another instance already applied is not reported as a change', async () => {
+    const store = new FakeBlobStore();
+    const core = createCore(store);
+    await core.library.addTrack(track('One', 1));
+
+    // The edit removes the audio of post 1; another instance removes the song first
+    const edit = { message_id: 1, chat: { id: CHANNEL_ID, type: 'channel' }, date: 1, edit_date: 2, text: 'no audio' };
+    store.beforeWrite = function removeFirst(key) {
+        if (key.startsWith('music_cache')) {
+            store.put(key, { musicFiles: [track('Placeholder', 9)], lastUpdated: new Date().toISOString() });
+        } else {
+            // The channel index is written first; wait for the library write
+            store.beforeWrite = removeFirst;
+        }
+    };
+    assert.equal(await core.library.handleEditedChannelPost(edit), false);
+    assert.deepEqual(core.library.musicFiles.map(stored => stored.title), ['Placeholder']);
+});
+
+test('listeners playing at the same time write their own session records', async () => {
+    const store = new FakeBlobStore();
+    const core = createCore(store);
+    await core.library.addTrack(track('One', 1));
+    await core.library.addTrack(track('Two', 2));
+
+    // Another listener presses play on another instance between our read and our write
+    const elsewhere = createCore(store);
+    store.beforeWrite = () => elsewhere.sessions.setPlaying('other', true);
+    const view = await core.sessions.nextTrack('listener');
+    assert.equal(store.failedWrites, 0);
+    assert.equal(view.track.title, 'Two');
+    assert.equal((await core.sessions.get('other')).playing, true);
+});
+
+test('sessions saved in the old shared record carry on under their own key', async () => {
+    const store = new FakeBlobStore();
+    const core = createCore(store);
+    await core.library.addTrack(track('One', 1));
+    await core.library.addTrack(track('Two', 2));
+    store.put('sessions_data', { old: { currentTrackId: 'track-2', currentIndex: 1, repeat: 'one', queue: [], updatedAt: new Date().toISOString() } });
+
+    assert.equal((await core.sessions.get('old')).track.title, 'Two');
+    await core.sessions.setPlaying('old', true);
+    const stored = await store.get('sessions/old_data');
+    assert.equal(stored.currentTrackId, 'track-2');
+    assert.equal(stored.repeat, 'one');
+    assert.equal(stored.playing, true);
+});
+
+test('a refreshed file link is merged into the stored library, not written over it', async () => {
+    const storage = new MemoryStorage();
+    const bot = { getFile: async (fileId) => ({ file_id: fileId, file_path: `music/${fileId}.mp3`, file_size: 42 }) };
+    const stale = new MusicCore({ bot, storage, config: { CHANNEL_ID: CHANNEL_ID } });
+    const other = new MusicCore({ bot, storage, config: { CHANNEL_ID: CHANNEL_ID } });
+
+    await stale.library.addTrack(track('One', 1));
+    await other.library.ensureMusic();
+    await other.library.addTrack(track('Two', 2));
+
+    // The stale instance still only knows "One" when its link expires
+    const [one] = stale.library.musicFiles;
+    assert.equal(await resolveFileLink(bot, one), true);
+    await stale.library.saveFileLinks([one]);
+
+    const stored = await storage.load('music_cache');
+    assert.deepEqual(stored.musicFiles.map(entry => entry.title), ['One', 'Two']);
+    assert.equal(stored.musicFiles[0].filePath, 'music/FILE1.mp3');
+    assert.equal(stored.musicFiles[0].fileSize, 42);
+});
+
+test('file storage reads keys it has no file for from the legacy directory and saves them in its own', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'music-player-storage-'));
+    try {
+        fs.writeFileSync(path.join(root, 'sessions.json'), JSON.stringify({ tg1: { index: 2 } }));
+        const storage = new FileStorage({ directory: path.join(root, 'data'), legacyDirectory: root });
+
+        assert.deepEqual(await storage.load('sessions'), { tg1: { index: 2 } });
+        await storage.update('sessions', (stored) => ({ ...stored, tg2: { index: 0 } }));
+        assert.deepEqual(JSON.parse(fs.readFileSync(path.join(root, 'data', 'sessions.json'), 'utf8')), { tg1: { index: 2 }, tg2: { index: 0 } });
+        assert.equal(await storage.load('playlists'), null);
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});
+
+test('file storage saves of one key at the same time each land whole', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'music-player-storage-'));
+    try {
+        const storage = new FileStorage({ directory: root });
+        const values = Array.from({ length: 20 }, (_, index) => ({ index, tracks: Array(200).fill(`track ${index}`) }));
+        await Promise.all(values.map(value => storage.save('music_cache', value)));
+
+        const stored = await storage.load('music_cache');
+        assert.deepEqual(stored, values[stored.index]);
+        assert.deepEqual(fs.readdirSync(root), ['music_cache.json']);
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});
+
+test('sqlite storage updates in a transaction, starting from the seed', { skip: !SQLITE_DRIVER && 'no SQLite driver' }, async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'music-player-sqlite-'));
+    const filePath = path.join(root, 'music.sqlite');
+    const seed = { music_cache: async () => ({ musicFiles: ['Seed'] }) };
+    try {
+        const storage = new SqliteStorage({ filePath, seed });
+        await storage.update('music_cache', (stored) => ({ musicFiles: [...stored.musicFiles, 'New'] }), { snapshot: true });
+        assert.deepEqual(await storage.load('music_cache'), { musicFiles: ['Seed', 'New'] });
+        assert.equal((await storage.listSnapshots('music_cache')).length, 1);
+
+        // A failing updater rolls back; an async one is refused before anything is written
+        await assert.rejects(storage.update('music_cache', () => {
+            throw new Error('boom');
+        }), /boom/);
+        await assert.rejects(storage.update('music_cache', async () => ({ musicFiles: [] })), /synchronous/);
+        assert.deepEqual(await storage.update('music_cache', () => undefined), { musicFiles: ['Seed', 'New'] });
+        storage.close();
+
+        const reopened = new SqliteStorage({ filePath, seed });
+        assert.deepEqual(await reopened.load('music_cache'), { musicFiles: ['Seed', 'New'] });
+        reopened.close();
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});
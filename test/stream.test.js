@@ -0,0 +1,30 @@
+// Range headers of stream requests (lib/stream.js parseRange): null means "ignore it and send the
+// whole file", false means 416 Range Not Satisfiable
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRange } = require('../lib/stream');
+
+const SIZE = 1000;
+
+test('byte ranges are clamped to the file', () => {
+    assert.deepEqual(parseRange('bytes=0-99', SIZE), { start: 0, end: 99 });
+    assert.deepEqual(parseRange('bytes=500-', SIZE), { start: 500, end: 999 });
+    assert.deepEqual(parseRange('bytes=900-5000', SIZE), { start: 900, end: 999 });
+    assert.deepEqual(parseRange(' bytes=0-0 ', SIZE), { start: 0, end: 0 });
+});
+
+test('suffix ranges give the last bytes of the file', () => {
+    assert.deepEqual(parseRange('bytes=-100', SIZE), { start: 900, end: 999 });
+    // Longer than the file: all of it
+    assert.deepEqual(parseRange('bytes=-5000', SIZE), { start: 0, end: 999 });
+    assert.equal(parseRange('bytes=-0', SIZE), false);
+});
+
+test('malformed ranges are ignored and unsatisfiable ones refused', () => {
+    for (const header of ['', 'bytes=', 'bytes=-', 'bytes=abc-def', 'items=0-10', 'bytes=0-10,20-30', 'bytes=1.5-2']) {
+        assert.equal(parseRange(header, SIZE), null, header);
+    }
+    assert.equal(parseRange(undefined, SIZE), null);
+    assert.equal(parseRange('bytes=1000-', SIZE), false);
+    assert.equal(parseRange('bytes=500-100', SIZE), false);
+});
@@ -0,0 +1,56 @@
+// Telegram Mini App initData (lib/webapp.js): signed with the bot token, refused when tampered
+// with or expired
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { verifyInitData } = require('../lib/webapp');
+
+const BOT_TOKEN = '123456:TEST-token';
+const USER = { id: 502, first_name: 'Listener' };
+
+// initData the way Telegram.WebApp builds it
+function signInitData(fields, botToken = BOT_TOKEN) {
+    const params = new URLSearchParams(fields);
+    const dataCheckString = [...params.entries()]
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([key, value]) => `${key}=${value}`)
+        .join('\n');
+    const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+    params.set('hash', crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex'));
+    return params.toString();
+}
+
+function now() {
+    return String(Math.floor(Date.now() / 1000));
+}
+
+test('valid initData gives the Telegram user', () => {
+    const initData = signInitData({ query_id: 'AAE1', user: JSON.stringify(USER), auth_date: now() });
+    const verified = verifyInitData(initData, BOT_TOKEN);
+    assert.deepEqual(verified.user, USER);
+    assert.equal(verified.queryId, 'AAE1');
+});
+
+test('tampered, foreign and malformed initData is refused', () => {
+    const initData = signInitData({ user: JSON.stringify(USER), auth_date: now() });
+
+    const tampered = new URLSearchParams(initData);
+    tampered.set('user', JSON.stringify({ ...USER, id: 501 }));
+    assert.equal(verifyInitData(tampered.toString(), BOT_TOKEN), null);
+
+    // Signed for another bot
+    assert.equal(verifyInitData(signInitData({ user: JSON.stringify(USER), auth_date: now() }, '654321:OTHER-token'), BOT_TOKEN), null);
+    assert.equal(verifyInitData(initData.replace(/hash=\w+/, 'hash=xyz'), BOT_TOKEN), null);
+    assert.equal(verifyInitData(initData.replace(/&?hash=\w+/, ''), BOT_TOKEN), null);
+    assert.equal(verifyInitData(signInitData({ user: 'not json', auth_date: now() }), BOT_TOKEN), null);
+    assert.equal(verifyInitData('', BOT_TOKEN), null);
+    assert.equal(verifyInitData(initData, null), null);
+});
+
+test('initData older than the maximum age is refused', () => {
+    const dayAgo = String(Math.floor(Date.now() / 1000) - 25 * 60 * 60);
+    const initData = signInitData({ user: JSON.stringify(USER), auth_date: dayAgo });
+    assert.equal(verifyInitData(initData, BOT_TOKEN), null);
+    assert.deepEqual(verifyInitData(initData, BOT_TOKEN, { maxAge: 2 * 24 * 60 * 60 }).user, USER);
+    assert.equal(verifyInitData(signInitData({ user: JSON.stringify(USER) }), BOT_TOKEN), null);
+});